@@ -1,44 +1,33 @@
 // server/controllers/authController.js
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-const fs = require('fs');
-const path = require('path');
+const { transaction, users: userRepository, carts: cartRepository } = require('../repositories');
+const { createSession, rotateSession, revokeSession, revokeAllSessions } = require('../services/sessions');
+const { requestPasswordReset, resetPassword: applyPasswordReset } = require('../services/passwordReset');
+const { queueVerificationEmail, resendVerificationEmail, verifyEmailToken } = require('../services/emailVerification');
+const { verifyGuestToken, mergeGuestCart } = require('../services/guestCarts');
+const { queueNotification, wakeDispatcher } = require('../services/notifications');
 
-// Helper functions
-const readData = (file) => {
-  try {
-    const data = fs.readFileSync(file, 'utf8');
-    return JSON.parse(data);
-  } catch (err) {
-    console.error(`Error reading ${file}:`, err);
-    return [];
-  }
-};
+// Move the cart of a guest who just logged in or signed up (sent as
+// X-Guest-Token) into their account. A failed merge never fails the login.
+const mergeGuestCartFrom = async (req, userId) => {
+  const guestId = verifyGuestToken(req.get('X-Guest-Token'));
+  if (!guestId) return null;
 
-const writeData = (file, data) => {
   try {
-    fs.writeFileSync(file, JSON.stringify(data, null, 2));
-    return true;
+    return await mergeGuestCart(guestId, userId);
   } catch (err) {
-    console.error(`Error writing to ${file}:`, err);
-    return false;
+    console.error('Guest cart merge error:', err);
+    return null;
   }
 };
 
-// JWT configuration
-const jwtConfig = {
-  expiresIn: '7d',
-  issuer: 'freshmart-api'
-};
-
 exports.register = async (req, res) => {
   try {
     const { name, email, password } = req.body;
-    const USERS_FILE = path.join(__dirname, '../data/users.json');
-
+    
     // Validation
     if (!name || !email || !password) {
-      return res.status(400).json({ 
+      return res.status(400).json({
         success: false,
         message: 'All fields are required'
       });
@@ -65,59 +54,52 @@ exports.register = async (req, res) => {
       });
     }
 
-    const users = readData(USERS_FILE);
-    
-    // Check if user exists
-    if (users.some(user => user.email.toLowerCase() === email.toLowerCase())) {
-      return res.status(400).json({ 
+    const existingUser = await userRepository.findByEmail(email);
+    if (existingUser) {
+      return res.status(400).json({
         success: false,
         message: 'Email already registered'
       });
     }
 
-    // Hash password
-    const hashedPassword = await bcrypt.hash(password, 12);
-    
-    // Create new user
-    const newUser = { 
-      id: Date.now(), 
-      name: name.trim(), 
-      email: email.toLowerCase(), 
-      password: hashedPassword,
-      createdAt: new Date().toISOString()
-    };
-    
-    users.push(newUser);
-    if (!writeData(USERS_FILE, users)) {
-      return res.status(500).json({ 
-        success: false,
-        message: 'Failed to save user data'
-      });
-    }
+    const newUser = await transaction(async () => {
+      const created = await userRepository.create({ name, email, password });
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: newUser.id, email: newUser.email }, 
-      process.env.JWT_SECRET, 
-      jwtConfig
-    );
-    
-    // Return response without password
-    const userResponse = {
-      id: newUser.id,
-      name: newUser.name,
-      email: newUser.email
-    };
-    
-    return res.status(201).json({ 
+      // Create empty cart for user
+      await cartRepository.getOrCreate({ userId: created._id });
+      await queueNotification('welcome', { user: created });
+      await queueVerificationEmail(created);
+      return created;
+    });
+    wakeDispatcher();
+
+    const guestCart = await mergeGuestCartFrom(req, newUser._id);
+
+    const { token, refreshToken } = await createSession(newUser, req);
+
+    res.status(201).json({
       success: true,
       message: 'Registration successful',
-      user: userResponse, 
-      token
+      user: {
+        id: newUser._id,
+        name: newUser.name,
+        email: newUser.email,
+        role: newUser.role,
+        emailVerified: newUser.emailVerified
+      },
+      token,
+      refreshToken,
+      ...(guestCart && { guestCart })
     });
   } catch (err) {
+    if (err.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email already registered'
+      });
+    }
     console.error('Registration error:', err);
-    return res.status(500).json({ 
+    res.status(500).json({
       success: false,
       message: 'Server error during registration'
     });
@@ -127,67 +109,244 @@ exports.register = async (req, res) => {
 exports.login = async (req, res) => {
   try {
     const { email, password } = req.body;
-    const USERS_FILE = path.join(__dirname, '../data/users.json');
-
-    // Validation
+    
     if (!email || !password) {
-      return res.status(400).json({ 
+      return res.status(400).json({
         success: false,
         message: 'Email and password required'
       });
     }
 
-    if (!/^\S+@\S+\.\S+$/.test(email)) {
-      return res.status(400).json({ 
+    const user = await userRepository.findByEmailWithPassword(email);
+    if (!user || !(await bcrypt.compare(password, user.password))) {
+      return res.status(401).json({
         success: false,
-        message: 'Invalid email format'
+        message: 'Invalid credentials'
       });
     }
 
-    const users = readData(USERS_FILE);
-    const user = users.find(u => u.email.toLowerCase() === email.toLowerCase());
+    const { token, refreshToken } = await createSession(user, req);
+    const guestCart = await mergeGuestCartFrom(req, user._id);
 
-    if (!user) {
-      return res.status(401).json({ 
+    res.json({
+      success: true,
+      message: 'Login successful',
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        emailVerified: user.emailVerified
+      },
+      token,
+      refreshToken,
+      ...(guestCart && { guestCart })
+    });
+  } catch (err) {
+    console.error('Login error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login'
+    });
+  }
+};
+
+// Exchange a refresh token for a new access token and refresh token
+exports.refreshToken = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
         success: false,
-        message: 'Invalid credentials'
+        message: 'Refresh token is required'
       });
     }
 
-    // Verify password
-    const isPasswordValid = await bcrypt.compare(password, user.password);
-    if (!isPasswordValid) {
-      return res.status(401).json({ 
+    const result = await rotateSession(refreshToken);
+
+    if (!result.ok) {
+      return res.status(401).json({
         success: false,
-        message: 'Invalid credentials'
+        message: result.message
       });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: user.id, email: user.email }, 
-      process.env.JWT_SECRET, 
-      jwtConfig
-    );
-    
-    // Return response without password
-    const userResponse = {
-      id: user.id,
-      name: user.name,
-      email: user.email
-    };
-    
-    return res.json({ 
+    res.json({
       success: true,
-      message: 'Login successful',
-      user: userResponse, 
-      token
+      token: result.token,
+      refreshToken: result.refreshToken
     });
   } catch (err) {
-    console.error('Login error:', err);
-    return res.status(500).json({ 
+    console.error('Token refresh error:', err);
+    res.status(500).json({
       success: false,
-      message: 'Server error during login'
+      message: 'Server error during token refresh'
+    });
+  }
+};
+
+// Log out this device
+exports.logout = async (req, res) => {
+  try {
+    await revokeSession(req.sessionId, 'logout');
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (err) {
+    console.error('Logout error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+};
+
+// Log out every device, including this one
+exports.logoutAll = async (req, res) => {
+  try {
+    const sessionsRevoked = await revokeAllSessions(req.user._id, 'logout_all');
+
+    res.json({
+      success: true,
+      message: 'Logged out of all devices',
+      sessionsRevoked
+    });
+  } catch (err) {
+    console.error('Logout all error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+};
+
+// Confirm an email address from the link sent at registration
+exports.verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.query;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification token is required'
+      });
+    }
+
+    const result = await verifyEmailToken(token);
+
+    if (!result.ok) {
+      return res.status(400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully',
+      user: {
+        id: result.user._id,
+        email: result.user.email,
+        emailVerified: true
+      }
+    });
+  } catch (err) {
+    console.error('Email verification error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during email verification'
     });
   }
-};
\ No newline at end of file
+};
+
+// Send a fresh verification link to the logged-in user
+exports.resendVerification = async (req, res) => {
+  try {
+    const result = await resendVerificationEmail(req.user);
+
+    if (!result.ok) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (err) {
+    console.error('Verification resend error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send verification email'
+    });
+  }
+};
+
+// Start a password reset. The answer is the same whether or not the
+// email is registered, and the work happens after responding so timing
+// doesn't give it away either.
+exports.forgotPassword = (req, res) => {
+  const { email } = req.body;
+
+  if (!email || !/^\S+@\S+\.\S+$/.test(email)) {
+    return res.status(400).json({
+      success: false,
+      message: 'A valid email is required'
+    });
+  }
+
+  requestPasswordReset(email).catch(err => {
+    console.error('Password reset request error:', err);
+  });
+
+  res.json({
+    success: true,
+    message: 'If an account exists for that email, a reset link has been sent'
+  });
+};
+
+// Finish a password reset with the token from the email
+exports.resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token and new password are required'
+      });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 6 characters'
+      });
+    }
+
+    const result = await applyPasswordReset(token, password);
+
+    if (!result.ok) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset link is invalid or has expired'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully. Please log in with your new password.'
+    });
+  } catch (err) {
+    console.error('Password reset error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during password reset'
+    });
+  }
+};
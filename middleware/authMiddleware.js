@@ -0,0 +1,114 @@
+const jwt = require('jsonwebtoken');
+const { users: userRepository } = require('../repositories');
+const { isSessionActive } = require('../services/sessions');
+const { verifyGuestToken, guestOwner } = require('../services/guestCarts');
+
+const ROLES = ['customer', 'staff', 'admin'];
+
+// Checks an access token the way every authenticated route does and sets
+// req.user, req.sessionId and req.tokenExpiresAt
+const verifyAccessToken = async (token, req, res, next) => {
+  try {
+    if (!token) throw new Error('No token provided');
+    
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Tokens from before sessions existed carry no sid and are no longer honoured
+    if (!decoded.sid || !(await isSessionActive(decoded.sid, decoded.id))) {
+      const error = new Error('Session revoked');
+      error.name = 'SessionRevokedError';
+      throw error;
+    }
+
+    req.user = await userRepository.findById(decoded.id);
+    
+    if (!req.user) throw new Error('User not found');
+    req.sessionId = decoded.sid;
+    req.tokenExpiresAt = decoded.exp ? new Date(decoded.exp * 1000) : null;
+    next();
+  } catch (err) {
+    const messages = {
+      TokenExpiredError: 'Token expired',
+      SessionRevokedError: 'Session has been logged out'
+    };
+    res.status(401).json({
+      success: false,
+      message: messages[err.name] || 'Invalid token'
+    });
+  }
+};
+
+const authenticate = (req, res, next) => {
+  if (req.method === 'OPTIONS') return next();
+  return verifyAccessToken(req.headers.authorization?.split(' ')[1], req, res, next);
+};
+
+// Browsers' EventSource can't send an Authorization header, so event
+// streams also accept the same access token as ?access_token=
+const authenticateEventStream = (req, res, next) => {
+  if (req.method === 'OPTIONS') return next();
+  const token = req.headers.authorization?.split(' ')[1] || req.query.access_token;
+  return verifyAccessToken(token, req, res, next);
+};
+
+// Cart routes serve guests too. With an Authorization header this is
+// authenticate; otherwise an X-Guest-Token header (from POST /api/cart/guest)
+// is required. Either way req.cartOwner says whose cart to use.
+const authenticateCartOwner = (req, res, next) => {
+  if (req.method === 'OPTIONS') return next();
+
+  if (req.headers.authorization) {
+    return authenticate(req, res, () => {
+      req.cartOwner = { userId: req.user._id };
+      next();
+    });
+  }
+
+  const guestId = verifyGuestToken(req.get('X-Guest-Token'));
+  if (!guestId) {
+    return res.status(401).json({
+      success: false,
+      message: 'Log in or start a guest cart to use the cart'
+    });
+  }
+
+  req.cartOwner = guestOwner(guestId);
+  next();
+};
+
+// Must run after authenticate. Checks the role stored on the user rather than
+// the one in the token, so a demotion takes effect on the next request.
+const authorize = (...roles) => (req, res, next) => {
+  if (req.method === 'OPTIONS') return next();
+
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({
+      success: false,
+      message: 'You do not have permission to perform this action'
+    });
+  }
+  next();
+};
+
+// Blocks the route for unverified accounts when REQUIRE_VERIFIED_EMAIL_FOR_ORDERS
+// is "true". Must run after authenticate.
+const requireVerifiedEmail = (req, res, next) => {
+  if (process.env.REQUIRE_VERIFIED_EMAIL_FOR_ORDERS !== 'true' || req.user.emailVerified) {
+    return next();
+  }
+
+  res.status(403).json({
+    success: false,
+    code: 'EMAIL_NOT_VERIFIED',
+    message: 'Please verify your email address before placing an order'
+  });
+};
+
+module.exports = {
+  ROLES,
+  authenticate,
+  authenticateCartOwner,
+  authenticateEventStream,
+  authorize,
+  requireVerifiedEmail
+};
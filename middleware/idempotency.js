@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const { idempotencyKeys: idempotencyKeyRepository } = require('../repositories');
+
+// How long a key remembers its response. Retries after this run afresh.
+const KEY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS, 10) || 24;
+// A first request still unfinished after this long is assumed to have died
+// with the process, and a retry may take its key over
+const STALE_LOCK_SECONDS = 60;
+const PURGE_INTERVAL_MS = 10 * 60 * 1000;
+const MAX_KEY_LENGTH = 255;
+
+let lastPurge = 0;
+
+// Key order in the body shouldn't make the same request look different
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const hashRequest = (req) => crypto.createHash('sha256')
+  .update(`${req.method} ${req.originalUrl}\n${canonicalJson(req.body || {})}`)
+  .digest('hex');
+
+const purgeExpiredKeys = () => {
+  if (Date.now() - lastPurge < PURGE_INTERVAL_MS) return;
+  lastPurge = Date.now();
+  idempotencyKeyRepository.purgeExpired().catch(err => console.error('Idempotency key purge error:', err));
+};
+
+// Honour an Idempotency-Key header: the first request with a key runs and
+// its response is stored; retries with the same key and payload get that
+// response back (marked Idempotent-Replayed) without running again. Keys
+// are per customer or guest, so this must run after authenticate (or
+// authenticateCartOwner). Requests without the header are untouched.
+// Server errors aren't stored, so they can be retried.
+const idempotent = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) return next();
+
+  if (!key || key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      message: `Idempotency-Key must be between 1 and ${MAX_KEY_LENGTH} characters`
+    });
+  }
+
+  try {
+    purgeExpiredKeys();
+
+    const requestHash = hashRequest(req);
+    const { record, claimed } = await idempotencyKeyRepository.claim({
+      owner: req.user ? { userId: req.user._id } : { guestId: req.cartOwner.guestId },
+      key,
+      method: req.method,
+      path: req.originalUrl,
+      requestHash,
+      expiresAt: new Date(Date.now() + KEY_TTL_HOURS * 60 * 60 * 1000),
+      staleBefore: new Date(Date.now() - STALE_LOCK_SECONDS * 1000)
+    });
+
+    if (!claimed) {
+      if (record.requestHash !== requestHash) {
+        return res.status(409).json({
+          success: false,
+          code: 'IDEMPOTENCY_KEY_REUSED',
+          message: 'This Idempotency-Key was already used for a different request'
+        });
+      }
+
+      if (record.status !== 'completed') {
+        res.set('Retry-After', '1');
+        return res.status(409).json({
+          success: false,
+          code: 'IDEMPOTENCY_KEY_IN_PROGRESS',
+          message: 'A request with this Idempotency-Key is still being processed'
+        });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(record.responseStatus).json(record.responseBody);
+    }
+
+    // Store the response before it goes out, so a retry that arrives the
+    // moment the client sees it already finds it
+    const send = res.json.bind(res);
+    res.json = (body) => {
+      const settle = res.statusCode >= 500
+        ? idempotencyKeyRepository.release(record._id)
+        : idempotencyKeyRepository.complete(record._id, {
+          responseStatus: res.statusCode,
+          // As it goes over the wire, so a replay is byte for byte the same
+          responseBody: JSON.parse(JSON.stringify(body))
+        });
+
+      settle
+        .catch(err => console.error('Idempotency key save error:', err))
+        .then(() => send(body));
+      return res;
+    };
+
+    next();
+  } catch (err) {
+    console.error('Idempotency key error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process request'
+    });
+  }
+};
+
+module.exports = {
+  idempotent
+};
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const CartItemSchema = new mongoose.Schema({
+  productId: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  image: String,
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+    default: 1
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Belongs to either a customer (userId) or a guest (guestId, from the
+// signed guest token). Guest carts lapse at expiresAt; customers' never do.
+const CartSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: function () { return !this.guestId; },
+    unique: true,
+    sparse: true
+  },
+  guestId: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  items: [CartItemSchema],
+  // Applied coupon; re-checked every time the cart is priced
+  couponCode: String,
+  clearedAt: Date,
+  expiresAt: Date
+});
+
+// Let MongoDB drop abandoned guest carts
+CartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Cart', CartSchema);
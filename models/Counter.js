@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// A named sequence, e.g. invoice numbers. Advanced only inside the
+// transaction that uses the number, so a rolled-back write gives it back
+// and the sequence has no gaps.
+const CounterSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+});
+
+module.exports = mongoose.model('Counter', CounterSchema);
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+// A promotion customers unlock with a code.
+//   percentage   - `value` percent off the eligible lines, capped by maxDiscount
+//   fixed        - `value` off the eligible lines (never more than they cost)
+//   buy_x_get_y  - on each eligible line, every buyQuantity + freeQuantity
+//                  units, freeQuantity of them are free
+// An empty productIds and categories means the whole cart is eligible.
+const CouponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['percentage', 'fixed', 'buy_x_get_y']
+  },
+  value: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  maxDiscount: {
+    type: Number,
+    min: 0
+  },
+  buyQuantity: {
+    type: Number,
+    min: 1
+  },
+  freeQuantity: {
+    type: Number,
+    min: 1
+  },
+  // Compared against the cart subtotal before any discount
+  minOrderValue: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  productIds: [String],
+  categories: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
+  startsAt: Date,
+  endsAt: Date,
+  // Leave unset for no limit
+  usageLimit: {
+    type: Number,
+    min: 1
+  },
+  perUserLimit: {
+    type: Number,
+    min: 1
+  },
+  // Redemptions held by live orders; cancelling an order gives its use back
+  usedCount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('Coupon', CouponSchema);
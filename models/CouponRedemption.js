@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// One use of a coupon by one order. Counted for per-user limits while
+// active; released when the order is cancelled.
+const CouponRedemptionSchema = new mongoose.Schema({
+  couponId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Order number (FM...)
+  orderId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  status: {
+    type: String,
+    default: 'active',
+    enum: ['active', 'released']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  releasedAt: Date
+});
+
+CouponRedemptionSchema.index({ couponId: 1, userId: 1, status: 1 });
+
+module.exports = mongoose.model('CouponRedemption', CouponRedemptionSchema);
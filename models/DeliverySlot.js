@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Bookings for one delivery window on one day. Created by the first order
+// that books the window; capacity is copied from the slot configuration at
+// that moment, so later config changes only affect windows not yet booked.
+const DeliverySlotSchema = new mongoose.Schema({
+  // "<YYYY-MM-DD>@<HH:MM>", the day and start time of the window
+  slotId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  start: {
+    type: Date,
+    required: true
+  },
+  end: {
+    type: Date,
+    required: true
+  },
+  capacity: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  booked: {
+    type: Number,
+    min: 0,
+    default: 0
+  }
+});
+
+DeliverySlotSchema.index({ start: 1 });
+
+module.exports = mongoose.model('DeliverySlot', DeliverySlotSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// The outcome of a request sent with an Idempotency-Key header, kept so a
+// retry of the same request gets the same response instead of running again
+// Keys are scoped to a customer (userId) or, on cart routes, a guest (guestId)
+const IdempotencyKeySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: function () { return !this.guestId; }
+  },
+  guestId: String,
+  key: {
+    type: String,
+    required: true
+  },
+  method: String,
+  path: String,
+  // sha256 of method, path and body, to spot a key reused for something else
+  requestHash: {
+    type: String,
+    required: true
+  },
+  // in_progress while the first request runs; retries meanwhile get a 409
+  status: {
+    type: String,
+    enum: ['in_progress', 'completed'],
+    default: 'in_progress'
+  },
+  responseStatus: Number,
+  responseBody: mongoose.Schema.Types.Mixed,
+  lockedAt: {
+    type: Date,
+    default: Date.now
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+IdempotencyKeySchema.index({ userId: 1, guestId: 1, key: 1 }, { unique: true });
+// Let MongoDB drop keys once their window has passed
+IdempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', IdempotencyKeySchema);
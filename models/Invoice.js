@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+
+const InvoiceLineSchema = new mongoose.Schema({
+  productId: String,
+  description: {
+    type: String,
+    required: true
+  },
+  quantity: Number,
+  unitPrice: Number,
+  taxRate: Number,
+  amount: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+// A tax invoice for an order, or a credit note for money refunded on one or
+// units cancelled off it. Everything printed is copied in when the document
+// is issued, so it reads the same however the order changes afterwards.
+// Amounts are in major units, like Order.
+const InvoiceSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    enum: ['invoice', 'credit_note']
+  },
+  // Printed number (INV-000001, CN-000001); each type has its own series
+  number: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  sequence: {
+    type: Number,
+    required: true
+  },
+  // Order number (FM...)
+  orderId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Set on invoices only: an order has at most one
+  invoiceFor: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  // Set on credit notes only: one per refund
+  refundId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Refund',
+    unique: true,
+    sparse: true
+  },
+  // Set on credit notes for cancellations no refund covers (orders not paid
+  // online): one per item cancellation, and one for cancelling the order
+  cancellationRef: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  // The invoice a credit note corrects
+  invoiceNumber: String,
+  reason: String,
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  orderDate: Date,
+  seller: {
+    name: String,
+    address: String,
+    gstin: String
+  },
+  customer: {
+    name: String,
+    email: String
+  },
+  billingAddress: String,
+  paymentMethod: String,
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  lines: [InvoiceLineSchema],
+  subtotal: Number,
+  discounts: [{
+    _id: false,
+    code: String,
+    description: String,
+    amount: Number
+  }],
+  discountTotal: {
+    type: Number,
+    default: 0
+  },
+  deliveryFee: {
+    type: Number,
+    default: 0
+  },
+  taxes: [{
+    _id: false,
+    category: String,
+    rate: Number,
+    taxable: Number,
+    amount: Number
+  }],
+  taxTotal: {
+    type: Number,
+    default: 0
+  },
+  total: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+});
+
+module.exports = mongoose.model('Invoice', InvoiceSchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// One message in the notification outbox. Rows are written in the same
+// unit of work as the change they announce, already rendered, and sent
+// later by the dispatcher in services/notifications.
+const NotificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  channel: {
+    type: String,
+    required: true,
+    enum: ['email', 'sms']
+  },
+  // Template name, e.g. order_placed
+  template: {
+    type: String,
+    required: true
+  },
+  // Email address or phone number
+  to: {
+    type: String,
+    required: true
+  },
+  subject: String,
+  text: {
+    type: String,
+    required: true
+  },
+  // What the message is about, e.g. the order number
+  reference: String,
+  status: {
+    type: String,
+    default: 'pending',
+    enum: ['pending', 'sending', 'sent', 'failed']
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // When a dispatcher took it; a stale lock means that dispatcher died
+  lockedAt: Date,
+  lastError: String,
+  sentAt: Date,
+  failedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+NotificationSchema.index({ status: 1, nextAttemptAt: 1 });
+
+module.exports = mongoose.model('Notification', NotificationSchema);
@@ -0,0 +1,212 @@
+const mongoose = require('mongoose');
+
+// Price fields are a snapshot of the catalog at checkout time
+const OrderItemSchema = new mongoose.Schema({
+  productId: String,
+  name: String,
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  quantity: Number,
+  lineTotal: Number,
+  image: String,
+  // Category and GST rate at checkout, so a line can be refunded with its tax
+  category: String,
+  taxRate: Number,
+  pricedAt: Date,
+  // Units taken off the order after checkout (see itemCancellations)
+  cancelledQuantity: {
+    type: Number,
+    min: 0,
+    default: 0
+  }
+});
+
+// A coupon's effect on the order, split per line so partial refunds can
+// give back the right share
+const DiscountSchema = new mongoose.Schema({
+  couponId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon'
+  },
+  code: String,
+  type: String,
+  description: String,
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  lines: [{
+    _id: false,
+    productId: String,
+    amount: Number
+  }]
+}, { _id: false });
+
+// Tax charged on one category's lines, after discounts
+const TaxLineSchema = new mongoose.Schema({
+  category: String,
+  rate: Number,
+  taxable: Number,
+  amount: Number
+}, { _id: false });
+
+// Units staff took off an order that otherwise goes ahead, e.g. when an
+// item turns out to be damaged or missing at packing
+const ItemCancellationSchema = new mongoose.Schema({
+  productId: String,
+  quantity: Number,
+  reason: String,
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { _id: false });
+
+const StatusChangeSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    required: true
+  },
+  from: String,
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  actorType: {
+    type: String,
+    enum: ['customer', 'staff', 'system']
+  },
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  note: String
+}, { _id: false });
+
+const OrderSchema = new mongoose.Schema({
+  // Customer-facing order number (FM...), used in all order URLs
+  id: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  items: [OrderItemSchema],
+  // Price breakdown from services/pricing, kept for invoicing and
+  // reconciliation: totalAmount = subtotal - discountTotal + deliveryFee + taxTotal
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  subtotal: {
+    type: Number,
+    min: 0
+  },
+  discounts: [DiscountSchema],
+  discountTotal: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  deliveryZone: String,
+  deliveryFee: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  taxes: [TaxLineSchema],
+  taxTotal: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  totalAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // One-line address text; orders from before the address book only have this
+  deliveryAddress: {
+    type: String,
+    required: true
+  },
+  // Snapshot of the structured address at checkout, so later edits to the
+  // address book don't rewrite where past orders went
+  address: {
+    addressId: mongoose.Schema.Types.ObjectId,
+    label: String,
+    line1: String,
+    line2: String,
+    city: String,
+    pincode: String,
+    landmark: String,
+    phone: String,
+    zone: String
+  },
+  paymentMethod: {
+    type: String,
+    required: true,
+    enum: ['card', 'cash', 'paypal', 'other']
+  },
+  // Latest state of the online payment, if any; details live in Payment
+  payment: {
+    provider: String,
+    providerRef: String,
+    status: {
+      type: String,
+      enum: ['pending', 'succeeded', 'failed']
+    }
+  },
+  notes: String,
+  status: {
+    type: String,
+    default: 'confirmed',
+    enum: ['pending_payment', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled']
+  },
+  orderDate: {
+    type: Date,
+    default: Date.now
+  },
+  // Set on orders placed before delivery slots; newer orders have deliverySlot
+  estimatedDelivery: Date,
+  deliverySlot: {
+    id: String,
+    start: Date,
+    end: Date,
+    label: String
+  },
+  statusHistory: [StatusChangeSchema],
+  itemCancellations: [ItemCancellationSchema],
+  shippedAt: Date,
+  deliveredAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  cancelledAt: Date,
+  cancellationReason: String,
+  // True while the order is holding catalog stock that a cancel must give back
+  stockReserved: {
+    type: Boolean,
+    default: false
+  }
+});
+
+// Order history: a customer's orders by date, optionally by status too.
+// _id breaks ties between orders placed in the same millisecond.
+OrderSchema.index({ userId: 1, orderDate: -1, _id: -1 });
+OrderSchema.index({ userId: 1, status: 1, orderDate: -1, _id: -1 });
+
+module.exports = mongoose.model('Order', OrderSchema);
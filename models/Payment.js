@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// One payment intent with a provider, for one order. Amounts are in minor
+// units (paise), the way providers take them.
+const PaymentSchema = new mongoose.Schema({
+  // Order number (FM...)
+  orderId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  // The provider's id for the intent
+  providerRef: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    default: 'pending',
+    enum: ['pending', 'succeeded', 'failed']
+  },
+  failureReason: String,
+  // Webhook event ids already applied, so redelivered events are ignored
+  processedEvents: [String],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  succeededAt: Date,
+  failedAt: Date
+});
+
+module.exports = mongoose.model('Payment', PaymentSchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const ProductSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  category: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Selling unit shown next to the price, e.g. "kg", "500 g", "dozen"
+  unit: {
+    type: String,
+    required: true,
+    trim: true,
+    default: 'piece'
+  },
+  // Units on hand. Decremented atomically at checkout, restored on cancel.
+  stock: {
+    type: Number,
+    required: true,
+    min: 0,
+    default: 0
+  },
+  lowStockThreshold: {
+    type: Number,
+    min: 0,
+    default: 5
+  },
+  images: [String],
+  tags: [String],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+ProductSchema.index({ name: 'text', description: 'text', tags: 'text' });
+ProductSchema.index({ isActive: 1, category: 1, price: 1 });
+ProductSchema.index({ isActive: 1, stock: 1 });
+
+module.exports = mongoose.model('Product', ProductSchema);
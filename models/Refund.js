@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+// Money given back on a paid order, issued through the payment provider
+// that took it. Amounts are in minor units, like Payment.
+const RefundSchema = new mongoose.Schema({
+  // Order number (FM...)
+  orderId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  // The provider's id for the payment being refunded
+  paymentRef: {
+    type: String,
+    required: true
+  },
+  // The order's payment method, refunded to the same instrument
+  method: String,
+  // The provider's id for the refund, once it has accepted it
+  providerRef: {
+    type: String,
+    index: { sparse: true }
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  currency: {
+    type: String,
+    required: true
+  },
+  reason: String,
+  // Set for partial cancellations: which units this refund covers
+  lines: [{
+    _id: false,
+    productId: String,
+    quantity: Number,
+    amount: Number
+  }],
+  status: {
+    type: String,
+    default: 'pending',
+    enum: ['pending', 'succeeded', 'failed']
+  },
+  failureReason: String,
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  requestedBy: {
+    actorType: {
+      type: String,
+      enum: ['customer', 'staff', 'system']
+    },
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  succeededAt: Date
+});
+
+RefundSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Refund', RefundSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// One login on one device. The refresh token rotates on every use; the
+// session id stays the same and is carried in access tokens as `sid`, so
+// revoking the session cuts off both kinds of token at once.
+const SessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // sha256 of the refresh token secret currently valid for this session
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  // Recently rotated-out hashes, kept to recognise refresh token reuse
+  previousTokenHashes: [String],
+  userAgent: String,
+  ip: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: String
+});
+
+// Let MongoDB drop sessions once they can no longer be refreshed
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', SessionSchema);
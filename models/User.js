@@ -1,22 +1,43 @@
 const mongoose = require('mongoose');
 
-const UserSchema = new mongoose.Schema({
-  name: {
+// A saved delivery address. Rules mirror services/addresses.js, which
+// checks input first so customers get a friendly message.
+const AddressSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    trim: true,
+    default: 'Home'
+  },
+  line1: {
     type: String,
     required: true,
     trim: true
   },
-  email: {
+  line2: {
+    type: String,
+    trim: true
+  },
+  city: {
     type: String,
     required: true,
-    unique: true,
-    trim: true,
-    lowercase: true
+    trim: true
   },
-  password: {
+  pincode: {
     type: String,
     required: true,
-    minlength: 6
+    match: [/^\d{6}$/, 'Pincode must be 6 digits']
+  },
+  landmark: {
+    type: String,
+    trim: true
+  },
+  phone: {
+    type: String,
+    match: [/^\+?\d{10,13}$/, 'Invalid phone number']
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
   },
   createdAt: {
     type: Date,
@@ -24,4 +45,57 @@ const UserSchema = new mongoose.Schema({
   }
 });
 
-module.exports = mongoose.model('User', UserSchema);
\ No newline at end of file
+const UserSchema = new mongoose.Schema({
+  name: { 
+    type: String, 
+    required: true,
+    trim: true,
+    minlength: 2
+  },
+  email: { 
+    type: String, 
+    required: true, 
+    unique: true,
+    lowercase: true,
+    match: [/^\S+@\S+\.\S+$/, 'Invalid email format']
+  },
+  password: { 
+    type: String, 
+    required: true,
+    minlength: 6
+  },
+  role: {
+    type: String,
+    default: 'customer',
+    enum: ['customer', 'staff', 'admin']
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: Date,
+  verificationSentAt: Date,
+  passwordChangedAt: Date,
+  // Only the hash of an outstanding reset token is kept, and never selected by default
+  passwordResetTokenHash: {
+    type: String,
+    select: false,
+    index: { sparse: true }
+  },
+  passwordResetExpiresAt: {
+    type: Date,
+    select: false
+  },
+  addresses: [AddressSchema],
+  // Numeric id from the file-based era, kept so the import can be re-run
+  legacyId: {
+    type: Number,
+    index: { unique: true, sparse: true }
+  },
+  createdAt: { 
+    type: Date, 
+    default: Date.now 
+  }
+});
+
+module.exports = mongoose.model('User', UserSchema);
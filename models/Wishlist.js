@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const WishlistItemSchema = new mongoose.Schema({
+  productId: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  image: String,
+  // Catalog price when the item was saved, to show price drops against
+  savedPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Carried over from the cart, so moving an item back restores it
+  quantity: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A named list of products a customer is keeping an eye on. Every customer
+// can also have one "Saved for later" list (kind saved_for_later), created
+// the first time something is moved out of the cart into it.
+const WishlistSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+  kind: {
+    type: String,
+    enum: ['wishlist', 'saved_for_later'],
+    default: 'wishlist'
+  },
+  items: [WishlistItemSchema],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+WishlistSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('Wishlist', WishlistSchema);
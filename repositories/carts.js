@@ -0,0 +1,74 @@
+const Cart = require('../models/Cart');
+
+// A cart belongs to an owner: { userId } for a customer, or
+// { guestId, expiresAt } for a visitor who hasn't logged in. Every write to
+// a guest cart pushes its expiry back, so only abandoned ones lapse.
+const ownerFilter = ({ userId, guestId }) => (guestId ? { guestId } : { userId });
+
+const withExpiry = (owner, update) => (owner.guestId
+  ? { ...update, $set: { ...update.$set, expiresAt: owner.expiresAt } }
+  : update);
+
+const createCartRepository = (store) => {
+  const carts = store.collection(Cart);
+
+  return {
+    findByOwner: (owner) => carts.findOne(ownerFilter(owner)),
+
+    getOrCreate: (owner) => carts.updateOne(
+      ownerFilter(owner),
+      withExpiry(owner, { $setOnInsert: { items: [] } }),
+      { upsert: true }
+    ),
+
+    // Replace the cart's lines wholesale with the caller's edited copy
+    saveItems: (owner, items) => carts.updateOne(
+      ownerFilter(owner),
+      withExpiry(owner, { $set: { items } }),
+      { upsert: true }
+    ),
+
+    // Create a cart only if the user has none yet; returns null when one existed
+    importIfMissing: async (userId, { items, clearedAt }) => {
+      const existing = await carts.findOne({ userId });
+      if (existing) return null;
+      return carts.updateOne(
+        { userId },
+        { $setOnInsert: { items, ...(clearedAt && { clearedAt }) } },
+        { upsert: true }
+      );
+    },
+
+    setCoupon: (owner, couponCode) => carts.updateOne(
+      ownerFilter(owner),
+      withExpiry(owner, { $set: { couponCode } }),
+      { upsert: true }
+    ),
+
+    removeCoupon: (owner) => carts.updateOne(
+      ownerFilter(owner),
+      withExpiry(owner, { $unset: { couponCode: 1 } })
+    ),
+
+    // Put back the lines and coupon of a checkout that didn't go through
+    restore: (owner, { items, couponCode }) => carts.updateOne(
+      ownerFilter(owner),
+      withExpiry(owner, couponCode ? { $set: { items, couponCode } } : { $set: { items } }),
+      { upsert: true }
+    ),
+
+    clear: (owner) => carts.updateOne(
+      ownerFilter(owner),
+      withExpiry(owner, { $set: { items: [], clearedAt: new Date() }, $unset: { couponCode: 1 } })
+    ),
+
+    remove: (owner) => carts.deleteMany(ownerFilter(owner)),
+
+    // MongoDB expires guest carts itself; the other stores call this now and then
+    purgeExpiredGuestCarts: () => carts.deleteMany({ expiresAt: { $lte: new Date() } })
+  };
+};
+
+module.exports = {
+  createCartRepository
+};
@@ -0,0 +1,74 @@
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+
+const normalizeCode = (code) => String(code).toUpperCase().trim();
+
+const createCouponRepository = (store) => {
+  const coupons = store.collection(Coupon);
+  const redemptions = store.collection(CouponRedemption);
+
+  return {
+    findById: (id) => coupons.findOne({ _id: id }),
+
+    findByCode: (code) => coupons.findOne({ code: normalizeCode(code) }),
+
+    list: async ({ isActive, skip = 0, limit = 20 } = {}) => {
+      const filter = {};
+      if (isActive !== undefined) filter.isActive = isActive;
+
+      const [found, total] = await Promise.all([
+        coupons.find(filter, { sort: { createdAt: -1 }, skip, limit }),
+        coupons.count(filter)
+      ]);
+      return { coupons: found, total };
+    },
+
+    create: (data) => coupons.insertOne(data),
+
+    update: (id, changes) => coupons.updateOne(
+      { _id: id },
+      { $set: { ...changes, updatedAt: new Date() } }
+    ),
+
+    // Take one use of the global allowance if any is left.
+    // A single conditional update, so concurrent checkouts can't overspend it.
+    claimUse: async (couponId) => Boolean(await coupons.updateOne(
+      {
+        _id: couponId,
+        isActive: true,
+        $or: [{ usageLimit: null }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }]
+      },
+      { $inc: { usedCount: 1 } }
+    )),
+
+    returnUse: (couponId) => coupons.updateOne(
+      { _id: couponId, usedCount: { $gt: 0 } },
+      { $inc: { usedCount: -1 } }
+    ),
+
+    countActiveRedemptions: (couponId, userId) => redemptions.count({ couponId, userId, status: 'active' }),
+
+    // Active redemptions by this user recorded no later than `redemption`;
+    // used to settle races between two orders inserting at once
+    countRedemptionsUpTo: (redemption) => redemptions.count({
+      couponId: redemption.couponId,
+      userId: redemption.userId,
+      status: 'active',
+      _id: { $lte: redemption._id }
+    }),
+
+    recordRedemption: (data) => redemptions.insertOne(data),
+
+    deleteRedemption: (id) => redemptions.deleteMany({ _id: id }),
+
+    // Flip one active redemption of the order to released; null when there is none
+    releaseRedemption: (orderId) => redemptions.updateOne(
+      { orderId, status: 'active' },
+      { $set: { status: 'released', releasedAt: new Date() } }
+    )
+  };
+};
+
+module.exports = {
+  createCouponRepository
+};
@@ -0,0 +1,34 @@
+const DeliverySlot = require('../models/DeliverySlot');
+
+const createDeliverySlotRepository = (store) => {
+  const slots = store.collection(DeliverySlot);
+
+  return {
+    findByIds: (slotIds) => slots.find({ slotId: { $in: slotIds } }),
+
+    // Book one place in the window if it has room, creating its record on
+    // first use. Returns false when the window is full: either the capacity
+    // check fails, or a concurrent first booking won the insert.
+    reserve: async ({ id, start, end, capacity }) => {
+      try {
+        return Boolean(await slots.updateOne(
+          { slotId: id, $expr: { $lt: ['$booked', '$capacity'] } },
+          { $inc: { booked: 1 }, $setOnInsert: { start, end, capacity } },
+          { upsert: true }
+        ));
+      } catch (err) {
+        if (err.code === 11000) return false;
+        throw err;
+      }
+    },
+
+    release: (slotId) => slots.updateOne(
+      { slotId, booked: { $gt: 0 } },
+      { $inc: { booked: -1 } }
+    )
+  };
+};
+
+module.exports = {
+  createDeliverySlotRepository
+};
@@ -0,0 +1,56 @@
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+const createIdempotencyKeyRepository = (store) => {
+  const keys = store.collection(IdempotencyKey);
+
+  return {
+    // Take a key for a new request. Returns { record, claimed: true } when
+    // this request owns it, or { record, claimed: false } with whatever the
+    // key already holds. A key whose window has passed, or whose first
+    // request died before finishing, is taken over; the unique index
+    // decides between two requests racing for the same new key.
+    // `owner` is { userId } or { guestId }.
+    claim: async ({ owner, key, method, path, requestHash, expiresAt, staleBefore }) => {
+      const now = new Date();
+      const fresh = { method, path, requestHash, status: 'in_progress', lockedAt: now, createdAt: now, expiresAt };
+
+      try {
+        return { record: await keys.insertOne({ ...owner, key, ...fresh }), claimed: true };
+      } catch (err) {
+        if (err.code !== 11000) throw err;
+      }
+
+      const takenOver = await keys.updateOne(
+        {
+          ...owner,
+          key,
+          $or: [
+            { expiresAt: { $lte: now } },
+            { status: 'in_progress', lockedAt: { $lte: staleBefore }, requestHash }
+          ]
+        },
+        { $set: fresh, $unset: { responseStatus: 1, responseBody: 1 } }
+      );
+      if (takenOver) return { record: takenOver, claimed: true };
+
+      const record = await keys.findOne({ ...owner, key });
+      // Gone between the insert and the lookup (expired and purged): start over
+      return record ? { record, claimed: false } : { record: await keys.insertOne({ ...owner, key, ...fresh }), claimed: true };
+    },
+
+    complete: (id, { responseStatus, responseBody }) => keys.updateOne(
+      { _id: id, status: 'in_progress' },
+      { $set: { status: 'completed', responseStatus, responseBody } }
+    ),
+
+    // Give the key up so the request can be tried again for real
+    release: (id) => keys.deleteMany({ _id: id, status: 'in_progress' }),
+
+    // MongoDB expires keys itself; the other stores call this now and then
+    purgeExpired: () => keys.deleteMany({ expiresAt: { $lte: new Date() } })
+  };
+};
+
+module.exports = {
+  createIdempotencyKeyRepository
+};
@@ -0,0 +1,61 @@
+const path = require('path');
+const { createMongoStore } = require('./stores/mongoStore');
+const { createMemoryStore } = require('./stores/memoryStore');
+const { createJsonStore } = require('./stores/jsonStore');
+const { createUserRepository } = require('./users');
+const { createCartRepository } = require('./carts');
+const { createOrderRepository } = require('./orders');
+const { createProductRepository } = require('./products');
+const { createSessionRepository } = require('./sessions');
+const { createCouponRepository } = require('./coupons');
+const { createDeliverySlotRepository } = require('./deliverySlots');
+const { createPaymentRepository } = require('./payments');
+const { createRefundRepository } = require('./refunds');
+const { createIdempotencyKeyRepository } = require('./idempotencyKeys');
+const { createWishlistRepository } = require('./wishlists');
+const { createInvoiceRepository } = require('./invoices');
+const { createNotificationRepository } = require('./notifications');
+
+// Storage backend, chosen by DATA_STORE:
+//   mongo  - MongoDB via MONGO_URI (default)
+//   json   - one JSON file per collection under JSON_DATA_DIR
+//   memory - nothing persisted; for tests and quick local runs
+// Every repository is written once against the store's collection API,
+// so routes and services take the same code path on every backend.
+// `transaction(fn)` runs fn as one unit of work: a MongoDB transaction on
+// mongo, an in-process equivalent on the others. Because of this the mongo
+// backend needs a replica set; connect() refuses a standalone server.
+const createStore = (backend) => {
+  switch (backend) {
+    case 'mongo':
+      return createMongoStore({ uri: process.env.MONGO_URI, dbName: 'freshmart' });
+    case 'json':
+      return createJsonStore({ dir: process.env.JSON_DATA_DIR || path.join(__dirname, '../data/db') });
+    case 'memory':
+      return createMemoryStore();
+    default:
+      throw new Error(`Unknown DATA_STORE: ${backend}`);
+  }
+};
+
+const store = createStore(process.env.DATA_STORE || 'mongo');
+
+module.exports = {
+  store,
+  users: createUserRepository(store),
+  carts: createCartRepository(store),
+  orders: createOrderRepository(store),
+  products: createProductRepository(store),
+  sessions: createSessionRepository(store),
+  coupons: createCouponRepository(store),
+  deliverySlots: createDeliverySlotRepository(store),
+  payments: createPaymentRepository(store),
+  refunds: createRefundRepository(store),
+  idempotencyKeys: createIdempotencyKeyRepository(store),
+  wishlists: createWishlistRepository(store),
+  invoices: createInvoiceRepository(store),
+  notifications: createNotificationRepository(store),
+  transaction: (fn) => store.transaction(fn),
+  connect: () => store.connect(),
+  disconnect: () => store.disconnect()
+};
@@ -0,0 +1,30 @@
+const Invoice = require('../models/Invoice');
+const Counter = require('../models/Counter');
+
+const createInvoiceRepository = (store) => {
+  const invoices = store.collection(Invoice);
+  const counters = store.collection(Counter);
+
+  return {
+    // Take the next number in a series. Call it inside the transaction that
+    // writes the document, so a failed write hands the number back.
+    nextNumber: async (series) => (await counters.updateOne(
+      { name: series },
+      { $inc: { seq: 1 } },
+      { upsert: true }
+    )).seq,
+
+    create: (data) => invoices.insertOne(data),
+
+    findInvoiceForOrder: (orderId) => invoices.findOne({ invoiceFor: orderId }),
+
+    listCreditNotes: (orderId) => invoices.find(
+      { orderId, type: 'credit_note' },
+      { sort: { sequence: 1 } }
+    )
+  };
+};
+
+module.exports = {
+  createInvoiceRepository
+};
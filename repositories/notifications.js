@@ -0,0 +1,61 @@
+const Notification = require('../models/Notification');
+
+const createNotificationRepository = (store) => {
+  const notifications = store.collection(Notification);
+
+  return {
+    create: (data) => notifications.insertOne(data),
+
+    findById: (id) => notifications.findOne({ _id: id }),
+
+    list: async ({ status, skip = 0, limit = 20 } = {}) => {
+      const filter = {};
+      if (status) filter.status = status;
+
+      const [found, total] = await Promise.all([
+        notifications.find(filter, { sort: { createdAt: -1 }, skip, limit }),
+        notifications.count(filter)
+      ]);
+      return { notifications: found, total };
+    },
+
+    // Take the next message that is due, or one whose dispatcher stopped
+    // partway (locked before `staleBefore`). One conditional update, so two
+    // dispatchers never take the same message.
+    claimNext: (now, staleBefore) => notifications.updateOne(
+      {
+        $or: [
+          { status: 'pending', nextAttemptAt: { $lte: now } },
+          { status: 'sending', lockedAt: { $lte: staleBefore } }
+        ]
+      },
+      { $set: { status: 'sending', lockedAt: now, updatedAt: now }, $inc: { attempts: 1 } },
+      { sort: { nextAttemptAt: 1 } }
+    ),
+
+    markSent: (id) => notifications.updateOne(
+      { _id: id, status: 'sending' },
+      { $set: { status: 'sent', sentAt: new Date(), updatedAt: new Date() }, $unset: { lockedAt: 1, lastError: 1 } }
+    ),
+
+    markRetry: (id, nextAttemptAt, error) => notifications.updateOne(
+      { _id: id, status: 'sending' },
+      { $set: { status: 'pending', nextAttemptAt, lastError: error, updatedAt: new Date() }, $unset: { lockedAt: 1 } }
+    ),
+
+    markFailed: (id, error) => notifications.updateOne(
+      { _id: id, status: 'sending' },
+      { $set: { status: 'failed', lastError: error, failedAt: new Date(), updatedAt: new Date() }, $unset: { lockedAt: 1 } }
+    ),
+
+    // Queue a message that gave up for another round of attempts
+    requeue: (id) => notifications.updateOne(
+      { _id: id, status: 'failed' },
+      { $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date(), updatedAt: new Date() }, $unset: { failedAt: 1 } }
+    )
+  };
+};
+
+module.exports = {
+  createNotificationRepository
+};
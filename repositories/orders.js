@@ -0,0 +1,106 @@
+const Order = require('../models/Order');
+
+const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Orders are addressed by their customer-facing number (the `id` field, FM...)
+const createOrderRepository = (store) => {
+  const orders = store.collection(Order);
+
+  return {
+    create: (order) => orders.insertOne(order),
+
+    findByNumber: (orderNumber, { userId } = {}) => orders.findOne({
+      id: orderNumber,
+      ...(userId !== undefined && { userId })
+    }),
+
+    // A customer's order history, one page at a time. `dir` is -1 for newest
+    // first or 1 for oldest; `after` is the decoded cursor ({ orderDate, id })
+    // of the last order on the previous page. `total` counts every match,
+    // not just what is left after the cursor.
+    history: async ({ userId, statuses, from, to, q, dir = -1, after, limit }) => {
+      const filter = { userId };
+
+      if (statuses && statuses.length > 0) {
+        filter.status = statuses.length === 1 ? statuses[0] : { $in: statuses };
+      }
+
+      if (from || to) {
+        filter.orderDate = {};
+        if (from) filter.orderDate.$gte = from;
+        if (to) filter.orderDate.$lt = to;
+      }
+
+      // Unanchored, so it can't use an index, but it only scans this
+      // customer's orders, which the userId indexes narrow down to
+      if (q) filter['items.name'] = new RegExp(escapeRegex(q), 'i');
+
+      const pageFilter = { ...filter };
+      if (after) {
+        const op = dir === 1 ? '$gt' : '$lt';
+        pageFilter.$or = [
+          { orderDate: { [op]: after.orderDate } },
+          { orderDate: after.orderDate, _id: { [op]: after.id } }
+        ];
+      }
+
+      const [found, total] = await Promise.all([
+        orders.find(pageFilter, { sort: { orderDate: dir, _id: dir }, limit }),
+        orders.count(filter)
+      ]);
+      return { orders: found, total };
+    },
+
+    countByUser: (userId) => orders.count({ userId }),
+
+    list: async ({ status, userId, skip = 0, limit = 20 } = {}) => {
+      const filter = {};
+      if (status) filter.status = status;
+      if (userId) filter.userId = userId;
+
+      const [found, total] = await Promise.all([
+        orders.find(filter, { sort: { orderDate: -1 }, skip, limit }),
+        orders.count(filter)
+      ]);
+      return { orders: found, total };
+    },
+
+    // Apply a status change only if the order is still in `fromStatus`.
+    // Returns null when someone else moved it first.
+    transition: (orderNumber, fromStatus, { set, history }) => orders.updateOne(
+      { id: orderNumber, status: fromStatus },
+      { $set: set, $push: { statusHistory: history } }
+    ),
+
+    // Record cancelled units against an order's lines. Conditional on the
+    // status and on how many cancellations it had when the caller read it,
+    // so concurrent cancellations can't both take the same units.
+    cancelItems: (orderNumber, { statuses, knownCancellations, items, entries }) => orders.updateOne(
+      {
+        id: orderNumber,
+        status: { $in: statuses },
+        ...(knownCancellations > 0
+          ? { itemCancellations: { $size: knownCancellations } }
+          : { $or: [{ itemCancellations: { $exists: false } }, { itemCancellations: { $size: 0 } }] })
+      },
+      { $set: { items }, $push: { itemCancellations: { $each: entries } } }
+    ),
+
+    // Point an order at a new delivery window, if it is still in one of
+    // `statuses` and still booked into the window the caller read
+    moveSlot: (orderNumber, { statuses, fromSlotId, deliverySlot }) => orders.updateOne(
+      {
+        id: orderNumber,
+        status: { $in: statuses },
+        'deliverySlot.id': fromSlotId ? fromSlotId : { $exists: false }
+      },
+      { $set: { deliverySlot } }
+    ),
+
+    update: (orderNumber, changes) => orders.updateOne({ id: orderNumber }, { $set: changes })
+  };
+};
+
+module.exports = {
+  createOrderRepository
+};
@@ -0,0 +1,28 @@
+const Payment = require('../models/Payment');
+
+const createPaymentRepository = (store) => {
+  const payments = store.collection(Payment);
+
+  return {
+    create: (data) => payments.insertOne(data),
+
+    findByProviderRef: (provider, providerRef) => payments.findOne({ provider, providerRef }),
+
+    findByOrder: (orderId) => payments.find({ orderId }, { sort: { createdAt: -1 } }),
+
+    // Settle a pending payment from a webhook event. Conditional on both the
+    // status and the event being new, so redelivered or late events can't
+    // apply twice. Returns null when nothing changed.
+    settle: (paymentId, eventId, set) => payments.updateOne(
+      { _id: paymentId, status: 'pending', processedEvents: { $ne: eventId } },
+      {
+        $set: { ...set, updatedAt: new Date() },
+        $push: { processedEvents: { $each: [eventId], $slice: -20 } }
+      }
+    )
+  };
+};
+
+module.exports = {
+  createPaymentRepository
+};
@@ -0,0 +1,113 @@
+const Product = require('../models/Product');
+
+const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Carts from before the catalog hold ids like "2"; keep them out of $in
+// queries, where one malformed id would fail the whole lookup on Mongo
+const isObjectIdLike = (id) => /^[a-f0-9]{24}$/i.test(String(id));
+
+// Plain documents don't carry ProductSchema's virtuals; add them back so
+// every backend returns the same shape
+const withVirtuals = (product) => product && {
+  ...product,
+  image: product.images && product.images.length > 0 ? product.images[0] : undefined,
+  inStock: product.stock > 0
+};
+
+const createProductRepository = (store) => {
+  const products = store.collection(Product);
+
+  return {
+    // Storefront listing. `sort` is { field, dir }; `after` is the decoded
+    // cursor ({ value, id }) of the last product on the previous page.
+    search: ({ q, categories, minPrice, maxPrice, inStock, sort, after, limit }) => {
+      const filter = { isActive: true };
+
+      if (q) filter.$text = { $search: q };
+
+      if (categories && categories.length > 0) {
+        filter.category = categories.length === 1 ? categories[0] : { $in: categories };
+      }
+
+      if (inStock) filter.stock = { $gt: 0 };
+
+      if (minPrice !== undefined || maxPrice !== undefined) {
+        filter.price = {};
+        if (minPrice !== undefined) filter.price.$gte = minPrice;
+        if (maxPrice !== undefined) filter.price.$lte = maxPrice;
+      }
+
+      const { field, dir } = sort;
+
+      if (after) {
+        const op = dir === 1 ? '$gt' : '$lt';
+        filter.$and = [{
+          $or: [
+            { [field]: { [op]: after.value } },
+            { [field]: after.value, _id: { [op]: after.id } }
+          ]
+        }];
+      }
+
+      return products.find(filter, { sort: { [field]: dir, _id: dir }, limit })
+        .then(found => found.map(withVirtuals));
+    },
+
+    findById: (id) => products.findOne({ _id: id }).then(withVirtuals),
+
+    findActiveById: (id) => products.findOne({ _id: id, isActive: true }).then(withVirtuals),
+
+    findActiveByIds: (ids) => products.find({ _id: { $in: ids.filter(isObjectIdLike) }, isActive: true })
+      .then(found => found.map(withVirtuals)),
+
+    list: async ({ category, isActive, q, skip = 0, limit = 20 } = {}) => {
+      const filter = {};
+      if (category) filter.category = String(category).toLowerCase();
+      if (isActive !== undefined) filter.isActive = isActive;
+      if (q) filter.name = new RegExp(escapeRegex(String(q).trim()), 'i');
+
+      const [found, total] = await Promise.all([
+        products.find(filter, { sort: { name: 1 }, skip, limit }),
+        products.count(filter)
+      ]);
+      return { products: found.map(withVirtuals), total };
+    },
+
+    create: (data) => products.insertOne(data).then(withVirtuals),
+
+    update: (id, changes) => products.updateOne(
+      { _id: id },
+      { $set: { ...changes, updatedAt: new Date() } }
+    ).then(withVirtuals),
+
+    // Take `quantity` units if at least that many are on hand.
+    // A single conditional update, so concurrent checkouts can't oversell.
+    reserve: async (id, quantity) => Boolean(await products.updateOne(
+      { _id: id, isActive: true, stock: { $gte: quantity } },
+      { $inc: { stock: -quantity } }
+    )),
+
+    release: (id, quantity) => products.updateOne(
+      { _id: id },
+      { $inc: { stock: quantity } }
+    ),
+
+    // Relative stock change that refuses to go below zero
+    adjustStock: (id, adjustment) => products.updateOne(
+      { _id: id, ...(adjustment < 0 && { stock: { $gte: -adjustment } }) },
+      { $inc: { stock: adjustment }, $set: { updatedAt: new Date() } }
+    ).then(withVirtuals),
+
+    // Active products at or below their own threshold, or below an explicit one
+    findLowStock: (threshold) => products.find(
+      threshold !== undefined
+        ? { isActive: true, stock: { $lte: threshold } }
+        : { isActive: true, $expr: { $lte: ['$stock', '$lowStockThreshold'] } },
+      { select: 'name category unit stock lowStockThreshold', sort: { stock: 1, name: 1 } }
+    )
+  };
+};
+
+module.exports = {
+  createProductRepository
+};
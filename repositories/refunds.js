@@ -0,0 +1,49 @@
+const Refund = require('../models/Refund');
+
+const createRefundRepository = (store) => {
+  const refunds = store.collection(Refund);
+
+  return {
+    create: (data) => refunds.insertOne(data),
+
+    findById: (id) => refunds.findOne({ _id: id }),
+
+    findByProviderRef: (provider, providerRef) => refunds.findOne({ provider, providerRef }),
+
+    listByOrder: (orderId) => refunds.find({ orderId }, { sort: { createdAt: 1 } }),
+
+    list: async ({ status, skip = 0, limit = 20 } = {}) => {
+      const filter = {};
+      if (status) filter.status = status;
+
+      const [found, total] = await Promise.all([
+        refunds.find(filter, { sort: { createdAt: -1 }, skip, limit }),
+        refunds.count(filter)
+      ]);
+      return { refunds: found, total };
+    },
+
+    // Take a refund for an attempt: `from` picks the state it must be in,
+    // e.g. { status: 'failed' } for a retry. Conditional, so two attempts
+    // at the same refund can't both go out.
+    claimAttempt: (id, from) => refunds.updateOne(
+      { _id: id, ...from },
+      { $set: { status: 'pending', updatedAt: new Date() }, $unset: { failureReason: 1 }, $inc: { attempts: 1 } }
+    ),
+
+    update: (id, changes) => refunds.updateOne(
+      { _id: id },
+      { $set: { ...changes, updatedAt: new Date() } }
+    ),
+
+    // Settle a refund the provider accepted but finished later
+    settle: (provider, providerRef, changes) => refunds.updateOne(
+      { provider, providerRef, status: 'pending' },
+      { $set: { ...changes, updatedAt: new Date() } }
+    )
+  };
+};
+
+module.exports = {
+  createRefundRepository
+};
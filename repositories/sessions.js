@@ -0,0 +1,50 @@
+const Session = require('../models/Session');
+
+const createSessionRepository = (store) => {
+  const sessions = store.collection(Session);
+
+  return {
+    create: (data) => sessions.insertOne(data),
+
+    // Swap the current refresh token hash for a new one, but only if the
+    // presented hash is the current one and the session is still live.
+    rotate: ({ sessionId, presentedHash, nextHash, keepPrevious }) => {
+      const now = new Date();
+      return sessions.updateOne(
+        { _id: sessionId, tokenHash: presentedHash, revokedAt: null, expiresAt: { $gt: now } },
+        {
+          $set: { tokenHash: nextHash, lastUsedAt: now },
+          $push: { previousTokenHashes: { $each: [presentedHash], $slice: -keepPrevious } }
+        }
+      );
+    },
+
+    // Revoke the session if `tokenHash` is one it already rotated out
+    revokeIfReused: (sessionId, tokenHash) => sessions.updateOne(
+      { _id: sessionId, previousTokenHashes: tokenHash, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'refresh_token_reuse' } }
+    ),
+
+    revoke: (sessionId, reason) => sessions.updateOne(
+      { _id: sessionId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    ),
+
+    // Resolves to the number of sessions revoked
+    revokeAllForUser: (userId, reason) => sessions.updateMany(
+      { userId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    ),
+
+    isActive: async (sessionId, userId) => (await sessions.count({
+      _id: sessionId,
+      userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })) > 0
+  };
+};
+
+module.exports = {
+  createSessionRepository
+};
@@ -0,0 +1,44 @@
+const fs = require('fs');
+const path = require('path');
+const { createMemoryStore } = require('./memoryStore');
+
+const readData = (file) => {
+  try {
+    const data = fs.readFileSync(file, 'utf8');
+    return data.trim() ? JSON.parse(data) : [];
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.error(`Error reading ${file}:`, err);
+    return [];
+  }
+};
+
+// Write to a temp file and rename, so a crash mid-write never leaves a
+// truncated collection behind
+const writeData = (file, data) => {
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+  fs.renameSync(tmp, file);
+};
+
+// The in-memory store, loaded from and flushed to one JSON file per
+// collection after every write.
+const createJsonStore = ({ dir }) => {
+  const fileFor = (name) => path.join(dir, `${name}.json`);
+
+  const store = createMemoryStore({
+    loadCollection: (name) => readData(fileFor(name)),
+    persistCollection: (name, docs) => writeData(fileFor(name), docs)
+  });
+
+  return {
+    ...store,
+    name: 'json',
+    connect: async () => {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+  };
+};
+
+module.exports = {
+  createJsonStore
+};
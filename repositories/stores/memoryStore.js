@@ -0,0 +1,226 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const {
+  normalize,
+  matches,
+  applyUpdate,
+  equalityFields,
+  sortDocs,
+  project
+} = require('./query');
+
+// Documents are validated and defaulted through the same Mongoose schema the
+// Mongo store uses, without ever touching a connection.
+const prepare = (Model, data) => {
+  const doc = new Model(data);
+  const error = doc.validateSync();
+  if (error) throw error;
+  return normalize(doc.toObject({ depopulate: true }));
+};
+
+const duplicateKeyError = (collectionName, path, value) => {
+  const error = new Error(`E11000 duplicate key error collection: ${collectionName} index: ${path}_1`);
+  error.name = 'MongoServerError';
+  error.code = 11000;
+  error.keyValue = { [path]: value };
+  return error;
+};
+
+const schemaInfo = (Model) => {
+  const indexes = Model.schema.indexes();
+
+  const textFields = indexes
+    .flatMap(([fields]) => Object.entries(fields).filter(([, type]) => type === 'text').map(([path]) => path));
+
+  const uniqueKeys = indexes
+    .filter(([, options]) => options && options.unique)
+    .map(([fields, options]) => ({ paths: Object.keys(fields), sparse: Boolean(options.sparse) }));
+
+  const hidden = [];
+  Model.schema.eachPath((path, schemaType) => {
+    if (schemaType.options && schemaType.options.select === false) hidden.push(path);
+  });
+
+  return { textFields, uniqueKeys, hidden };
+};
+
+const createMemoryCollection = (Model, { initialDocs = [], onChange = () => {}, unitOfWork } = {}) => {
+  const name = Model.collection.collectionName;
+  const { textFields, uniqueKeys, hidden } = schemaInfo(Model);
+  const context = { textFields };
+  let docs = initialDocs.map(doc => prepare(Model, doc));
+
+  // Every write awaits this first and then runs synchronously to the end.
+  // Inside a unit of work the first write keeps a copy of the collection to
+  // roll back to; outside one, writes wait until the open unit finishes.
+  const beginWrite = async () => {
+    const work = unitOfWork.current();
+    if (!work) return unitOfWork.idle();
+
+    if (!work.touched.has(name)) {
+      const saved = docs.slice();
+      work.touched.set(name, {
+        rollback: () => { docs = saved; },
+        commit: () => onChange(docs)
+      });
+    }
+  };
+
+  // Units of work persist once, on commit
+  const changed = () => {
+    if (!unitOfWork.current()) onChange(docs);
+  };
+
+  const keyOf = (doc, paths) => JSON.stringify(paths.map(path => normalize(doc[path])));
+
+  const checkUnique = (candidate, ignoreId) => {
+    uniqueKeys.forEach(({ paths, sparse }) => {
+      if (sparse && paths.every(path => candidate[path] === undefined || candidate[path] === null)) return;
+      const key = keyOf(candidate, paths);
+      const clash = docs.find(doc => doc._id !== ignoreId && keyOf(doc, paths) === key);
+      if (clash) throw duplicateKeyError(name, paths.join('_'), candidate[paths[0]]);
+    });
+  };
+
+  const output = (doc, select) => (doc ? project(normalize(doc), select, hidden) : null);
+  const filterDocs = (filter) => docs.filter(doc => matches(doc, filter, context));
+
+  return {
+    name,
+
+    insertOne: async (data) => {
+      await beginWrite();
+      const doc = prepare(Model, data);
+      checkUnique(doc);
+      docs.push(doc);
+      changed();
+      return normalize(doc);
+    },
+
+    findOne: async (filter, { select, sort } = {}) => output(sortDocs(filterDocs(filter), sort)[0], select),
+
+    find: async (filter, { select, sort, skip = 0, limit } = {}) => {
+      const found = sortDocs(filterDocs(filter), sort).slice(skip, limit ? skip + limit : undefined);
+      return found.map(doc => output(doc, select));
+    },
+
+    count: async (filter) => filterDocs(filter).length,
+
+    // Returns the updated document, or null when nothing matched.
+    // Runs synchronously end to end, so a conditional filter plus update
+    // is atomic just like findOneAndUpdate.
+    updateOne: async (filter, update, { upsert = false, select, sort } = {}) => {
+      await beginWrite();
+      const current = sortDocs(filterDocs(filter), sort)[0];
+
+      if (!current) {
+        if (!upsert) return null;
+        const doc = prepare(Model, applyUpdate(equalityFields(filter), update, { isInsert: true }));
+        checkUnique(doc);
+        docs.push(doc);
+        changed();
+        return output(doc, select);
+      }
+
+      const doc = prepare(Model, applyUpdate(current, update));
+      checkUnique(doc, current._id);
+      docs[docs.indexOf(current)] = doc;
+      changed();
+      return output(doc, select);
+    },
+
+    updateMany: async (filter, update) => {
+      await beginWrite();
+      const targets = filterDocs(filter);
+      const updated = targets.map(current => prepare(Model, applyUpdate(current, update)));
+      updated.forEach((doc, i) => {
+        docs[docs.indexOf(targets[i])] = doc;
+      });
+      if (targets.length > 0) changed();
+      return targets.length;
+    },
+
+    deleteMany: async (filter) => {
+      await beginWrite();
+      const before = docs.length;
+      docs = docs.filter(doc => !matches(doc, filter, context));
+      if (docs.length !== before) changed();
+      return before - docs.length;
+    }
+  };
+};
+
+// Units of work run one at a time, and writes from outside wait for the
+// open one, so rolling back never undoes anyone else's change. Reads from
+// outside are not held up and may see the unit's writes before it commits.
+const createUnitOfWork = () => {
+  const storage = new AsyncLocalStorage();
+  let running = null;
+
+  const current = () => {
+    const work = storage.getStore();
+    // Timers and callbacks started inside a unit outlive it; once it has
+    // finished, their writes are ordinary writes again
+    return work && work.open ? work : null;
+  };
+
+  const idle = async () => {
+    while (running) await running;
+  };
+
+  const run = async (fn) => {
+    if (current()) return fn();
+
+    await idle();
+    const work = { open: true, touched: new Map() };
+    let finish;
+    running = new Promise(resolve => { finish = resolve; });
+
+    try {
+      const result = await storage.run(work, fn);
+      work.touched.forEach(collection => collection.commit());
+      return result;
+    } catch (err) {
+      work.touched.forEach(collection => collection.rollback());
+      throw err;
+    } finally {
+      work.open = false;
+      running = null;
+      finish();
+    }
+  };
+
+  return { current, idle, run };
+};
+
+const createMemoryStore = ({ loadCollection = () => [], persistCollection = () => {} } = {}) => {
+  const collections = new Map();
+  const unitOfWork = createUnitOfWork();
+
+  return {
+    name: 'memory',
+
+    collection: (Model) => {
+      const name = Model.collection.collectionName;
+      if (!collections.has(name)) {
+        collections.set(name, createMemoryCollection(Model, {
+          initialDocs: loadCollection(name),
+          onChange: (docs) => persistCollection(name, docs),
+          unitOfWork
+        }));
+      }
+      return collections.get(name);
+    },
+
+    // Run `fn` so that its writes all land or, if it throws, none do.
+    // Calls made inside an open unit of work join it.
+    transaction: (fn) => unitOfWork.run(fn),
+
+    connect: async () => {},
+    disconnect: async () => {},
+    isConnected: () => true
+  };
+};
+
+module.exports = {
+  createMemoryStore
+};
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+// Operations inside connection.transaction() pick up its session on their
+// own, so repositories don't have to pass one around
+mongoose.set('transactionAsyncLocalStorage', true);
+
+// A malformed id can never match anything; treat it like "not found"
+// instead of letting Mongoose's CastError escape to the routes.
+const orEmpty = async (operation, emptyValue) => {
+  try {
+    return await operation();
+  } catch (err) {
+    if (err.name === 'CastError') return emptyValue;
+    throw err;
+  }
+};
+
+const createMongoCollection = (Model) => ({
+  name: Model.collection.collectionName,
+
+  insertOne: async (data) => (await Model.create(data)).toObject(),
+
+  findOne: (filter, { select, sort } = {}) => orEmpty(() => {
+    const query = Model.findOne(filter).select(select);
+    if (sort) query.sort(sort);
+    return query.lean();
+  }, null),
+
+  find: (filter, { select, sort, skip, limit } = {}) => orEmpty(() => {
+    const query = Model.find(filter).select(select);
+    if (sort) query.sort(sort);
+    if (skip) query.skip(skip);
+    if (limit) query.limit(limit);
+    return query.lean();
+  }, []),
+
+  count: (filter) => orEmpty(() => Model.countDocuments(filter), 0),
+
+  updateOne: (filter, update, { upsert = false, select, sort } = {}) => orEmpty(() =>
+    Model.findOneAndUpdate(filter, update, {
+      new: true,
+      upsert,
+      sort,
+      runValidators: true,
+      setDefaultsOnInsert: true
+    }).select(select).lean(), null),
+
+  updateMany: (filter, update) => orEmpty(async () =>
+    (await Model.updateMany(filter, update, { runValidators: true })).modifiedCount, 0),
+
+  deleteMany: (filter) => orEmpty(async () => (await Model.deleteMany(filter)).deletedCount, 0)
+});
+
+const createMongoStore = ({ uri, dbName }) => {
+  const collections = new Map();
+
+  return {
+    name: 'mongo',
+
+    collection: (Model) => {
+      if (!collections.has(Model.modelName)) {
+        collections.set(Model.modelName, createMongoCollection(Model));
+      }
+      return collections.get(Model.modelName);
+    },
+
+    connect: async () => {
+      await mongoose.connect(uri, { dbName });
+
+      // Checkout and the other multi-document writes run in transactions,
+      // which a standalone mongod refuses. Fail here rather than on the
+      // first order.
+      const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+      if (!hello.setName && hello.msg !== 'isdbgrid') {
+        await mongoose.disconnect();
+        throw new Error('MongoDB must run as a replica set (a single-node one is fine): start mongod with --replSet and run rs.initiate() once');
+      }
+      console.log('MongoDB connected');
+    },
+
+    disconnect: () => mongoose.disconnect(),
+
+    // Run `fn` in a MongoDB transaction (connect checks for the replica set
+    // this needs). It is retried from the top on transient errors such as
+    // write conflicts. Calls made inside an open transaction join it.
+    transaction: (fn) => {
+      if (mongoose.transactionAsyncLocalStorage.getStore()?.session) return fn();
+      return mongoose.connection.transaction(() => fn());
+    },
+
+    isConnected: () => mongoose.connection.readyState === 1
+  };
+};
+
+module.exports = {
+  createMongoStore
+};
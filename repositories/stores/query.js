@@ -0,0 +1,265 @@
+// A small interpreter for the subset of MongoDB query and update syntax the
+// repositories use, so the in-memory and JSON stores behave like Mongo.
+// Documents handled here are plain objects with ids stored as hex strings.
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value) &&
+  !(value instanceof Date) && !(value instanceof RegExp) && !isObjectId(value);
+
+const isObjectId = (value) =>
+  value !== null && typeof value === 'object' && value._bsontype === 'ObjectId';
+
+// ObjectIds become hex strings, everything else is deep-copied as-is
+const normalize = (value) => {
+  if (isObjectId(value)) return value.toHexString();
+  if (value instanceof Date) return new Date(value.getTime());
+  if (value instanceof RegExp) return value;
+  if (Array.isArray(value)) return value.map(normalize);
+  if (value !== null && typeof value === 'object') {
+    if (typeof value.toObject === 'function') return normalize(value.toObject());
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, normalize(v)]));
+  }
+  return value;
+};
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => {
+  if (value === undefined || value === null) return undefined;
+  if (Array.isArray(value) && !/^\d+$/.test(key)) {
+    const values = value.map(item => (item === null || item === undefined ? undefined : item[key]));
+    return values.flat();
+  }
+  return value[key];
+}, doc);
+
+const setPath = (doc, path, value) => {
+  const keys = path.split('.');
+  let target = doc;
+  keys.slice(0, -1).forEach(key => {
+    if (target[key] === undefined || target[key] === null) target[key] = {};
+    target = target[key];
+  });
+  target[keys[keys.length - 1]] = value;
+};
+
+const unsetPath = (doc, path) => {
+  const keys = path.split('.');
+  const parent = keys.slice(0, -1).reduce((value, key) => (value ? value[key] : undefined), doc);
+  if (parent) delete parent[keys[keys.length - 1]];
+};
+
+// Order used by comparisons and sorts; mirrors Mongo's type bracketing
+// closely enough for our data (missing/null < numbers < strings < dates).
+const typeRank = (value) => {
+  if (value === undefined || value === null) return 0;
+  if (typeof value === 'number') return 1;
+  if (typeof value === 'string') return 2;
+  if (typeof value === 'boolean') return 4;
+  if (value instanceof Date) return 5;
+  return 3;
+};
+
+const compareValues = (a, b) => {
+  a = normalize(a);
+  b = normalize(b);
+  const rankA = typeRank(a);
+  const rankB = typeRank(b);
+  if (rankA !== rankB) return rankA < rankB ? -1 : 1;
+  if (a instanceof Date) return Math.sign(a.getTime() - b.getTime());
+  if (rankA === 0) return 0;
+  if (typeof a === 'object') return Math.sign(JSON.stringify(a).localeCompare(JSON.stringify(b)));
+  return a < b ? -1 : a > b ? 1 : 0;
+};
+
+const valuesEqual = (a, b) => {
+  a = normalize(a);
+  b = normalize(b);
+  if ((a === undefined || a === null) && (b === undefined || b === null)) return true;
+  if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+  if (typeof a === 'object' && typeof b === 'object' && a !== null && b !== null) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+  return a === b;
+};
+
+// A field condition matches an array field if it matches any element,
+// or the array as a whole (Mongo semantics for equality on arrays).
+const anyValue = (value, test) =>
+  (Array.isArray(value) && value.some(test)) || test(value);
+
+const comparable = (a, b) => typeRank(normalize(a)) === typeRank(normalize(b));
+
+const OPERATORS = {
+  $eq: (value, arg) => anyValue(value, v => valuesEqual(v, arg)),
+  $ne: (value, arg) => !anyValue(value, v => valuesEqual(v, arg)),
+  $gt: (value, arg) => anyValue(value, v => comparable(v, arg) && compareValues(v, arg) > 0),
+  $gte: (value, arg) => anyValue(value, v => comparable(v, arg) && compareValues(v, arg) >= 0),
+  $lt: (value, arg) => anyValue(value, v => comparable(v, arg) && compareValues(v, arg) < 0),
+  $lte: (value, arg) => anyValue(value, v => comparable(v, arg) && compareValues(v, arg) <= 0),
+  $in: (value, arg) => arg.some(item => matchesValue(value, item)),
+  $nin: (value, arg) => !arg.some(item => matchesValue(value, item)),
+  $exists: (value, arg) => (value !== undefined) === Boolean(arg),
+  $regex: (value, arg, condition) => {
+    const regex = arg instanceof RegExp ? arg : new RegExp(arg, condition.$options || '');
+    return anyValue(value, v => typeof v === 'string' && regex.test(v));
+  },
+  $options: () => true,
+  $elemMatch: (value, arg) => Array.isArray(value) && value.some(item =>
+    isPlainObject(item) ? matches(item, arg) : matchesCondition(item, arg)),
+  $size: (value, arg) => Array.isArray(value) && value.length === arg
+};
+
+const matchesValue = (value, expected) => {
+  if (expected instanceof RegExp) {
+    return anyValue(value, v => typeof v === 'string' && expected.test(v));
+  }
+  return anyValue(value, v => valuesEqual(v, expected));
+};
+
+const matchesCondition = (value, condition) => {
+  if (isPlainObject(condition) && Object.keys(condition).some(key => key.startsWith('$'))) {
+    return Object.entries(condition).every(([op, arg]) => {
+      if (!OPERATORS[op]) throw new Error(`Unsupported query operator: ${op}`);
+      return OPERATORS[op](value, arg, condition);
+    });
+  }
+  return matchesValue(value, condition);
+};
+
+const exprValue = (doc, operand) =>
+  typeof operand === 'string' && operand.startsWith('$') ? getPath(doc, operand.slice(1)) : operand;
+
+const EXPR_OPERATORS = {
+  $eq: (a, b) => valuesEqual(a, b),
+  $ne: (a, b) => !valuesEqual(a, b),
+  $gt: (a, b) => compareValues(a, b) > 0,
+  $gte: (a, b) => compareValues(a, b) >= 0,
+  $lt: (a, b) => compareValues(a, b) < 0,
+  $lte: (a, b) => compareValues(a, b) <= 0
+};
+
+const matchesExpr = (doc, expr) => Object.entries(expr).every(([op, [left, right]]) => {
+  if (!EXPR_OPERATORS[op]) throw new Error(`Unsupported $expr operator: ${op}`);
+  return EXPR_OPERATORS[op](exprValue(doc, left), exprValue(doc, right));
+});
+
+// Approximates $text: any search term found (case-insensitively) in any of
+// the fields covered by the collection's text index.
+const matchesText = (doc, { $search }, textFields) => {
+  const terms = String($search).toLowerCase().split(/\s+/).filter(Boolean);
+  const haystack = textFields
+    .map(field => getPath(doc, field))
+    .flat()
+    .filter(value => typeof value === 'string')
+    .join(' ')
+    .toLowerCase();
+  return terms.some(term => haystack.includes(term));
+};
+
+const matches = (doc, filter = {}, context = {}) => Object.entries(filter).every(([key, condition]) => {
+  if (key === '$and') return condition.every(sub => matches(doc, sub, context));
+  if (key === '$or') return condition.some(sub => matches(doc, sub, context));
+  if (key === '$nor') return !condition.some(sub => matches(doc, sub, context));
+  if (key === '$expr') return matchesExpr(doc, condition);
+  if (key === '$text') return matchesText(doc, condition, context.textFields || []);
+  return matchesCondition(getPath(doc, key), condition);
+});
+
+const UPDATE_OPERATORS = {
+  $set: (doc, path, value) => setPath(doc, path, normalize(value)),
+  $setOnInsert: () => {},
+  $unset: (doc, path) => unsetPath(doc, path),
+  $inc: (doc, path, amount) => setPath(doc, path, (getPath(doc, path) || 0) + amount),
+  $push: (doc, path, value) => {
+    const current = getPath(doc, path);
+    const list = Array.isArray(current) ? current : [];
+    const hasModifiers = isPlainObject(value) && value.$each !== undefined;
+    const items = hasModifiers ? value.$each : [value];
+    let next = list.concat(normalize(items));
+    if (hasModifiers && value.$slice !== undefined) {
+      next = value.$slice < 0 ? next.slice(value.$slice) : next.slice(0, value.$slice);
+    }
+    setPath(doc, path, next);
+  },
+  $pull: (doc, path, condition) => {
+    const current = getPath(doc, path);
+    if (!Array.isArray(current)) return;
+    setPath(doc, path, current.filter(item => (isPlainObject(item) && isPlainObject(condition)
+      ? !matches(item, condition)
+      : !matchesCondition(item, condition))));
+  }
+};
+
+// Apply an update document to a copy of `doc`. When `isInsert` is set,
+// $setOnInsert fields are applied too.
+const applyUpdate = (doc, update, { isInsert = false } = {}) => {
+  const result = normalize(doc);
+
+  Object.entries(update).forEach(([op, fields]) => {
+    if (!op.startsWith('$')) {
+      setPath(result, op, normalize(fields));
+      return;
+    }
+    if (!UPDATE_OPERATORS[op]) throw new Error(`Unsupported update operator: ${op}`);
+    Object.entries(fields).forEach(([path, value]) => {
+      if (op === '$setOnInsert') {
+        if (isInsert) setPath(result, path, normalize(value));
+        return;
+      }
+      UPDATE_OPERATORS[op](result, path, value);
+    });
+  });
+
+  return result;
+};
+
+// Plain equality conditions from a filter, used to seed upserted documents
+const equalityFields = (filter) => Object.entries(filter).reduce((fields, [key, value]) => {
+  if (!key.startsWith('$') && !(isPlainObject(value) && Object.keys(value).some(k => k.startsWith('$')))) {
+    setPath(fields, key, normalize(value));
+  }
+  return fields;
+}, {});
+
+const sortDocs = (docs, sort) => {
+  if (!sort) return docs;
+  const keys = Object.entries(sort);
+  return docs.slice().sort((a, b) => {
+    for (const [path, dir] of keys) {
+      const order = compareValues(getPath(a, path), getPath(b, path));
+      if (order !== 0) return order * (dir < 0 ? -1 : 1);
+    }
+    return 0;
+  });
+};
+
+// Mongoose-style select strings: "name price", "-password", "+secretField".
+// `hidden` lists schema paths with select: false, dropped unless "+"-included.
+const project = (doc, select, hidden = []) => {
+  const tokens = (select || '').split(/\s+/).filter(Boolean);
+  const forced = tokens.filter(t => t.startsWith('+')).map(t => t.slice(1));
+  const excluded = tokens.filter(t => t.startsWith('-')).map(t => t.slice(1));
+  const included = tokens.filter(t => !t.startsWith('+') && !t.startsWith('-'));
+
+  let result;
+  if (included.length > 0) {
+    result = { _id: doc._id };
+    included.concat(forced).forEach(path => {
+      const value = getPath(doc, path);
+      if (value !== undefined) setPath(result, path, value);
+    });
+  } else {
+    result = { ...doc };
+    excluded.concat(hidden.filter(path => !forced.includes(path))).forEach(path => unsetPath(result, path));
+  }
+  return result;
+};
+
+module.exports = {
+  normalize,
+  getPath,
+  matches,
+  applyUpdate,
+  equalityFields,
+  sortDocs,
+  project
+};
@@ -0,0 +1,118 @@
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+
+const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Passwords are hashed here, on the way in, and nowhere else. There is
+// no pre('save') hook: the JSON and memory stores never run schema
+// middleware, so one would only cover Mongo.
+const hashPassword = (password) => bcrypt.hash(password, 12);
+
+const withoutPassword = (user) => {
+  if (!user) return user;
+  const { password, ...rest } = user;
+  return rest;
+};
+
+const createUserRepository = (store) => {
+  const users = store.collection(User);
+
+  return {
+    findById: (id) => users.findOne({ _id: id }, { select: '-password' }),
+
+    // Includes the password hash, for login only
+    findByEmailWithPassword: (email) => users.findOne({ email: String(email).toLowerCase().trim() }),
+
+    findByEmail: (email) => users.findOne(
+      { email: String(email).toLowerCase().trim() },
+      { select: '-password' }
+    ),
+
+    create: async ({ password, ...fields }) => withoutPassword(
+      await users.insertOne({ ...fields, password: await hashPassword(password) })
+    ),
+
+    findByLegacyId: (legacyId) => users.findOne({ legacyId }, { select: '-password' }),
+
+    // Legacy accounts arrive with a bcrypt hash already; store it untouched
+    importWithHash: async ({ passwordHash, ...fields }) => withoutPassword(
+      await users.insertOne({ ...fields, password: passwordHash })
+    ),
+
+    update: (id, changes) => users.updateOne({ _id: id }, { $set: changes }, { select: '-password' }),
+
+    list: async ({ role, q, skip = 0, limit = 20 } = {}) => {
+      const filter = {};
+      if (role) filter.role = role;
+      if (q) {
+        const pattern = new RegExp(escapeRegex(String(q).trim()), 'i');
+        filter.$or = [{ name: pattern }, { email: pattern }];
+      }
+
+      const [found, total] = await Promise.all([
+        users.find(filter, { select: '-password', sort: { createdAt: -1 }, skip, limit }),
+        users.count(filter)
+      ]);
+      return { users: found, total };
+    },
+
+    setPassword: async (id, password) => users.updateOne(
+      { _id: id },
+      { $set: { password: await hashPassword(password), passwordChangedAt: new Date() } },
+      { select: '-password' }
+    ),
+
+    setPasswordResetToken: (email, tokenHash, expiresAt) => users.updateOne(
+      { email: String(email).toLowerCase().trim() },
+      { $set: { passwordResetTokenHash: tokenHash, passwordResetExpiresAt: expiresAt } },
+      { select: '-password' }
+    ),
+
+    // Claims and clears a live reset token in one step, so it works only once
+    consumePasswordResetToken: (tokenHash) => users.updateOne(
+      { passwordResetTokenHash: tokenHash, passwordResetExpiresAt: { $gt: new Date() } },
+      { $unset: { passwordResetTokenHash: 1, passwordResetExpiresAt: 1 } },
+      { select: '-password' }
+    ),
+
+    listAddresses: async (id) => {
+      const user = await users.findOne({ _id: id }, { select: 'addresses' });
+      return user ? user.addresses || [] : null;
+    },
+
+    // Replace the address book with the caller's edited copy; returns the saved list
+    saveAddresses: async (id, addresses) => {
+      const user = await users.updateOne({ _id: id }, { $set: { addresses } }, { select: 'addresses' });
+      return user ? user.addresses : null;
+    },
+
+    findByIdAndEmail: (id, email) => users.findOne({ _id: id, email }, { select: '-password' }),
+
+    markEmailVerified: (id) => users.updateOne(
+      { _id: id },
+      { $set: { emailVerified: true, emailVerifiedAt: new Date() } },
+      { select: '-password' }
+    ),
+
+    touchVerificationSent: (id) => users.updateOne(
+      { _id: id },
+      { $set: { verificationSentAt: new Date() } },
+      { select: '-password' }
+    ),
+
+    // Succeeds only if no verification mail went out after `cutoff`
+    claimVerificationResend: (id, cutoff) => users.updateOne(
+      {
+        _id: id,
+        emailVerified: { $ne: true },
+        $or: [{ verificationSentAt: null }, { verificationSentAt: { $lte: cutoff } }]
+      },
+      { $set: { verificationSentAt: new Date() } },
+      { select: '-password' }
+    )
+  };
+};
+
+module.exports = {
+  createUserRepository
+};
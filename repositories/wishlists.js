@@ -0,0 +1,40 @@
+const Wishlist = require('../models/Wishlist');
+
+// Lists are always looked up together with their owner, so one customer
+// can never reach another's list by id
+const createWishlistRepository = (store) => {
+  const wishlists = store.collection(Wishlist);
+
+  return {
+    listByUser: (userId) => wishlists.find({ userId }, { sort: { createdAt: 1 } }),
+
+    countByUser: (userId) => wishlists.count({ userId }),
+
+    findById: (listId, userId) => wishlists.findOne({ _id: listId, userId }),
+
+    create: (data) => wishlists.insertOne(data),
+
+    rename: (listId, userId, name) => wishlists.updateOne(
+      { _id: listId, userId },
+      { $set: { name, updatedAt: new Date() } }
+    ),
+
+    // Replace the list's items wholesale with the caller's edited copy
+    saveItems: (listId, userId, items) => wishlists.updateOne(
+      { _id: listId, userId },
+      { $set: { items, updatedAt: new Date() } }
+    ),
+
+    remove: (listId, userId) => wishlists.deleteMany({ _id: listId, userId }),
+
+    getOrCreateSavedForLater: (userId, name) => wishlists.updateOne(
+      { userId, kind: 'saved_for_later' },
+      { $setOnInsert: { name, items: [], createdAt: new Date(), updatedAt: new Date() } },
+      { upsert: true }
+    )
+  };
+};
+
+module.exports = {
+  createWishlistRepository
+};
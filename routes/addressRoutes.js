@@ -0,0 +1,194 @@
+const express = require('express');
+const { users: userRepository } = require('../repositories');
+const { validateAddress, findServiceZone } = require('../services/addresses');
+
+// Mounted behind authenticate; every route works on the caller's own address book
+const router = express.Router();
+
+const MAX_ADDRESSES = 20;
+
+// Addresses outside the service area can be saved but not ordered to
+const withServiceArea = (addresses) => addresses.map(address => ({
+  ...address,
+  serviceable: findServiceZone(address.pincode) !== null
+}));
+
+// Exactly one default whenever the book isn't empty
+const ensureDefault = (addresses) => {
+  if (addresses.length > 0 && !addresses.some(address => address.isDefault)) {
+    addresses[0].isDefault = true;
+  }
+  return addresses;
+};
+
+const makeDefault = (addresses, addressId) => addresses.map(address => ({
+  ...address,
+  isDefault: String(address._id) === String(addressId)
+}));
+
+const findIndex = (addresses, addressId) =>
+  addresses.findIndex(address => String(address._id) === String(addressId));
+
+const notFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Address not found'
+});
+
+router.get('/', async (req, res) => {
+  try {
+    const addresses = await userRepository.listAddresses(req.user._id);
+
+    res.json({
+      success: true,
+      addresses: withServiceArea(addresses)
+    });
+  } catch (err) {
+    console.error('Addresses fetch error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch addresses'
+    });
+  }
+});
+
+router.post('/', async (req, res) => {
+  try {
+    const result = validateAddress(req.body);
+
+    if (!result.ok) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    const addresses = await userRepository.listAddresses(req.user._id);
+
+    if (addresses.length >= MAX_ADDRESSES) {
+      return res.status(400).json({
+        success: false,
+        message: `You can save up to ${MAX_ADDRESSES} addresses`
+      });
+    }
+
+    let updated = [...addresses, { ...result.address, isDefault: false, createdAt: new Date() }];
+    if (req.body.isDefault === true) {
+      updated = updated.map((address, i) => ({ ...address, isDefault: i === updated.length - 1 }));
+    }
+
+    const saved = await userRepository.saveAddresses(req.user._id, ensureDefault(updated));
+
+    res.status(201).json({
+      success: true,
+      message: 'Address saved successfully',
+      address: withServiceArea([saved[saved.length - 1]])[0],
+      addresses: withServiceArea(saved)
+    });
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: err.message
+      });
+    }
+    console.error('Address create error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save address'
+    });
+  }
+});
+
+router.put('/:addressId', async (req, res) => {
+  try {
+    const addresses = await userRepository.listAddresses(req.user._id);
+    const index = findIndex(addresses, req.params.addressId);
+
+    if (index === -1) return notFound(res);
+
+    // Fields left out of the body keep their current values
+    const result = validateAddress({ ...addresses[index], ...req.body });
+
+    if (!result.ok) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    let updated = addresses.map((address, i) => (i === index
+      ? { _id: address._id, createdAt: address.createdAt, isDefault: address.isDefault, ...result.address }
+      : address));
+    if (req.body.isDefault === true) updated = makeDefault(updated, req.params.addressId);
+
+    const saved = await userRepository.saveAddresses(req.user._id, ensureDefault(updated));
+
+    res.json({
+      success: true,
+      message: 'Address updated successfully',
+      address: withServiceArea([saved[index]])[0],
+      addresses: withServiceArea(saved)
+    });
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: err.message
+      });
+    }
+    console.error('Address update error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update address'
+    });
+  }
+});
+
+router.put('/:addressId/default', async (req, res) => {
+  try {
+    const addresses = await userRepository.listAddresses(req.user._id);
+
+    if (findIndex(addresses, req.params.addressId) === -1) return notFound(res);
+
+    const saved = await userRepository.saveAddresses(req.user._id, makeDefault(addresses, req.params.addressId));
+
+    res.json({
+      success: true,
+      message: 'Default address updated',
+      addresses: withServiceArea(saved)
+    });
+  } catch (err) {
+    console.error('Default address error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update default address'
+    });
+  }
+});
+
+// Orders keep their own snapshot, so removing an address never changes them
+router.delete('/:addressId', async (req, res) => {
+  try {
+    const addresses = await userRepository.listAddresses(req.user._id);
+    const index = findIndex(addresses, req.params.addressId);
+
+    if (index === -1) return notFound(res);
+
+    const updated = addresses.filter((address, i) => i !== index);
+    const saved = await userRepository.saveAddresses(req.user._id, ensureDefault(updated));
+
+    res.json({
+      success: true,
+      message: 'Address removed successfully',
+      addresses: withServiceArea(saved)
+    });
+  } catch (err) {
+    console.error('Address delete error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove address'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,855 @@
+const express = require('express');
+const {
+  users: userRepository,
+  orders: orderRepository,
+  products: productRepository,
+  coupons: couponRepository,
+  refunds: refundRepository,
+  notifications: notificationRepository
+} = require('../repositories');
+const { ROLES, authorize } = require('../middleware/authMiddleware');
+const { findLowStock } = require('../services/inventory');
+const { validateAddress, formatAddress, findServiceZone } = require('../services/addresses');
+const { allowedTransitions, transitionOrder, cancelOrderItems, buildTimeline } = require('../services/orderStatus');
+const { retryRefund, presentRefund, listOrderRefunds } = require('../services/refunds');
+const { rescheduleDelivery } = require('../services/deliverySlots');
+const { retryNotification, presentNotification } = require('../services/notifications');
+
+// Mounted behind authenticate + authorize('staff', 'admin'); routes that
+// only admins may use add their own authorize('admin').
+const router = express.Router();
+const adminOnly = authorize('admin');
+
+const MAX_PAGE_SIZE = 100;
+
+const parsePaging = (query) => {
+  const page = query.page === undefined ? 1 : parseInt(query.page, 10);
+  const limit = query.limit === undefined ? 20 : parseInt(query.limit, 10);
+
+  if (!Number.isInteger(page) || page < 1 || !Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return null;
+  }
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+const invalidPaging = (res) => res.status(400).json({
+  success: false,
+  message: `Page must be at least 1 and limit between 1 and ${MAX_PAGE_SIZE}`
+});
+
+const PRODUCT_FIELDS = ['name', 'description', 'category', 'price', 'unit', 'stock', 'lowStockThreshold', 'images', 'tags', 'isActive'];
+
+const pickProductFields = (body) => PRODUCT_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) fields[key] = body[key];
+  return fields;
+}, {});
+
+const COUPON_FIELDS = [
+  'code', 'description', 'type', 'value', 'maxDiscount', 'buyQuantity', 'freeQuantity',
+  'minOrderValue', 'productIds', 'categories', 'startsAt', 'endsAt', 'usageLimit', 'perUserLimit', 'isActive'
+];
+
+const pickCouponFields = (body) => COUPON_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) fields[key] = body[key];
+  return fields;
+}, {});
+
+// Rules that span fields, which the schema can't express on its own
+const couponProblem = (coupon) => {
+  if (coupon.type === 'percentage' && !(coupon.value > 0 && coupon.value <= 100)) {
+    return 'Percentage coupons need a value between 0 and 100';
+  }
+  if (coupon.type === 'fixed' && !(coupon.value > 0)) {
+    return 'Fixed coupons need a value greater than 0';
+  }
+  if (coupon.type === 'buy_x_get_y' && !(Number.isInteger(coupon.buyQuantity) && Number.isInteger(coupon.freeQuantity))) {
+    return 'Buy X get Y coupons need whole buyQuantity and freeQuantity values';
+  }
+  if (coupon.startsAt && coupon.endsAt && new Date(coupon.startsAt) >= new Date(coupon.endsAt)) {
+    return 'endsAt must be after startsAt';
+  }
+  return null;
+};
+
+// ========== USERS (admin) ==========
+
+router.get('/users', adminOnly, async (req, res) => {
+  try {
+    const paging = parsePaging(req.query);
+    if (!paging) return invalidPaging(res);
+
+    const { users, total } = await userRepository.list({
+      role: req.query.role,
+      q: req.query.q,
+      skip: paging.skip,
+      limit: paging.limit
+    });
+
+    res.json({
+      success: true,
+      users,
+      total,
+      page: paging.page
+    });
+  } catch (err) {
+    console.error('Admin users fetch error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch users'
+    });
+  }
+});
+
+router.get('/users/:id', adminOnly, async (req, res) => {
+  try {
+    const user = await userRepository.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const orderCount = await orderRepository.countByUser(user._id);
+
+    res.json({
+      success: true,
+      user,
+      orderCount
+    });
+  } catch (err) {
+    console.error('Admin user fetch error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch user'
+    });
+  }
+});
+
+// Update a user's name or role
+router.put('/users/:id', adminOnly, async (req, res) => {
+  try {
+    const { name, role } = req.body;
+
+    if (role !== undefined && !ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${ROLES.join(', ')}`
+      });
+    }
+
+    const user = await userRepository.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Keep at least one way back into the admin API
+    if (String(user._id) === String(req.user._id) && role !== undefined && role !== 'admin') {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot remove your own admin role'
+      });
+    }
+
+    const updated = await userRepository.update(user._id, {
+      ...(name !== undefined && { name }),
+      ...(role !== undefined && { role })
+    });
+
+    res.json({
+      success: true,
+      message: 'User updated successfully',
+      user: {
+        id: updated._id,
+        name: updated.name,
+        email: updated.email,
+        role: updated.role
+      }
+    });
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: err.message
+      });
+    }
+    console.error('Admin user update error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update user'
+    });
+  }
+});
+
+// ========== ORDERS (staff, admin) ==========
+
+router.get('/orders', async (req, res) => {
+  try {
+    const paging = parsePaging(req.query);
+    if (!paging) return invalidPaging(res);
+
+    const { orders, total } = await orderRepository.list({
+      status: req.query.status,
+      userId: req.query.userId,
+      skip: paging.skip,
+      limit: paging.limit
+    });
+
+    res.json({
+      success: true,
+      orders,
+      total,
+      page: paging.page
+    });
+  } catch (err) {
+    console.error('Admin orders fetch error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch orders'
+    });
+  }
+});
+
+router.get('/orders/:orderId', async (req, res) => {
+  try {
+    const order = await orderRepository.findByNumber(req.params.orderId);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const customer = await userRepository.findById(order.userId);
+
+    res.json({
+      success: true,
+      order,
+      customer: customer && { id: customer._id, name: customer.name, email: customer.email },
+      timeline: buildTimeline(order),
+      allowed: allowedTransitions(order.status, 'staff'),
+      refunds: await listOrderRefunds(order.id)
+    });
+  } catch (err) {
+    console.error('Admin order fetch error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch order details'
+    });
+  }
+});
+
+// Advance an order through fulfilment
+router.put('/orders/:orderId/status', async (req, res) => {
+  try {
+    const { status, note } = req.body;
+
+    if (!status) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status is required'
+      });
+    }
+
+    const order = await orderRepository.findByNumber(req.params.orderId);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const result = await transitionOrder(order, status, {
+      actorType: 'staff',
+      actorId: req.user._id,
+      note
+    });
+
+    if (!result.ok) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message,
+        allowed: allowedTransitions(order.status, 'staff')
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Order moved to ${result.order.status}`,
+      order: result.order,
+      timeline: buildTimeline(result.order),
+      refunds: await listOrderRefunds(result.order.id)
+    });
+  } catch (err) {
+    console.error('Admin order status error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update order status'
+    });
+  }
+});
+
+// Take some units off an order that otherwise goes ahead
+router.post('/orders/:orderId/cancel-items', async (req, res) => {
+  try {
+    const { items, reason } = req.body;
+
+    const order = await orderRepository.findByNumber(req.params.orderId);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const result = await cancelOrderItems(order, items, {
+      actorId: req.user._id,
+      reason
+    });
+
+    if (!result.ok) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Items cancelled',
+      order: result.order,
+      refund: result.refund && presentRefund(result.refund)
+    });
+  } catch (err) {
+    console.error('Admin item cancellation error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel items'
+    });
+  }
+});
+
+// Move an order to another delivery window
+router.put('/orders/:orderId/delivery-slot', async (req, res) => {
+  try {
+    const { deliverySlotId } = req.body;
+
+    if (!deliverySlotId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Delivery slot ID is required'
+      });
+    }
+
+    const order = await orderRepository.findByNumber(req.params.orderId);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const result = await rescheduleDelivery(order, deliverySlotId);
+
+    if (!result.ok) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Delivery moved to ${result.order.deliverySlot.label}`,
+      order: result.order
+    });
+  } catch (err) {
+    console.error('Admin delivery slot error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to change delivery slot'
+    });
+  }
+});
+
+// Correct order details that don't affect money or stock
+router.put('/orders/:orderId', adminOnly, async (req, res) => {
+  try {
+    const { deliveryAddress, notes } = req.body;
+
+    const order = await orderRepository.findByNumber(req.params.orderId);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const changes = {};
+    if (notes !== undefined) changes.notes = notes;
+
+    if (deliveryAddress !== undefined) {
+      const result = validateAddress(deliveryAddress);
+      if (!result.ok) {
+        return res.status(result.status).json({
+          success: false,
+          message: result.message
+        });
+      }
+
+      // A different zone would change the delivery fee the customer paid
+      const zone = findServiceZone(result.address.pincode);
+      const currentZone = order.address && order.address.zone;
+      if (!zone || (currentZone && zone !== currentZone)) {
+        return res.status(400).json({
+          success: false,
+          message: 'The corrected address must be in the same delivery zone as the original'
+        });
+      }
+
+      // Still the same address book entry, so keep the link back to it
+      const original = order.address || {};
+      changes.address = {
+        addressId: original.addressId,
+        label: original.label,
+        ...result.address,
+        zone
+      };
+      changes.deliveryAddress = formatAddress(result.address);
+    }
+
+    const updated = await orderRepository.update(order.id, changes);
+
+    res.json({
+      success: true,
+      message: 'Order updated successfully',
+      order: updated
+    });
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: err.message
+      });
+    }
+    console.error('Admin order update error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update order'
+    });
+  }
+});
+
+// ========== CATALOG ==========
+
+// All products, including inactive ones
+router.get('/products', async (req, res) => {
+  try {
+    const paging = parsePaging(req.query);
+    if (!paging) return invalidPaging(res);
+
+    const { products, total } = await productRepository.list({
+      category: req.query.category,
+      isActive: req.query.isActive === undefined ? undefined : req.query.isActive === 'true',
+      q: req.query.q,
+      skip: paging.skip,
+      limit: paging.limit
+    });
+
+    res.json({
+      success: true,
+      products,
+      total,
+      page: paging.page
+    });
+  } catch (err) {
+    console.error('Admin products fetch error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch products'
+    });
+  }
+});
+
+router.post('/products', adminOnly, async (req, res) => {
+  try {
+    const product = await productRepository.create(pickProductFields(req.body));
+
+    res.status(201).json({
+      success: true,
+      message: 'Product created successfully',
+      product
+    });
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: err.message
+      });
+    }
+    console.error('Admin product create error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create product'
+    });
+  }
+});
+
+router.put('/products/:id', adminOnly, async (req, res) => {
+  try {
+    // Stock only moves through /stock so it can't overwrite concurrent checkouts
+    const { stock, ...changes } = pickProductFields(req.body);
+    const product = await productRepository.update(req.params.id, changes);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Product updated successfully',
+      product
+    });
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: err.message
+      });
+    }
+    console.error('Admin product update error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update product'
+    });
+  }
+});
+
+// Products are never hard-deleted: old carts and orders still point at them
+router.delete('/products/:id', adminOnly, async (req, res) => {
+  try {
+    const product = await productRepository.update(req.params.id, { isActive: false });
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Product deactivated successfully',
+      product
+    });
+  } catch (err) {
+    console.error('Admin product delete error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to deactivate product'
+    });
+  }
+});
+
+// Adjust stock by a relative amount, e.g. { "adjustment": 24 } after a delivery.
+// Applied with $inc so it can't clobber concurrent checkouts.
+router.put('/products/:id/stock', async (req, res) => {
+  try {
+    const adjustment = Number(req.body.adjustment);
+
+    if (!Number.isInteger(adjustment) || adjustment === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Adjustment must be a non-zero whole number'
+      });
+    }
+
+    const product = await productRepository.adjustStock(req.params.id, adjustment);
+
+    if (!product) {
+      const exists = await productRepository.findById(req.params.id);
+      return res.status(exists ? 400 : 404).json({
+        success: false,
+        message: exists ? 'Not enough stock to remove' : 'Product not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Stock updated successfully',
+      product
+    });
+  } catch (err) {
+    console.error('Admin stock update error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update stock'
+    });
+  }
+});
+
+// ========== PROMOTIONS ==========
+
+router.get('/coupons', async (req, res) => {
+  try {
+    const paging = parsePaging(req.query);
+    if (!paging) return invalidPaging(res);
+
+    const { coupons, total } = await couponRepository.list({
+      isActive: req.query.isActive === undefined ? undefined : req.query.isActive === 'true',
+      skip: paging.skip,
+      limit: paging.limit
+    });
+
+    res.json({
+      success: true,
+      coupons,
+      total,
+      page: paging.page
+    });
+  } catch (err) {
+    console.error('Admin coupons fetch error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch coupons'
+    });
+  }
+});
+
+router.post('/coupons', adminOnly, async (req, res) => {
+  try {
+    const fields = pickCouponFields(req.body);
+    const problem = couponProblem(fields);
+
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        message: problem
+      });
+    }
+
+    const coupon = await couponRepository.create(fields);
+
+    res.status(201).json({
+      success: true,
+      message: 'Coupon created successfully',
+      coupon
+    });
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: err.message
+      });
+    }
+    if (err.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A coupon with this code already exists'
+      });
+    }
+    console.error('Admin coupon create error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create coupon'
+    });
+  }
+});
+
+// Codes are fixed once created: orders and redemptions refer to them
+router.put('/coupons/:id', adminOnly, async (req, res) => {
+  try {
+    const { code, ...changes } = pickCouponFields(req.body);
+    const coupon = await couponRepository.findById(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    const problem = couponProblem({ ...coupon, ...changes });
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        message: problem
+      });
+    }
+
+    const updated = await couponRepository.update(coupon._id, changes);
+
+    res.json({
+      success: true,
+      message: 'Coupon updated successfully',
+      coupon: updated
+    });
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: err.message
+      });
+    }
+    console.error('Admin coupon update error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update coupon'
+    });
+  }
+});
+
+// ========== INVENTORY ==========
+
+// Products running low, for restocking
+// ========== REFUNDS (staff, admin) ==========
+
+router.get('/refunds', async (req, res) => {
+  try {
+    const paging = parsePaging(req.query);
+    if (!paging) return invalidPaging(res);
+
+    const { refunds, total } = await refundRepository.list({
+      status: req.query.status,
+      skip: paging.skip,
+      limit: paging.limit
+    });
+
+    res.json({
+      success: true,
+      refunds: refunds.map(refund => ({ ...presentRefund(refund), orderId: refund.orderId, attempts: refund.attempts })),
+      total,
+      page: paging.page
+    });
+  } catch (err) {
+    console.error('Admin refunds fetch error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch refunds'
+    });
+  }
+});
+
+// Send a failed or never-sent refund to the provider again
+router.post('/refunds/:refundId/retry', async (req, res) => {
+  try {
+    const result = await retryRefund(req.params.refundId);
+
+    if (!result.ok) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    const { refund } = result;
+    res.status(refund.status === 'failed' ? 502 : 200).json({
+      success: refund.status !== 'failed',
+      message: refund.status === 'failed' ? `Refund failed again: ${refund.failureReason}` : 'Refund sent',
+      refund: { ...presentRefund(refund), orderId: refund.orderId, attempts: refund.attempts }
+    });
+  } catch (err) {
+    console.error('Admin refund retry error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retry refund'
+    });
+  }
+});
+
+// Customer messages in the outbox, e.g. ?status=failed for ones that gave up
+router.get('/notifications', async (req, res) => {
+  try {
+    const paging = parsePaging(req.query);
+    if (!paging) return invalidPaging(res);
+
+    const { notifications, total } = await notificationRepository.list({
+      status: req.query.status,
+      skip: paging.skip,
+      limit: paging.limit
+    });
+
+    res.json({
+      success: true,
+      notifications: notifications.map(presentNotification),
+      total,
+      page: paging.page
+    });
+  } catch (err) {
+    console.error('Admin notifications fetch error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch notifications'
+    });
+  }
+});
+
+// Queue a failed notification to be sent again
+router.post('/notifications/:notificationId/retry', async (req, res) => {
+  try {
+    const result = await retryNotification(req.params.notificationId);
+
+    if (!result.ok) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification queued',
+      notification: presentNotification(result.notification)
+    });
+  } catch (err) {
+    console.error('Admin notification retry error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retry notification'
+    });
+  }
+});
+
+router.get('/inventory/low-stock', async (req, res) => {
+  try {
+    let threshold;
+    if (req.query.threshold !== undefined) {
+      threshold = parseInt(req.query.threshold, 10);
+      if (!Number.isInteger(threshold) || threshold < 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Threshold must be a non-negative whole number'
+        });
+      }
+    }
+
+    const products = await findLowStock(threshold);
+
+    res.json({
+      success: true,
+      products,
+      total: products.length
+    });
+  } catch (err) {
+    console.error('Low stock fetch error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch low stock products'
+    });
+  }
+});
+
+module.exports = router;
@@ -6,6 +6,17 @@ const { authenticate } = require('../middleware/authMiddleware');
 // Auth Routes
 router.post('/register', authController.register);
 router.post('/login', authController.login);
+router.post('/token/refresh', authController.refreshToken);
+router.post('/logout', authenticate, authController.logout);
+router.post('/logout/all', authenticate, authController.logoutAll);
+
+// Email verification
+router.get('/verify-email', authController.verifyEmail);
+router.post('/verify-email/resend', authenticate, authController.resendVerification);
+
+// Password reset
+router.post('/password/forgot', authController.forgotPassword);
+router.post('/password/reset', authController.resetPassword);
 
 // Test Route
 router.get('/test', (req, res) => {
@@ -17,4 +28,4 @@ router.get('/protected', authenticate, (req, res) => {
   res.json({ message: 'This is protected data', user: req.user });
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,24 @@
+const express = require('express');
+const { listAvailability } = require('../services/deliverySlots');
+
+const router = express.Router();
+
+// Upcoming delivery windows and how many places each has left
+router.get('/', async (req, res) => {
+  try {
+    const slots = await listAvailability();
+
+    res.json({
+      success: true,
+      slots
+    });
+  } catch (err) {
+    console.error('Delivery slots fetch error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch delivery slots'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,32 @@
+const express = require('express');
+const { handleWebhook } = require('../services/payments');
+
+const router = express.Router();
+
+// Provider callbacks. req.body is the raw Buffer (see server.js) because the
+// signature covers the exact bytes sent; no user auth, the signature is it.
+router.post('/webhook/:provider', async (req, res) => {
+  try {
+    const result = await handleWebhook(req.params.provider, req.body, req.headers);
+
+    if (!result.ok) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      received: true
+    });
+  } catch (err) {
+    console.error('Payment webhook error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process webhook'
+    });
+  }
+});
+
+module.exports = router;
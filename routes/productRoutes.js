@@ -0,0 +1,140 @@
+const express = require('express');
+const { products: productRepository } = require('../repositories');
+
+const router = express.Router();
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Supported sort options: field to order by and its direction.
+// Every sort is tie-broken on _id so cursors stay stable.
+const SORTS = {
+  name: { field: 'name', dir: 1 },
+  price_asc: { field: 'price', dir: 1 },
+  price_desc: { field: 'price', dir: -1 },
+  newest: { field: 'createdAt', dir: -1 }
+};
+
+const encodeCursor = (product, field) => {
+  const value = product[field] instanceof Date ? product[field].toISOString() : product[field];
+  return Buffer.from(JSON.stringify({ v: value, id: product._id })).toString('base64url');
+};
+
+const decodeCursor = (cursor, field) => {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (v === undefined || !/^[a-f0-9]{24}$/i.test(id)) return null;
+    return {
+      value: field === 'createdAt' ? new Date(v) : v,
+      id
+    };
+  } catch (err) {
+    return null;
+  }
+};
+
+const parsePrice = (value) => {
+  if (value === undefined || value === '') return undefined;
+  const num = Number(value);
+  return Number.isFinite(num) && num >= 0 ? num : NaN;
+};
+
+// List active products
+// Query: q, category, minPrice, maxPrice, inStock, sort, limit, cursor
+router.get('/', async (req, res) => {
+  try {
+    const { q, category, inStock, sort = 'name', cursor } = req.query;
+
+    const sortSpec = SORTS[sort];
+    if (!sortSpec) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid sort option. Use one of: ${Object.keys(SORTS).join(', ')}`
+      });
+    }
+
+    const limit = req.query.limit === undefined ? DEFAULT_LIMIT : parseInt(req.query.limit, 10);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return res.status(400).json({
+        success: false,
+        message: `Limit must be between 1 and ${MAX_LIMIT}`
+      });
+    }
+
+    const minPrice = parsePrice(req.query.minPrice);
+    const maxPrice = parsePrice(req.query.maxPrice);
+    if (Number.isNaN(minPrice) || Number.isNaN(maxPrice)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Price filters must be non-negative numbers'
+      });
+    }
+
+    let after;
+    if (cursor) {
+      after = decodeCursor(cursor, sortSpec.field);
+      if (!after) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid cursor'
+        });
+      }
+    }
+
+    const products = await productRepository.search({
+      q: q && String(q).trim(),
+      categories: category
+        ? String(category).split(',').map(c => c.trim().toLowerCase()).filter(Boolean)
+        : [],
+      minPrice,
+      maxPrice,
+      inStock: inStock === 'true',
+      sort: sortSpec,
+      after,
+      limit: limit + 1
+    });
+
+    const hasMore = products.length > limit;
+    const page = hasMore ? products.slice(0, limit) : products;
+
+    res.json({
+      success: true,
+      products: page,
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1], sortSpec.field) : null,
+      hasMore
+    });
+  } catch (err) {
+    console.error('Products fetch error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch products'
+    });
+  }
+});
+
+// Get a single active product
+router.get('/:id', async (req, res) => {
+  try {
+    const product = await productRepository.findActiveById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      product
+    });
+  } catch (err) {
+    console.error('Product fetch error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch product'
+    });
+  }
+});
+
+module.exports = router;
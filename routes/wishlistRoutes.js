@@ -0,0 +1,256 @@
+const express = require('express');
+const { wishlists: wishlistRepository } = require('../repositories');
+const { loadActiveProducts, summarizeCart } = require('../services/cartPricing');
+const {
+  MAX_LISTS,
+  presentList,
+  presentLists,
+  nameProblem,
+  addToList,
+  moveCartItemToList,
+  moveListItemToCart
+} = require('../services/wishlists');
+
+// Mounted behind authenticate; every route works on the caller's own lists
+const router = express.Router();
+
+const notFound = (res) => res.status(404).json({
+  success: false,
+  message: 'List not found'
+});
+
+const sendFailure = (res, result) => {
+  const { ok, status, ...details } = result;
+  return res.status(status).json({ success: false, ...details });
+};
+
+// The cart as the cart routes return it, for responses that change both
+const cartView = async (cart, user) => {
+  const products = await loadActiveProducts(cart.items.map(item => item.productId));
+  return { items: cart.items, ...(await summarizeCart(cart, products, user)) };
+};
+
+router.get('/', async (req, res) => {
+  try {
+    const lists = await wishlistRepository.listByUser(req.user._id);
+
+    res.json({
+      success: true,
+      lists: await presentLists(lists)
+    });
+  } catch (err) {
+    console.error('Wishlists fetch error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch lists'
+    });
+  }
+});
+
+router.post('/', async (req, res) => {
+  try {
+    const problem = nameProblem(req.body.name);
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        message: problem
+      });
+    }
+
+    if ((await wishlistRepository.countByUser(req.user._id)) >= MAX_LISTS) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have up to ${MAX_LISTS} lists`
+      });
+    }
+
+    const list = await wishlistRepository.create({
+      userId: req.user._id,
+      name: req.body.name.trim(),
+      items: []
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'List created',
+      list: presentList(list, new Map())
+    });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'You already have a list with this name'
+      });
+    }
+    console.error('Wishlist create error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create list'
+    });
+  }
+});
+
+router.get('/:listId', async (req, res) => {
+  try {
+    const list = await wishlistRepository.findById(req.params.listId, req.user._id);
+    if (!list) return notFound(res);
+
+    res.json({
+      success: true,
+      list: (await presentLists([list]))[0]
+    });
+  } catch (err) {
+    console.error('Wishlist fetch error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch list'
+    });
+  }
+});
+
+router.put('/:listId', async (req, res) => {
+  try {
+    const problem = nameProblem(req.body.name);
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        message: problem
+      });
+    }
+
+    const list = await wishlistRepository.findById(req.params.listId, req.user._id);
+    if (!list) return notFound(res);
+
+    if (list.kind === 'saved_for_later') {
+      return res.status(400).json({
+        success: false,
+        message: 'The saved for later list cannot be renamed'
+      });
+    }
+
+    const updated = await wishlistRepository.rename(list._id, req.user._id, req.body.name.trim());
+
+    res.json({
+      success: true,
+      message: 'List renamed',
+      list: (await presentLists([updated]))[0]
+    });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'You already have a list with this name'
+      });
+    }
+    console.error('Wishlist rename error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to rename list'
+    });
+  }
+});
+
+router.delete('/:listId', async (req, res) => {
+  try {
+    const removed = await wishlistRepository.remove(req.params.listId, req.user._id);
+    if (!removed) return notFound(res);
+
+    res.json({
+      success: true,
+      message: 'List deleted'
+    });
+  } catch (err) {
+    console.error('Wishlist delete error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete list'
+    });
+  }
+});
+
+// Save a product to a list. With fromCart: true the product's cart line is
+// moved here instead, keeping its quantity.
+router.post('/:listId/items', async (req, res) => {
+  try {
+    const { productId, fromCart } = req.body;
+
+    if (!productId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Product ID is required'
+      });
+    }
+
+    const result = fromCart === true
+      ? await moveCartItemToList(req.user._id, productId, req.params.listId)
+      : await addToList(req.user._id, req.params.listId, productId);
+
+    if (!result.ok) return sendFailure(res, result);
+
+    res.json({
+      success: true,
+      message: fromCart === true ? 'Item moved from cart to list' : 'Item saved to list',
+      list: (await presentLists([result.list]))[0],
+      ...(result.cart && { cart: await cartView(result.cart, req.user) })
+    });
+  } catch (err) {
+    console.error('Wishlist add error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save item to list'
+    });
+  }
+});
+
+router.delete('/:listId/items/:productId', async (req, res) => {
+  try {
+    const list = await wishlistRepository.findById(req.params.listId, req.user._id);
+    if (!list) return notFound(res);
+
+    const items = list.items.filter(item => String(item.productId) !== String(req.params.productId));
+    if (items.length === list.items.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found in list'
+      });
+    }
+
+    const updated = await wishlistRepository.saveItems(list._id, req.user._id, items);
+
+    res.json({
+      success: true,
+      message: 'Item removed from list',
+      list: (await presentLists([updated]))[0]
+    });
+  } catch (err) {
+    console.error('Wishlist remove error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove item from list'
+    });
+  }
+});
+
+// Move a list item into the cart at today's price
+router.post('/:listId/items/:productId/move-to-cart', async (req, res) => {
+  try {
+    const result = await moveListItemToCart(req.user._id, req.params.listId, req.params.productId, req.body.quantity);
+
+    if (!result.ok) return sendFailure(res, result);
+
+    res.json({
+      success: true,
+      message: 'Item moved to cart',
+      list: (await presentLists([result.list]))[0],
+      cart: await cartView(result.cart, req.user)
+    });
+  } catch (err) {
+    console.error('Wishlist move to cart error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to move item to cart'
+    });
+  }
+});
+
+module.exports = router;
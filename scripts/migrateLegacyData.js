@@ -0,0 +1,245 @@
+// Import users, carts and orders left over from the file-based era
+// (data/users.json, data/carts.json, data/orders.json) into the current store.
+//
+//   npm run migrate:legacy -- [--dry-run] [--dir <path>]
+//
+// Legacy accounts keep their bcrypt hashes and get a fresh ObjectId; the old
+// numeric id is stored as `legacyId` so carts and orders can be re-pointed
+// and so a second run recognises what it already imported. Nothing that
+// already exists is overwritten, which makes the command safe to re-run.
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const repositories = require('../repositories');
+
+const {
+  users: userRepository,
+  carts: cartRepository,
+  orders: orderRepository
+} = repositories;
+
+const OBJECT_ID = /^[0-9a-f]{24}$/i;
+
+const parseArgs = (argv) => {
+  const options = { dryRun: false, dir: path.join(__dirname, '../data') };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--dry-run') options.dryRun = true;
+    else if (argv[i] === '--dir') options.dir = path.resolve(argv[++i]);
+    else throw new Error(`Unknown option: ${argv[i]}`);
+  }
+  return options;
+};
+
+const readLegacyFile = (dir, name) => {
+  const file = path.join(dir, name);
+  if (!fs.existsSync(file)) return [];
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(data)) throw new Error(`${file} does not contain a JSON array`);
+  return data;
+};
+
+const createReport = () => ({
+  users: { imported: 0, alreadyImported: 0, duplicateEmail: [], invalid: [] },
+  carts: { imported: 0, alreadyPresent: 0, orphaned: [], invalid: [] },
+  orders: { imported: 0, alreadyPresent: 0, orphaned: [], invalid: [] }
+});
+
+// Returns a Map from legacy id (as a string) to the account it now belongs to
+const migrateUsers = async (legacyUsers, { dryRun, report }) => {
+  const idMap = new Map();
+  const seenEmails = new Set();
+
+  for (const legacy of legacyUsers) {
+    const legacyId = Number(legacy.id);
+    const email = String(legacy.email || '').toLowerCase().trim();
+
+    if (!Number.isFinite(legacyId) || !email || !legacy.password) {
+      report.users.invalid.push({ id: legacy.id, email: legacy.email, reason: 'Missing id, email or password' });
+      continue;
+    }
+
+    const imported = await userRepository.findByLegacyId(legacyId);
+    if (imported) {
+      idMap.set(String(legacyId), imported._id);
+      report.users.alreadyImported++;
+      continue;
+    }
+
+    // The first legacy record for an address wins; a later one, or one whose
+    // address is already registered, is reported and left for a human.
+    const existing = await userRepository.findByEmail(email);
+    if (existing || seenEmails.has(email)) {
+      report.users.duplicateEmail.push({ id: legacyId, email });
+      continue;
+    }
+    seenEmails.add(email);
+
+    if (dryRun) {
+      idMap.set(String(legacyId), `(new user for ${legacyId})`);
+      report.users.imported++;
+      continue;
+    }
+
+    try {
+      const user = await userRepository.importWithHash({
+        legacyId,
+        name: legacy.name,
+        email,
+        passwordHash: legacy.password,
+        createdAt: legacy.createdAt ? new Date(legacy.createdAt) : undefined
+      });
+      idMap.set(String(legacyId), user._id);
+      report.users.imported++;
+    } catch (err) {
+      if (err.name !== 'ValidationError') throw err;
+      report.users.invalid.push({ id: legacyId, email, reason: err.message });
+    }
+  }
+
+  return idMap;
+};
+
+// Legacy records point at users either by numeric id or, for carts written
+// after the switch to Mongo, by ObjectId string.
+const resolveUserId = async (userId, idMap) => {
+  if (idMap.has(String(userId))) return idMap.get(String(userId));
+  if (OBJECT_ID.test(String(userId))) {
+    const user = await userRepository.findById(String(userId));
+    return user ? user._id : null;
+  }
+  const imported = await userRepository.findByLegacyId(Number(userId));
+  return imported ? imported._id : null;
+};
+
+const migrateCarts = async (legacyCarts, idMap, { dryRun, report }) => {
+  for (const legacy of legacyCarts) {
+    const userId = await resolveUserId(legacy.userId, idMap);
+
+    if (!userId) {
+      report.carts.orphaned.push({ userId: legacy.userId, items: (legacy.items || []).length });
+      continue;
+    }
+
+    // A dry run has no ObjectId for accounts it would create, so it can't look them up
+    const existing = typeof userId === 'string' && !OBJECT_ID.test(userId)
+      ? null
+      : await cartRepository.findByOwner({ userId });
+    if (existing) {
+      report.carts.alreadyPresent++;
+      continue;
+    }
+
+    if (dryRun) {
+      report.carts.imported++;
+      continue;
+    }
+
+    try {
+      const cart = await cartRepository.importIfMissing(userId, {
+        items: (legacy.items || []).map(item => ({ ...item, productId: String(item.productId) })),
+        clearedAt: legacy.clearedAt ? new Date(legacy.clearedAt) : undefined
+      });
+      if (cart) report.carts.imported++;
+      else report.carts.alreadyPresent++;
+    } catch (err) {
+      if (err.name !== 'ValidationError') throw err;
+      report.carts.invalid.push({ userId: legacy.userId, reason: err.message });
+    }
+  }
+};
+
+const migrateOrders = async (legacyOrders, idMap, { dryRun, report }) => {
+  for (const legacy of legacyOrders) {
+    if (!legacy.id) {
+      report.orders.invalid.push({ id: legacy.id, reason: 'Missing order number' });
+      continue;
+    }
+
+    if (await orderRepository.findByNumber(String(legacy.id))) {
+      report.orders.alreadyPresent++;
+      continue;
+    }
+
+    const userId = await resolveUserId(legacy.userId, idMap);
+    if (!userId) {
+      report.orders.orphaned.push({ id: legacy.id, userId: legacy.userId });
+      continue;
+    }
+
+    if (dryRun) {
+      report.orders.imported++;
+      continue;
+    }
+
+    try {
+      await orderRepository.create({
+        ...legacy,
+        id: String(legacy.id),
+        userId,
+        items: (legacy.items || []).map(item => ({ ...item, productId: String(item.productId) })),
+        // Stock was never reserved for file-era orders, so cancelling must not release any
+        stockReserved: false
+      });
+      report.orders.imported++;
+    } catch (err) {
+      if (err.name !== 'ValidationError') throw err;
+      report.orders.invalid.push({ id: legacy.id, reason: err.message });
+    }
+  }
+};
+
+const printReport = (report, { dryRun }) => {
+  console.log(dryRun ? '\nDry run - nothing was written.\n' : '\nMigration finished.\n');
+
+  const { users, carts, orders } = report;
+  console.log(`Users:  ${users.imported} ${dryRun ? 'to import' : 'imported'}, ${users.alreadyImported} already imported, ` +
+    `${users.duplicateEmail.length} skipped (duplicate email), ${users.invalid.length} invalid`);
+  console.log(`Carts:  ${carts.imported} ${dryRun ? 'to import' : 'imported'}, ${carts.alreadyPresent} already present, ` +
+    `${carts.orphaned.length} orphaned, ${carts.invalid.length} invalid`);
+  console.log(`Orders: ${orders.imported} ${dryRun ? 'to import' : 'imported'}, ${orders.alreadyPresent} already present, ` +
+    `${orders.orphaned.length} orphaned, ${orders.invalid.length} invalid`);
+
+  const details = [
+    ['Duplicate emails', users.duplicateEmail],
+    ['Invalid users', users.invalid],
+    ['Orphaned carts (no matching user)', carts.orphaned],
+    ['Invalid carts', carts.invalid],
+    ['Orphaned orders (no matching user)', orders.orphaned],
+    ['Invalid orders', orders.invalid]
+  ];
+  details.filter(([, entries]) => entries.length > 0).forEach(([title, entries]) => {
+    console.log(`\n${title}:`);
+    entries.forEach(entry => console.log(`  ${JSON.stringify(entry)}`));
+  });
+};
+
+const run = async (argv) => {
+  const options = parseArgs(argv);
+  const report = createReport();
+  const context = { dryRun: options.dryRun, report };
+
+  console.log(`Reading legacy data from ${options.dir} into ${repositories.store.name} storage`);
+
+  await repositories.connect();
+  try {
+    const idMap = await migrateUsers(readLegacyFile(options.dir, 'users.json'), context);
+    await migrateCarts(readLegacyFile(options.dir, 'carts.json'), idMap, context);
+    await migrateOrders(readLegacyFile(options.dir, 'orders.json'), idMap, context);
+  } finally {
+    await repositories.disconnect();
+  }
+
+  printReport(report, options);
+  return report;
+};
+
+if (require.main === module) {
+  run(process.argv.slice(2)).catch(err => {
+    console.error('Migration error:', err);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  run
+};
@@ -3,149 +3,44 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
-const mongoose = require('mongoose');
-const jwt = require('jsonwebtoken');
-const bcrypt = require('bcryptjs');
+const repositories = require('./repositories');
+const { authenticate, authenticateCartOwner, authenticateEventStream, authorize, requireVerifiedEmail } = require('./middleware/authMiddleware');
+const { idempotent } = require('./middleware/idempotency');
+const { loadActiveProducts, repriceItems, summarizeCart } = require('./services/cartPricing');
+const { evaluateCoupon } = require('./services/promotions');
+const { issueGuestToken } = require('./services/guestCarts');
+const { presentLists, moveCartItemToList } = require('./services/wishlists');
+const { reorderIntoCart } = require('./services/reorder');
+const { resolveDeliveryAddress, resolveSlot, buildOrderItems, stockMessage, placeOrder } = require('./services/checkout');
+const { listOrderRefunds } = require('./services/refunds');
+const { followOrderEvents } = require('./services/events');
+const { isSessionActive } = require('./services/sessions');
+const { startDispatcher } = require('./services/notifications');
+const { getOrderDocuments, summarizeDocument } = require('./services/invoices');
+const { fileName, renderHtml, renderPdf } = require('./services/invoiceDocuments');
+const { TRANSITIONS, allowedTransitions, transitionOrder, buildTimeline, remainingUnits } = require('./services/orderStatus');
+const apiRoutes = require('./routes/apiRoutes');
+const productRoutes = require('./routes/productRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const deliverySlotRoutes = require('./routes/deliverySlotRoutes');
+const addressRoutes = require('./routes/addressRoutes');
+const paymentRoutes = require('./routes/paymentRoutes');
+const wishlistRoutes = require('./routes/wishlistRoutes');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
-// ========== MongoDB Connection ==========
-mongoose.connect(process.env.MONGO_URI, {
-  useNewUrlParser: true,
-  useUnifiedTopology: true,
-  dbName: 'freshmart' // 👈 Add this
-})
-.then(() => console.log('MongoDB connected'))
-.catch(err => {
-  console.error('MongoDB connection error:', err);
-  process.exit(1);
-});
-
-// ========== MongoDB Schemas & Models ==========
-const UserSchema = new mongoose.Schema({
-  name: { 
-    type: String, 
-    required: true,
-    trim: true,
-    minlength: 2
-  },
-  email: { 
-    type: String, 
-    required: true, 
-    unique: true,
-    lowercase: true,
-    match: [/^\S+@\S+\.\S+$/, 'Invalid email format']
-  },
-  password: { 
-    type: String, 
-    required: true,
-    minlength: 6
-  },
-  createdAt: { 
-    type: Date, 
-    default: Date.now 
-  }
-});
-
-UserSchema.pre('save', async function(next) {
-  if (!this.isModified('password')) return next();
-  this.password = await bcrypt.hash(this.password, 12);
-  next();
-});
-
-const CartItemSchema = new mongoose.Schema({
-  productId: {
-    type: String,
-    required: true
-  },
-  name: {
-    type: String,
-    required: true
-  },
-  price: {
-    type: Number,
-    required: true,
-    min: 0
-  },
-  image: String,
-  quantity: {
-    type: Number,
-    required: true,
-    min: 1,
-    default: 1
-  },
-  addedAt: {
-    type: Date,
-    default: Date.now
-  }
-});
-
-const CartSchema = new mongoose.Schema({
-  userId: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true,
-    unique: true
-  },
-  items: [CartItemSchema],
-  clearedAt: Date
-});
-
-const OrderItemSchema = new mongoose.Schema({
-  productId: String,
-  name: String,
-  price: Number,
-  quantity: Number,
-  image: String
-});
-
-const OrderSchema = new mongoose.Schema({
-  userId: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true
-  },
-  items: [OrderItemSchema],
-  totalAmount: {
-    type: Number,
-    required: true,
-    min: 0
-  },
-  deliveryAddress: {
-    type: String,
-    required: true
-  },
-  paymentMethod: {
-    type: String,
-    required: true,
-    enum: ['card', 'cash', 'paypal', 'other']
-  },
-  notes: String,
-  status: {
-    type: String,
-    default: 'confirmed',
-    enum: ['confirmed', 'processing', 'shipped', 'delivered', 'cancelled']
-  },
-  orderDate: {
-    type: Date,
-    default: Date.now
-  },
-  estimatedDelivery: Date,
-  createdAt: {
-    type: Date,
-    default: Date.now
-  },
-  cancelledAt: Date,
-  cancellationReason: String
-});
-
-const User = mongoose.model('User', UserSchema);
-const Cart = mongoose.model('Cart', CartSchema);
-const Order = mongoose.model('Order', OrderSchema);
+const {
+  carts: cartRepository,
+  orders: orderRepository,
+  products: productRepository
+} = repositories;
 
 // ========== Middleware Setup ==========
 app.use(helmet());
+// Payment webhooks are verified against the exact bytes sent, so they get
+// the raw body; this has to come before the JSON parser
+app.use('/api/payments/webhook', express.raw({ type: '*/*', limit: '100kb' }));
 app.use(express.json({ limit: '10kb' }));
 app.use(express.urlencoded({ extended: true, limit: '10kb' }));
 
@@ -154,165 +49,108 @@ app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key', 'X-Guest-Token'],
+  exposedHeaders: ['Idempotent-Replayed', 'Content-Disposition']
 }));
 
-// Rate limiting
+// Rate limiting. Payment webhooks are left out: they all come from the
+// provider's few addresses and are already checked by signature.
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000,
-  max: 100
+  max: 100,
+  skip: (req) => req.path.startsWith('/payments/webhook')
 });
 app.use('/api', limiter);
 
-// ========== Authentication ==========
-const jwtConfig = {
-  expiresIn: '7d',
-  issuer: 'freshmart-api'
-};
-
-const authenticate = async (req, res, next) => {
-  if (req.method === 'OPTIONS') return next();
+// Tighter limit for endpoints that send email or accept reset tokens
+const passwordLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 5
+});
+app.use('/api/password', passwordLimiter);
 
-  try {
-    const token = req.headers.authorization?.split(' ')[1];
-    if (!token) throw new Error('No token provided');
-    
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = await User.findById(decoded.id).select('-password');
-    
-    if (!req.user) throw new Error('User not found');
-    next();
-  } catch (err) {
-    res.status(401).json({
-      success: false,
-      message: err.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token'
-    });
-  }
-};
+// Resending verification has its own budget on top of the per-user interval
+const verificationLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 5
+});
+app.use('/api/verify-email/resend', verificationLimiter);
 
 // ========== Routes ==========
 
 // Auth Routes
-app.post('/api/register', async (req, res) => {
-  try {
-    const { name, email, password } = req.body;
-    
-    // Validation
-    if (!name || !email || !password) {
-      return res.status(400).json({
-        success: false,
-        message: 'All fields are required'
-      });
-    }
+app.use('/api', apiRoutes);
 
-    const existingUser = await User.findOne({ email: email.toLowerCase() });
-    if (existingUser) {
-      return res.status(400).json({
-        success: false,
-        message: 'Email already registered'
-      });
-    }
+// ========== PRODUCT ROUTES ==========
+app.use('/api/products', productRoutes);
 
-    const newUser = new User({ name, email, password });
-    await newUser.save();
+// ========== DELIVERY SLOT ROUTES ==========
+app.use('/api/delivery-slots', deliverySlotRoutes);
 
-    // Create empty cart for user
-    await Cart.create({ userId: newUser._id, items: [] });
+// ========== ADDRESS BOOK ROUTES ==========
+app.use('/api/addresses', authenticate, addressRoutes);
 
-    const token = jwt.sign(
-      { id: newUser._id, email: newUser.email },
-      process.env.JWT_SECRET,
-      jwtConfig
-    );
+// ========== WISHLIST ROUTES ==========
+app.use('/api/wishlists', authenticate, wishlistRoutes);
 
-    res.status(201).json({
-      success: true,
-      message: 'Registration successful',
-      user: {
-        id: newUser._id,
-        name: newUser.name,
-        email: newUser.email
-      },
-      token
-    });
-  } catch (err) {
-    console.error('Registration error:', err);
-    res.status(500).json({
-      success: false,
-      message: 'Server error during registration'
-    });
-  }
-});
+// ========== PAYMENT ROUTES ==========
+app.use('/api/payments', paymentRoutes);
 
-app.post('/api/login', async (req, res) => {
-  try {
-    const { email, password } = req.body;
-    
-    if (!email || !password) {
-      return res.status(400).json({
-        success: false,
-        message: 'Email and password required'
-      });
-    }
+// ========== ADMIN ROUTES ==========
+app.use('/api/admin', authenticate, authorize('staff', 'admin'), adminRoutes);
 
-    const user = await User.findOne({ email: email.toLowerCase() });
-    if (!user || !(await bcrypt.compare(password, user.password))) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid credentials'
-      });
-    }
+// ========== CART ROUTES ==========
 
-    const token = jwt.sign(
-      { id: user._id, email: user.email },
-      process.env.JWT_SECRET,
-      jwtConfig
-    );
+// Start a cart for a visitor who isn't logged in. Send the token back as
+// X-Guest-Token on cart requests, and on login or registration to move the
+// cart into the account.
+app.post('/api/cart/guest', (req, res) => {
+  try {
+    const { guestToken } = issueGuestToken();
 
-    res.json({
+    res.status(201).json({
       success: true,
-      message: 'Login successful',
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email
-      },
-      token
+      guestToken
     });
   } catch (err) {
-    console.error('Login error:', err);
+    console.error('Guest cart error:', err);
     res.status(500).json({
       success: false,
-      message: 'Server error during login'
+      message: 'Failed to start a guest cart'
     });
   }
 });
 
-// ========== CART ROUTES ==========
-
-// Get user cart
-app.get('/api/cart', authenticate, async (req, res) => {
+// Get the cart of the logged-in customer or guest
+app.get('/api/cart', authenticateCartOwner, async (req, res) => {
   try {
-    const cart = await Cart.findOne({ userId: req.user._id });
+    const cart = await cartRepository.findByOwner(req.cartOwner);
     
     if (!cart) {
-      const newCart = await Cart.create({ userId: req.user._id, items: [] });
+      const newCart = await cartRepository.getOrCreate(req.cartOwner);
       return res.json({ 
         success: true, 
         items: newCart.items,
-        totalItems: 0,
-        totalPrice: 0
+        ...(await summarizeCart(newCart, new Map(), req.user)),
+        priceChanges: []
       });
     }
+
+    // Prices are always taken from the catalog; tell the customer when they moved
+    const { products, priceChanges, unavailable } = await repriceItems(cart.items);
+    if (priceChanges.length > 0) {
+      await cartRepository.saveItems(req.cartOwner, cart.items);
+    }
     
-    const totalItems = cart.items.reduce((sum, item) => sum + item.quantity, 0);
-    const totalPrice = cart.items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+    const summary = await summarizeCart(cart, products, req.user);
     
     res.json({ 
       success: true, 
+      ...(priceChanges.length > 0 && { message: 'Some prices in your cart have changed' }),
       items: cart.items,
-      totalItems,
-      totalPrice
+      ...summary,
+      priceChanges,
+      unavailable
     });
   } catch (err) {
     console.error('Cart fetch error:', err);
@@ -324,58 +162,77 @@ app.get('/api/cart', authenticate, async (req, res) => {
 });
 
 // Add item to cart
-app.post('/api/cart', authenticate, async (req, res) => {
+app.post('/api/cart', authenticateCartOwner, idempotent, async (req, res) => {
   try {
-    const { productId, name, price, image, quantity = 1 } = req.body;
+    // Any client-supplied price is ignored; the catalog is authoritative
+    const { productId } = req.body;
+    const quantity = req.body.quantity === undefined ? 1 : Number(req.body.quantity);
     
     // Validation
-    if (!productId || !name || !price) {
+    if (!productId) {
       return res.status(400).json({
         success: false,
-        message: 'Product ID, name, and price are required'
+        message: 'Product ID is required'
       });
     }
 
-    if (quantity < 1) {
+    if (!Number.isInteger(quantity) || quantity < 1) {
       return res.status(400).json({
         success: false,
-        message: 'Quantity must be at least 1'
+        message: 'Quantity must be a whole number of at least 1'
       });
     }
 
-    let cart = await Cart.findOne({ userId: req.user._id });
-    
-    if (!cart) {
-      cart = await Cart.create({ userId: req.user._id, items: [] });
+    const product = await productRepository.findActiveById(productId);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
     }
 
+    const cart = await cartRepository.getOrCreate(req.cartOwner);
+
     const existingItemIndex = cart.items.findIndex(item => 
       item.productId.toString() === productId.toString()
     );
+    const alreadyInCart = existingItemIndex !== -1 ? cart.items[existingItemIndex].quantity : 0;
+
+    if (alreadyInCart + quantity > product.stock) {
+      return res.status(400).json({
+        success: false,
+        message: product.stock > 0
+          ? `Only ${product.stock} of ${product.name} available`
+          : `${product.name} is out of stock`,
+        available: product.stock
+      });
+    }
     
     if (existingItemIndex !== -1) {
       cart.items[existingItemIndex].quantity += quantity;
     } else {
       cart.items.push({ 
-        productId, 
-        name, 
-        price, 
-        image, 
-        quantity 
+        productId: String(product._id), 
+        name: product.name, 
+        price: product.price, 
+        image: product.image, 
+        quantity,
+        addedAt: new Date()
       });
     }
 
-    await cart.save();
+    const { products, priceChanges } = await repriceItems(cart.items);
+    const saved = await cartRepository.saveItems(req.cartOwner, cart.items);
 
-    const totalItems = cart.items.reduce((sum, item) => sum + item.quantity, 0);
-    const totalPrice = cart.items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+    const summary = await summarizeCart(saved, products, req.user);
 
     res.json({ 
       success: true, 
       message: 'Item added to cart successfully',
-      items: cart.items,
-      totalItems,
-      totalPrice
+      items: saved.items,
+      ...summary,
+      priceChanges
     });
   } catch (err) {
     console.error('Cart add error:', err);
@@ -386,20 +243,110 @@ app.post('/api/cart', authenticate, async (req, res) => {
   }
 });
 
+// Apply a coupon code to the cart. Registered before the /:productId
+// routes so "coupon" isn't taken for a product id.
+app.post('/api/cart/coupon', authenticateCartOwner, idempotent, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code || typeof code !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Coupon code is required'
+      });
+    }
+
+    const cart = await cartRepository.findByOwner(req.cartOwner);
+
+    if (!cart || cart.items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Add something to your cart before applying a coupon'
+      });
+    }
+
+    const { products, priceChanges } = await repriceItems(cart.items);
+    if (priceChanges.length > 0) {
+      await cartRepository.saveItems(req.cartOwner, cart.items);
+    }
+
+    const result = await evaluateCoupon(code, cart.items, products, req.user && req.user._id);
+
+    if (!result.ok) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    const saved = await cartRepository.setCoupon(req.cartOwner, result.coupon.code);
+    const summary = await summarizeCart(saved, products, req.user);
+
+    res.json({
+      success: true,
+      message: `Coupon ${result.coupon.code} applied`,
+      items: saved.items,
+      ...summary,
+      priceChanges
+    });
+  } catch (err) {
+    console.error('Coupon apply error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to apply coupon'
+    });
+  }
+});
+
+// Remove the cart's coupon
+app.delete('/api/cart/coupon', authenticateCartOwner, idempotent, async (req, res) => {
+  try {
+    const cart = await cartRepository.removeCoupon(req.cartOwner);
+
+    if (!cart) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cart not found'
+      });
+    }
+
+    const { products, priceChanges } = await repriceItems(cart.items);
+    if (priceChanges.length > 0) {
+      await cartRepository.saveItems(req.cartOwner, cart.items);
+    }
+
+    const summary = await summarizeCart(cart, products, req.user);
+
+    res.json({
+      success: true,
+      message: 'Coupon removed',
+      items: cart.items,
+      ...summary,
+      priceChanges
+    });
+  } catch (err) {
+    console.error('Coupon remove error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove coupon'
+    });
+  }
+});
+
 // Update item quantity in cart
-app.put('/api/cart/:productId', authenticate, async (req, res) => {
+app.put('/api/cart/:productId', authenticateCartOwner, idempotent, async (req, res) => {
   try {
     const { productId } = req.params;
-    const { quantity } = req.body;
+    const quantity = req.body.quantity === undefined ? undefined : Number(req.body.quantity);
     
-    if (quantity === undefined || quantity < 0) {
+    if (!Number.isInteger(quantity) || quantity < 0) {
       return res.status(400).json({
         success: false,
-        message: 'Valid quantity is required'
+        message: 'Quantity must be a whole number of 0 or more'
       });
     }
 
-    const cart = await Cart.findOne({ userId: req.user._id });
+    const cart = await cartRepository.findByOwner(req.cartOwner);
     
     if (!cart) {
       return res.status(404).json({
@@ -422,20 +369,39 @@ app.put('/api/cart/:productId', authenticate, async (req, res) => {
     if (quantity === 0) {
       cart.items.splice(itemIndex, 1);
     } else {
+      const [product] = (await loadActiveProducts([productId])).values();
+
+      if (!product) {
+        return res.status(400).json({
+          success: false,
+          message: 'This product is no longer available'
+        });
+      }
+
+      if (quantity > product.stock) {
+        return res.status(400).json({
+          success: false,
+          message: product.stock > 0
+            ? `Only ${product.stock} of ${product.name} available`
+            : `${product.name} is out of stock`,
+          available: product.stock
+        });
+      }
+
       cart.items[itemIndex].quantity = quantity;
     }
     
-    await cart.save();
+    const { products, priceChanges } = await repriceItems(cart.items);
+    const saved = await cartRepository.saveItems(req.cartOwner, cart.items);
 
-    const totalItems = cart.items.reduce((sum, item) => sum + item.quantity, 0);
-    const totalPrice = cart.items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+    const summary = await summarizeCart(saved, products, req.user);
 
     res.json({ 
       success: true, 
       message: quantity === 0 ? 'Item removed from cart' : 'Cart updated successfully',
-      items: cart.items,
-      totalItems,
-      totalPrice
+      items: saved.items,
+      ...summary,
+      priceChanges
     });
   } catch (err) {
     console.error('Cart update error:', err);
@@ -446,42 +412,68 @@ app.put('/api/cart/:productId', authenticate, async (req, res) => {
   }
 });
 
-// Remove specific item from cart
-app.delete('/api/cart/:productId', authenticate, async (req, res) => {
+// Remove specific item from cart. With ?saveForLater=true (or
+// saveForLater: true in the body) it moves to the customer's
+// "Saved for later" list instead of being dropped.
+app.delete('/api/cart/:productId', authenticateCartOwner, idempotent, async (req, res) => {
   try {
     const { productId } = req.params;
-    const cart = await Cart.findOne({ userId: req.user._id });
-    
-    if (!cart) {
-      return res.status(404).json({
+    const saveForLater = req.query.saveForLater === 'true' || Boolean(req.body && req.body.saveForLater === true);
+
+    if (saveForLater && !req.user) {
+      return res.status(401).json({
         success: false,
-        message: 'Cart not found'
+        message: 'Log in to save items for later'
       });
     }
 
-    const initialLength = cart.items.length;
-    cart.items = cart.items.filter(item => 
-      item.productId.toString() !== productId.toString()
-    );
-    
-    if (cart.items.length === initialLength) {
-      return res.status(404).json({
-        success: false,
-        message: 'Item not found in cart'
-      });
+    let cart;
+    let savedForLater;
+
+    if (saveForLater) {
+      const moved = await moveCartItemToList(req.user._id, productId);
+      if (!moved.ok) {
+        return res.status(moved.status).json({
+          success: false,
+          message: moved.message
+        });
+      }
+      ({ cart, list: savedForLater } = moved);
+    } else {
+      cart = await cartRepository.findByOwner(req.cartOwner);
+
+      if (!cart) {
+        return res.status(404).json({
+          success: false,
+          message: 'Cart not found'
+        });
+      }
+
+      const initialLength = cart.items.length;
+      cart.items = cart.items.filter(item => 
+        item.productId.toString() !== productId.toString()
+      );
+
+      if (cart.items.length === initialLength) {
+        return res.status(404).json({
+          success: false,
+          message: 'Item not found in cart'
+        });
+      }
     }
     
-    await cart.save();
+    const { products, priceChanges } = await repriceItems(cart.items);
+    const saved = await cartRepository.saveItems(req.cartOwner, cart.items);
 
-    const totalItems = cart.items.reduce((sum, item) => sum + item.quantity, 0);
-    const totalPrice = cart.items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+    const summary = await summarizeCart(saved, products, req.user);
 
     res.json({ 
       success: true, 
-      message: 'Item removed from cart successfully',
-      items: cart.items,
-      totalItems,
-      totalPrice
+      message: saveForLater ? 'Item saved for later' : 'Item removed from cart successfully',
+      items: saved.items,
+      ...summary,
+      priceChanges,
+      ...(savedForLater && { savedForLater: (await presentLists([savedForLater]))[0] })
     });
   } catch (err) {
     console.error('Cart remove error:', err);
@@ -493,9 +485,9 @@ app.delete('/api/cart/:productId', authenticate, async (req, res) => {
 });
 
 // Clear entire cart
-app.delete('/api/cart', authenticate, async (req, res) => {
+app.delete('/api/cart', authenticateCartOwner, idempotent, async (req, res) => {
   try {
-    const cart = await Cart.findOne({ userId: req.user._id });
+    const cart = await cartRepository.clear(req.cartOwner);
     
     if (!cart) {
       return res.status(404).json({
@@ -504,16 +496,11 @@ app.delete('/api/cart', authenticate, async (req, res) => {
       });
     }
 
-    cart.items = [];
-    cart.clearedAt = Date.now();
-    await cart.save();
-
     res.json({ 
       success: true, 
       message: 'Cart cleared successfully',
       items: [],
-      totalItems: 0,
-      totalPrice: 0
+      ...(await summarizeCart(cart, new Map(), req.user))
     });
   } catch (err) {
     console.error('Cart clear error:', err);
@@ -526,17 +513,117 @@ app.delete('/api/cart', authenticate, async (req, res) => {
 
 // ========== ORDER ROUTES ==========
 
-// Get user orders
+const ORDER_HISTORY_DEFAULT_LIMIT = 20;
+const ORDER_HISTORY_MAX_LIMIT = 50;
+const ORDER_HISTORY_SORTS = {
+  newest: -1,
+  oldest: 1
+};
+const ORDER_STATUSES = Object.keys(TRANSITIONS);
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+const encodeOrderCursor = (order) => Buffer.from(JSON.stringify({
+  d: new Date(order.orderDate).toISOString(),
+  id: order._id
+})).toString('base64url');
+
+const decodeOrderCursor = (cursor) => {
+  try {
+    const { d, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const orderDate = new Date(d);
+    if (Number.isNaN(orderDate.getTime()) || !/^[a-f0-9]{24}$/i.test(id)) return null;
+    return { orderDate, id };
+  } catch (err) {
+    return null;
+  }
+};
+
+// A date filter bound. A bare date (2024-05-31) as the upper bound covers
+// that whole day. Returns undefined when not given, null when unreadable.
+const parseDateBound = (value, { upper = false } = {}) => {
+  if (value === undefined || value === '') return undefined;
+  const date = new Date(String(value));
+  if (Number.isNaN(date.getTime())) return null;
+  if (upper) {
+    date.setTime(date.getTime() + (DATE_ONLY.test(String(value)) ? 24 * 60 * 60 * 1000 : 1));
+  }
+  return date;
+};
+
+// Get user orders, a page at a time
+// Query: status (comma-separated), from, to, q (product name), sort
+// (newest or oldest), limit, cursor
 app.get('/api/orders', authenticate, async (req, res) => {
   try {
-    const orders = await Order.find({ userId: req.user._id })
-      .sort({ orderDate: -1 })
-      .lean();
+    const { q, sort = 'newest', cursor } = req.query;
+
+    const dir = ORDER_HISTORY_SORTS[sort];
+    if (!dir) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid sort option. Use one of: ${Object.keys(ORDER_HISTORY_SORTS).join(', ')}`
+      });
+    }
+
+    const limit = req.query.limit === undefined ? ORDER_HISTORY_DEFAULT_LIMIT : parseInt(req.query.limit, 10);
+    if (!Number.isInteger(limit) || limit < 1 || limit > ORDER_HISTORY_MAX_LIMIT) {
+      return res.status(400).json({
+        success: false,
+        message: `Limit must be between 1 and ${ORDER_HISTORY_MAX_LIMIT}`
+      });
+    }
+
+    const statuses = req.query.status
+      ? String(req.query.status).split(',').map(status => status.trim()).filter(Boolean)
+      : [];
+    const unknown = statuses.find(status => !ORDER_STATUSES.includes(status));
+    if (unknown) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown status: ${unknown}. Use one of: ${ORDER_STATUSES.join(', ')}`
+      });
+    }
+
+    const from = parseDateBound(req.query.from);
+    const to = parseDateBound(req.query.to, { upper: true });
+    if (from === null || to === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be dates, e.g. 2024-05-31'
+      });
+    }
+
+    let after;
+    if (cursor) {
+      after = decodeOrderCursor(cursor);
+      if (!after) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid cursor'
+        });
+      }
+    }
+
+    const { orders, total } = await orderRepository.history({
+      userId: req.user._id,
+      statuses,
+      from,
+      to,
+      q: q && String(q).trim(),
+      dir,
+      after,
+      limit: limit + 1
+    });
+
+    const hasMore = orders.length > limit;
+    const page = hasMore ? orders.slice(0, limit) : orders;
 
     res.json({
       success: true,
-      orders,
-      total: orders.length
+      orders: page,
+      total,
+      nextCursor: hasMore ? encodeOrderCursor(page[page.length - 1]) : null,
+      hasMore
     });
   } catch (err) {
     console.error('Orders fetch error:', err);
@@ -547,63 +634,321 @@ app.get('/api/orders', authenticate, async (req, res) => {
   }
 });
 
-// Create new order
-app.post('/api/orders', authenticate, async (req, res) => {
+// How long browsers wait before reconnecting a dropped event stream, and
+// how often an open one is pinged (and its login rechecked)
+const EVENT_STREAM_RETRY_MS = 3000;
+const EVENT_STREAM_HEARTBEAT_MS = 25 * 1000;
+
+// Live updates for the caller's orders as server-sent events (see
+// services/events for the event types). Query: orderId to follow a single
+// order; lastEventId to resume, which browsers send on their own as the
+// Last-Event-ID header when they reconnect. A `reset` event means updates
+// may have been missed and the client should refetch.
+app.get('/api/orders/events', authenticateEventStream, async (req, res) => {
+  let stop = null;
+  let heartbeat = null;
+  let closed = false;
+
+  res.on('close', () => {
+    closed = true;
+    clearInterval(heartbeat);
+    if (stop) stop();
+  });
+
+  try {
+    const orderId = req.query.orderId ? String(req.query.orderId) : undefined;
+    if (orderId && !(await orderRepository.findByNumber(orderId, { userId: req.user._id }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Stop proxies such as nginx from holding events back
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${EVENT_STREAM_RETRY_MS}\n\n`);
+
+    stop = await followOrderEvents(req.user._id, {
+      lastEventId: req.get('Last-Event-ID') || req.query.lastEventId,
+      orderId,
+      send: (event) => res.write(
+        `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({ orderId: event.orderId, at: event.at, ...event.data })}\n\n`
+      ),
+      onReset: () => res.write('event: reset\ndata: {}\n\n')
+    });
+    if (closed) return stop();
+
+    // The stream outlives the request's token check, so it ends when the
+    // token expires or the session is logged out; the client then
+    // reconnects with a fresh token or not at all
+    heartbeat = setInterval(async () => {
+      try {
+        const expired = req.tokenExpiresAt && req.tokenExpiresAt <= new Date();
+        if (expired || !(await isSessionActive(req.sessionId, req.user._id))) {
+          res.end();
+          return;
+        }
+        res.write(': ping\n\n');
+      } catch (err) {
+        console.error('Order events heartbeat error:', err);
+        res.end();
+      }
+    }, EVENT_STREAM_HEARTBEAT_MS);
+  } catch (err) {
+    console.error('Order events error:', err);
+    if (stop) stop();
+    if (res.headersSent) return res.end();
+    res.status(500).json({
+      success: false,
+      message: 'Failed to open order updates'
+    });
+  }
+});
+
+// Send a service's { ok: false, status, message, ... } result as is
+const sendFailure = (res, result) => {
+  const { ok, status, ...details } = result;
+  return res.status(status).json({ success: false, ...details });
+};
+
+const DOCUMENT_FORMATS = ['pdf', 'html', 'json'];
+
+// Send an invoice or credit note as ?format=pdf (the default, as a
+// download), html (a printable page) or json
+const sendDocument = (req, res, document, extra = {}) => {
+  const format = req.query.format || 'pdf';
+
+  if (!DOCUMENT_FORMATS.includes(format)) {
+    return res.status(400).json({
+      success: false,
+      message: `Format must be one of: ${DOCUMENT_FORMATS.join(', ')}`
+    });
+  }
+
+  if (format === 'json') {
+    return res.json({ success: true, document, ...extra });
+  }
+
+  res.set('Cache-Control', 'private, no-cache');
+  if (format === 'html') {
+    res.set('Content-Disposition', `inline; filename="${fileName(document, 'html')}"`);
+    return res.type('html').send(renderHtml(document));
+  }
+
+  res.set('Content-Disposition', `attachment; filename="${fileName(document, 'pdf')}"`);
+  return res.type('pdf').send(renderPdf(document));
+};
+
+// Create new order. Clients on flaky networks should send an
+// Idempotency-Key, so a retried request can't place the order twice.
+app.post('/api/orders', authenticate, requireVerifiedEmail, idempotent, async (req, res) => {
   try {
-    const { items, deliveryAddress, paymentMethod, notes } = req.body;
+    const { items, addressId, deliveryAddress, paymentMethod, paymentToken, deliverySlotId, notes } = req.body;
     
-    if (!items || items.length === 0) {
+    if (!Array.isArray(items) || items.length === 0) {
       return res.status(400).json({
         success: false,
         message: 'Order items are required'
       });
     }
 
-    if (!deliveryAddress || !paymentMethod) {
+    if ((!addressId && !deliveryAddress) || !paymentMethod) {
       return res.status(400).json({
         success: false,
         message: 'Delivery address and payment method are required'
       });
     }
 
-    const totalAmount = items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-    const orderId = `FM${Date.now()}${Math.random().toString(36).substr(2, 4).toUpperCase()}`;
-    
-    const newOrder = new Order({
-      id: orderId,
-      userId: req.user._id,
-      items: items.map(item => ({
+    const destination = resolveDeliveryAddress(req.user, { addressId, deliveryAddress });
+    if (!destination.ok) return sendFailure(res, destination);
+
+    const booking = resolveSlot(deliverySlotId);
+    if (!booking.ok) return sendFailure(res, booking);
+
+    // Merge duplicate lines; only productId and quantity are taken from the client
+    const quantities = new Map();
+    for (const item of items) {
+      const quantity = Number(item.quantity);
+      if (!item.productId || !Number.isInteger(quantity) || quantity < 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'Each order item needs a productId and a whole quantity of at least 1'
+        });
+      }
+      const key = String(item.productId);
+      quantities.set(key, (quantities.get(key) || 0) + quantity);
+    }
+
+    const products = await loadActiveProducts([...quantities.keys()]);
+    const unavailable = [...quantities.keys()].filter(productId => !products.has(productId));
+
+    if (unavailable.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some items are no longer available',
+        unavailable
+      });
+    }
+
+    // The customer last saw the prices stored on their cart lines. If the
+    // catalog moved since then, refresh the cart and ask them to confirm.
+    const cart = await cartRepository.findByOwner({ userId: req.user._id });
+    const priceChanges = [];
+
+    if (cart) {
+      cart.items.forEach(cartItem => {
+        const product = products.get(String(cartItem.productId));
+        if (product && quantities.has(String(cartItem.productId)) && cartItem.price !== product.price) {
+          priceChanges.push({
+            productId: cartItem.productId,
+            name: product.name,
+            previousPrice: cartItem.price,
+            currentPrice: product.price
+          });
+          cartItem.price = product.price;
+        }
+      });
+    }
+
+    if (priceChanges.length > 0) {
+      await cartRepository.saveItems({ userId: req.user._id }, cart.items);
+      return res.status(409).json({
+        success: false,
+        message: 'Some prices have changed since you added them to your cart. Please review your cart before placing the order.',
+        priceChanges
+      });
+    }
+
+    const result = await placeOrder(req.user, {
+      orderItems: buildOrderItems(quantities, products),
+      products,
+      cart,
+      address: destination.address,
+      zone: destination.zone,
+      slot: booking.slot,
+      paymentMethod,
+      paymentToken,
+      notes
+    });
+
+    if (!result.ok) return sendFailure(res, result);
+
+    res.status(201).json({
+      success: true,
+      message: result.payment ? 'Order placed. Complete the payment to confirm it.' : 'Order placed successfully',
+      order: result.order,
+      ...(result.payment && { payment: result.payment })
+    });
+  } catch (err) {
+    console.error('Order creation error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create order'
+    });
+  }
+});
+
+// Place an order for exactly what is in the customer's cart. Every line is
+// checked first and all problems are reported together in `errors`, one
+// entry per line with a `code`; nothing is taken until they're all fixed.
+app.post('/api/checkout', authenticate, requireVerifiedEmail, idempotent, async (req, res) => {
+  try {
+    const { addressId, deliveryAddress, paymentMethod, paymentToken, deliverySlotId, notes } = req.body;
+
+    if ((!addressId && !deliveryAddress) || !paymentMethod) {
+      return res.status(400).json({
+        success: false,
+        message: 'Delivery address and payment method are required'
+      });
+    }
+
+    const destination = resolveDeliveryAddress(req.user, { addressId, deliveryAddress });
+    if (!destination.ok) return sendFailure(res, destination);
+
+    const booking = resolveSlot(deliverySlotId);
+    if (!booking.ok) return sendFailure(res, booking);
+
+    const cart = await cartRepository.findByOwner({ userId: req.user._id });
+
+    if (!cart || cart.items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your cart is empty'
+      });
+    }
+
+    // Brings the cart's prices in line with the catalog, reporting what moved
+    const { products, priceChanges, unavailable } = await repriceItems(cart.items);
+    const errors = [
+      ...unavailable.map(item => ({
         productId: item.productId,
         name: item.name,
-        price: item.price,
-        quantity: item.quantity,
-        image: item.image
+        code: 'unavailable',
+        message: `${item.name} is no longer available`
+      })),
+      ...priceChanges.map(change => ({
+        ...change,
+        code: 'price_changed',
+        message: `The price of ${change.name} changed from ${change.previousPrice} to ${change.currentPrice}`
       })),
-      totalAmount: parseFloat(totalAmount.toFixed(2)),
-      deliveryAddress,
+      ...cart.items
+        .filter(item => products.has(String(item.productId)) && item.quantity > products.get(String(item.productId)).stock)
+        .map(item => {
+          const shortage = {
+            productId: item.productId,
+            name: item.name,
+            requested: item.quantity,
+            available: products.get(String(item.productId)).stock
+          };
+          return { ...shortage, code: 'insufficient_stock', message: stockMessage(shortage) };
+        })
+    ];
+
+    if (priceChanges.length > 0) {
+      await cartRepository.saveItems({ userId: req.user._id }, cart.items);
+    }
+
+    if (errors.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Some items in your cart need your attention before checking out',
+        errors
+      });
+    }
+
+    const quantities = new Map(cart.items.map(item => [String(item.productId), item.quantity]));
+
+    const result = await placeOrder(req.user, {
+      orderItems: buildOrderItems(quantities, products),
+      products,
+      cart,
+      address: destination.address,
+      zone: destination.zone,
+      slot: booking.slot,
       paymentMethod,
-      notes: notes || '',
-      estimatedDelivery: new Date(Date.now() + 24 * 60 * 60 * 1000)
+      paymentToken,
+      notes
     });
 
-    await newOrder.save();
-
-    // Clear user's cart
-    await Cart.updateOne(
-      { userId: req.user._id },
-      { $set: { items: [], clearedAt: Date.now() } }
-    );
+    if (!result.ok) return sendFailure(res, result);
 
     res.status(201).json({
       success: true,
-      message: 'Order placed successfully',
-      order: newOrder
+      message: result.payment ? 'Order placed. Complete the payment to confirm it.' : 'Order placed successfully',
+      order: result.order,
+      ...(result.payment && { payment: result.payment })
     });
   } catch (err) {
-    console.error('Order creation error:', err);
+    console.error('Checkout error:', err);
     res.status(500).json({
       success: false,
-      message: 'Failed to create order'
+      message: 'Failed to check out'
     });
   }
 });
@@ -614,10 +959,7 @@ app.put('/api/orders/:orderId/cancel', authenticate, async (req, res) => {
     const { orderId } = req.params;
     const { reason } = req.body;
     
-    const order = await Order.findOne({ 
-      id: orderId,
-      userId: req.user._id
-    });
+    const order = await orderRepository.findByNumber(orderId, { userId: req.user._id });
     
     if (!order) {
       return res.status(404).json({
@@ -626,24 +968,31 @@ app.put('/api/orders/:orderId/cancel', authenticate, async (req, res) => {
       });
     }
 
-    // Check if order can be cancelled
-    if (['delivered', 'cancelled'].includes(order.status.toLowerCase())) {
+    if (!allowedTransitions(order.status, 'customer').includes('cancelled')) {
       return res.status(400).json({
         success: false,
         message: `Cannot cancel order with status: ${order.status}`
       });
     }
 
-    order.status = 'cancelled';
-    order.cancelledAt = Date.now();
-    order.cancellationReason = reason || 'Cancelled by customer';
-    
-    await order.save();
+    const result = await transitionOrder(order, 'cancelled', {
+      actorType: 'customer',
+      actorId: req.user._id,
+      note: reason
+    });
+
+    if (!result.ok) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
 
     res.json({
       success: true,
       message: 'Order cancelled successfully',
-      order
+      order: result.order,
+      refunds: await listOrderRefunds(result.order.id)
     });
   } catch (err) {
     console.error('Order cancellation error:', err);
@@ -654,15 +1003,106 @@ app.put('/api/orders/:orderId/cancel', authenticate, async (req, res) => {
   }
 });
 
+// Put a past order's items back in the cart at today's prices
+app.post('/api/orders/:orderId/reorder', authenticate, idempotent, async (req, res) => {
+  try {
+    const order = await orderRepository.findByNumber(req.params.orderId, { userId: req.user._id });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const { cart, products, added, priceChanged, skipped } = await reorderIntoCart(order, req.user._id);
+    const summary = await summarizeCart(cart, products, req.user);
+
+    res.json({
+      success: true,
+      message: added.length === 0
+        ? 'None of the items from this order are available right now'
+        : `Added ${added.length} of ${remainingUnits(order.items).length} items to your cart`,
+      added,
+      priceChanged,
+      skipped,
+      items: cart.items,
+      ...summary
+    });
+  } catch (err) {
+    console.error('Reorder error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reorder'
+    });
+  }
+});
+
+// The order's tax invoice, issued on first request. In json format the
+// response also lists the credit notes for its refunds.
+app.get('/api/orders/:orderId/invoice', authenticate, async (req, res) => {
+  try {
+    const order = await orderRepository.findByNumber(req.params.orderId, { userId: req.user._id });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const result = await getOrderDocuments(order, req.user);
+    if (!result.ok) return sendFailure(res, result);
+
+    sendDocument(req, res, result.invoice, { creditNotes: result.creditNotes.map(summarizeDocument) });
+  } catch (err) {
+    console.error('Invoice error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate invoice'
+    });
+  }
+});
+
+// A credit note issued against the order's invoice for a refund
+app.get('/api/orders/:orderId/credit-notes/:number', authenticate, async (req, res) => {
+  try {
+    const order = await orderRepository.findByNumber(req.params.orderId, { userId: req.user._id });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    // Makes sure credit notes for refunds settled since the last visit exist
+    const result = await getOrderDocuments(order, req.user);
+    const creditNote = result.ok && result.creditNotes.find(note => note.number === req.params.number);
+
+    if (!creditNote) {
+      return res.status(404).json({
+        success: false,
+        message: 'Credit note not found'
+      });
+    }
+
+    sendDocument(req, res, creditNote);
+  } catch (err) {
+    console.error('Credit note error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate credit note'
+    });
+  }
+});
+
 // Get specific order details
 app.get('/api/orders/:orderId', authenticate, async (req, res) => {
   try {
     const { orderId } = req.params;
     
-    const order = await Order.findOne({ 
-      id: orderId,
-      userId: req.user._id
-    });
+    const order = await orderRepository.findByNumber(orderId, { userId: req.user._id });
     
     if (!order) {
       return res.status(404).json({
@@ -673,7 +1113,10 @@ app.get('/api/orders/:orderId', authenticate, async (req, res) => {
 
     res.json({
       success: true,
-      order
+      order,
+      timeline: buildTimeline(order),
+      canCancel: allowedTransitions(order.status, 'customer').includes('cancelled'),
+      refunds: await listOrderRefunds(order.id)
     });
   } catch (err) {
     console.error('Order fetch error:', err);
@@ -693,26 +1136,39 @@ app.use((err, req, res, next) => {
   });
 });
 
-app.use('/api/*', (req, res) => {
-  res.status(404).json({
-    success: false,
-    message: 'Endpoint not found'
-  });
-});
-
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   res.json({
     success: true,
     message: 'Server is healthy',
     timestamp: new Date().toISOString(),
-    database: mongoose.connection.readyState === 1 ? 'Connected' : 'Disconnected'
+    storage: repositories.store.name,
+    database: repositories.store.isConnected() ? 'Connected' : 'Disconnected'
   });
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`🚀 Server running on port ${PORT}`);
-  console.log(`🔗 API: http://localhost:${PORT}/api`);
-  console.log(`💚 Health Check: http://localhost:${PORT}/api/health`);
+app.use('/api/*', (req, res) => {
+  res.status(404).json({
+    success: false,
+    message: 'Endpoint not found'
+  });
 });
+
+// Start server
+if (require.main === module) {
+  repositories.connect()
+    .then(() => {
+      startDispatcher();
+      app.listen(PORT, () => {
+        console.log(`🚀 Server running on port ${PORT} (${repositories.store.name} storage)`);
+        console.log(`🔗 API: http://localhost:${PORT}/api`);
+        console.log(`💚 Health Check: http://localhost:${PORT}/api/health`);
+      });
+    })
+    .catch(err => {
+      console.error('Storage connection error:', err);
+      process.exit(1);
+    });
+}
+
+module.exports = app;
@@ -0,0 +1,90 @@
+const { readJsonEnv } = require('../utils/env');
+
+// Pincodes we deliver to, grouped into zones. Entries are exact pincodes or
+// prefixes ending in "*"; the most specific match wins. Zone names are the
+// keys of DELIVERY_ZONES in services/pricing, which sets each zone's fee.
+// Override with SERVICE_ZONES, e.g. {"central":["600001","600002"],"suburbs":["6001*"]}.
+// The default serves every pincode from the default zone.
+const DEFAULT_SERVICE_ZONES = {
+  default: ['*']
+};
+
+const SERVICE_ZONES = readJsonEnv('SERVICE_ZONES', DEFAULT_SERVICE_ZONES);
+
+const ADDRESS_FIELDS = ['label', 'line1', 'line2', 'city', 'pincode', 'landmark', 'phone'];
+
+const PINCODE = /^\d{6}$/;
+const PHONE = /^\+?\d{10,13}$/;
+
+// The zone serving a pincode, or null if we don't deliver there
+const findServiceZone = (pincode) => {
+  let best = null;
+
+  Object.entries(SERVICE_ZONES).forEach(([zone, patterns]) => {
+    patterns.forEach(pattern => {
+      const isPrefix = pattern.endsWith('*');
+      const stem = isPrefix ? pattern.slice(0, -1) : pattern;
+      const hit = isPrefix ? String(pincode).startsWith(stem) : String(pincode) === stem;
+      // An exact pincode beats any prefix; a longer prefix beats a shorter one
+      const score = isPrefix ? stem.length : Infinity;
+      if (hit && (!best || score > best.score)) best = { zone, score };
+    });
+  });
+
+  return best ? best.zone : null;
+};
+
+// Check and tidy an address from a request body.
+// Returns { ok: true, address } or { ok: false, status, message }.
+const validateAddress = (input) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { ok: false, status: 400, message: 'Address must be an object with line1, city and pincode' };
+  }
+
+  const address = ADDRESS_FIELDS.reduce((fields, key) => {
+    if (input[key] !== undefined && input[key] !== null && input[key] !== '') {
+      fields[key] = String(input[key]).trim();
+    }
+    return fields;
+  }, {});
+
+  if (address.phone) address.phone = address.phone.replace(/[\s-]/g, '');
+
+  if (!address.line1 || !address.city || !address.pincode) {
+    return { ok: false, status: 400, message: 'Address line 1, city and pincode are required' };
+  }
+
+  if (!PINCODE.test(address.pincode)) {
+    return { ok: false, status: 400, message: 'Pincode must be 6 digits' };
+  }
+
+  if (address.phone && !PHONE.test(address.phone)) {
+    return { ok: false, status: 400, message: 'Phone number must have 10 to 13 digits' };
+  }
+
+  return { ok: true, address };
+};
+
+// One-line form for the order's deliveryAddress text and for drivers
+const formatAddress = (address) => [
+  address.line1,
+  address.line2,
+  address.landmark && `near ${address.landmark}`,
+  `${address.city} ${address.pincode}`
+].filter(Boolean).join(', ');
+
+const defaultAddress = (addresses = []) => addresses.find(address => address.isDefault) || addresses[0] || null;
+
+// Zone used to estimate delivery on the cart before an address is chosen
+const defaultZone = (user) => {
+  const address = user && defaultAddress(user.addresses);
+  return address ? findServiceZone(address.pincode) : undefined;
+};
+
+module.exports = {
+  findServiceZone,
+  validateAddress,
+  formatAddress,
+  defaultAddress,
+  defaultZone
+};
@@ -0,0 +1,91 @@
+const { products: productRepository } = require('../repositories');
+const { evaluateCoupon } = require('./promotions');
+const { priceItems } = require('./pricing');
+const { defaultZone } = require('./addresses');
+
+// Load the active catalog entries for a set of product ids, keyed by id string.
+// Ids that are malformed, unknown or inactive are simply absent from the map.
+const loadActiveProducts = async (productIds) => {
+  const ids = [...new Set(productIds.map(id => String(id)))];
+
+  if (ids.length === 0) return new Map();
+
+  const products = await productRepository.findActiveByIds(ids);
+  return new Map(products.map(product => [String(product._id), product]));
+};
+
+// Bring stored line prices in line with the catalog.
+// Mutates `items` in place and reports what changed so callers can tell the
+// customer instead of silently charging a different amount.
+const repriceItems = async (items) => {
+  const products = await loadActiveProducts(items.map(item => item.productId));
+  const priceChanges = [];
+  const unavailable = [];
+
+  items.forEach(item => {
+    const product = products.get(String(item.productId));
+
+    if (!product) {
+      unavailable.push({ productId: item.productId, name: item.name });
+      return;
+    }
+
+    if (item.price !== product.price) {
+      priceChanges.push({
+        productId: item.productId,
+        name: product.name,
+        previousPrice: item.price,
+        currentPrice: product.price
+      });
+      item.price = product.price;
+    }
+  });
+
+  return { products, priceChanges, unavailable };
+};
+
+const countItems = (items) => items.reduce((sum, item) => sum + item.quantity, 0);
+
+// Totals for a cart response, priced the same way an order would be.
+// A coupon that stopped applying (expired, minimum no longer met) stays on
+// the cart but is reported with `applied: false` and the reason, and takes
+// nothing off. `totalPrice` is the grand total; `pricing` has the breakdown,
+// with delivery estimated for the user's default address.
+const summarizeCart = async (cart, products, user) => {
+  let coupon = null;
+  let discounts = [];
+
+  if (cart.couponCode) {
+    const result = await evaluateCoupon(cart.couponCode, cart.items, products, user && user._id);
+    if (result.ok) {
+      const { discount } = result;
+      discounts = [discount];
+      coupon = {
+        code: discount.code,
+        applied: true,
+        description: discount.description,
+        discount: discount.amount,
+        lines: discount.lines
+      };
+    } else {
+      coupon = { code: cart.couponCode, applied: false, message: result.message };
+    }
+  }
+
+  const pricing = priceItems({ items: cart.items, products, discounts, zone: defaultZone(user) });
+
+  return {
+    totalItems: countItems(cart.items),
+    subtotal: pricing.subtotal,
+    discount: pricing.discountTotal,
+    totalPrice: pricing.grandTotal,
+    coupon,
+    pricing
+  };
+};
+
+module.exports = {
+  loadActiveProducts,
+  repriceItems,
+  summarizeCart
+};
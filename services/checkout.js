@@ -0,0 +1,229 @@
+const {
+  transaction,
+  carts: cartRepository,
+  orders: orderRepository
+} = require('../repositories');
+const { evaluateCoupon, redeemCoupon } = require('./promotions');
+const { priceItems, lineTotal, gstRate } = require('./pricing');
+const { findSlot, reserveSlot, slotSnapshot } = require('./deliverySlots');
+const { validateAddress, formatAddress, findServiceZone } = require('./addresses');
+const { requiresOnlinePayment, startPayment } = require('./payments');
+const { reserveStock } = require('./inventory');
+const { transitionOrder } = require('./orderStatus');
+const { queueNotification, wakeDispatcher } = require('./notifications');
+
+// Thrown inside a unit of work to roll it back; carries the result to return
+const rollback = (result) => Object.assign(new Error(result.message), { name: 'CheckoutRollback', result });
+
+// Where the order goes: one of the customer's saved addresses or a
+// structured one from the request.
+// Returns { ok: true, address, zone } or { ok: false, status, message }.
+const resolveDeliveryAddress = (user, { addressId, deliveryAddress }) => {
+  let address;
+  if (addressId) {
+    address = (user.addresses || []).find(saved => String(saved._id) === String(addressId));
+    if (!address) {
+      return { ok: false, status: 400, message: 'Saved address not found' };
+    }
+  } else {
+    const result = validateAddress(deliveryAddress);
+    if (!result.ok) return result;
+    address = result.address;
+  }
+
+  const zone = findServiceZone(address.pincode);
+  if (!zone) {
+    return {
+      ok: false,
+      status: 400,
+      message: `Sorry, we don't deliver to pincode ${address.pincode} yet`,
+      pincode: address.pincode
+    };
+  }
+
+  return { ok: true, address, zone };
+};
+
+// The bookable window for a request, or an error result
+const resolveSlot = (deliverySlotId) => {
+  if (!deliverySlotId) {
+    return { ok: false, status: 400, message: 'Please choose a delivery slot' };
+  }
+
+  const slot = findSlot(deliverySlotId);
+  if (!slot) {
+    return { ok: false, status: 400, message: 'This delivery slot is not available. Please choose another.' };
+  }
+
+  return { ok: true, slot };
+};
+
+// Order lines as stored: a snapshot of the catalog entry at checkout.
+// `quantities` maps product id to quantity; every id must be in `products`.
+const buildOrderItems = (quantities, products) => {
+  const pricedAt = new Date();
+  return [...quantities].map(([productId, quantity]) => {
+    const product = products.get(productId);
+    return {
+      productId,
+      name: product.name,
+      price: product.price,
+      quantity,
+      lineTotal: lineTotal({ price: product.price, quantity }),
+      image: product.image,
+      category: product.category,
+      taxRate: gstRate(product.category),
+      pricedAt
+    };
+  });
+};
+
+const stockMessage = ({ name, available }) => (available > 0
+  ? `Only ${available} of ${name} available`
+  : `${name} is out of stock`);
+
+// Turn order lines into an order. Stock, the delivery slot and the cart's
+// coupon are taken, the order is stored and the cart emptied as one unit
+// of work: if any step fails, none of them happened. Online payments are
+// started after that commits; if the provider turns the order away it is
+// cancelled and the cart handed back.
+// Returns { ok: true, order, payment } or { ok: false, status, message, ... }.
+const placeOrder = async (user, { orderItems, products, cart, address, zone, slot, paymentMethod, paymentToken, notes }) => {
+  // A coupon on the cart must still hold for exactly these lines
+  let promotion = null;
+  if (cart && cart.couponCode) {
+    promotion = await evaluateCoupon(cart.couponCode, orderItems, products, user._id);
+    if (!promotion.ok) {
+      return {
+        ok: false,
+        status: promotion.status === 404 ? 400 : promotion.status,
+        message: promotion.status === 404
+          ? `Coupon ${cart.couponCode} is no longer available. Please remove it from your cart.`
+          : promotion.message,
+        coupon: cart.couponCode
+      };
+    }
+  }
+
+  const discounts = promotion ? [promotion.discount] : [];
+  const pricing = priceItems({ items: orderItems, products, discounts, zone });
+  const orderId = `FM${Date.now()}${Math.random().toString(36).substr(2, 4).toUpperCase()}`;
+
+  // Online payments hold the order in pending_payment until the provider
+  // confirms the money; cash orders are confirmed straight away
+  const payOnline = requiresOnlinePayment(paymentMethod);
+
+  let order;
+  try {
+    order = await transaction(async () => {
+      const reservation = await reserveStock(orderItems);
+      if (!reservation.ok) {
+        const { shortage } = reservation;
+        throw rollback({
+          ok: false,
+          status: 409,
+          message: stockMessage(shortage),
+          shortage,
+          errors: [{ ...shortage, code: 'insufficient_stock', message: stockMessage(shortage) }]
+        });
+      }
+
+      if (!(await reserveSlot(slot))) {
+        throw rollback({
+          ok: false,
+          status: 409,
+          message: `The ${slot.label} slot on ${slot.date} is fully booked. Please choose another.`
+        });
+      }
+
+      if (promotion) {
+        const redemption = await redeemCoupon(promotion.coupon, promotion.discount, { userId: user._id, orderId });
+        if (!redemption.ok) {
+          throw rollback({ ...redemption, coupon: promotion.coupon.code });
+        }
+      }
+
+      const created = await orderRepository.create({
+        id: orderId,
+        userId: user._id,
+        items: orderItems,
+        currency: pricing.currency,
+        subtotal: pricing.subtotal,
+        discounts,
+        discountTotal: pricing.discountTotal,
+        deliveryZone: pricing.delivery.zone,
+        deliveryFee: pricing.deliveryFee,
+        taxes: pricing.taxes,
+        taxTotal: pricing.taxTotal,
+        totalAmount: pricing.grandTotal,
+        deliveryAddress: formatAddress(address),
+        address: {
+          addressId: address._id,
+          label: address.label,
+          line1: address.line1,
+          line2: address.line2,
+          city: address.city,
+          pincode: address.pincode,
+          landmark: address.landmark,
+          phone: address.phone,
+          zone
+        },
+        paymentMethod,
+        notes: notes || '',
+        deliverySlot: slotSnapshot(slot),
+        stockReserved: true,
+        status: payOnline ? 'pending_payment' : 'confirmed',
+        statusHistory: [{
+          status: payOnline ? 'pending_payment' : 'confirmed',
+          actorType: 'customer',
+          actorId: user._id,
+          note: payOnline ? 'Order placed, awaiting payment' : 'Order placed'
+        }]
+      });
+
+      await cartRepository.clear({ userId: user._id });
+
+      // Online orders are announced once their payment confirms them
+      if (!payOnline) {
+        await queueNotification('order_placed', {
+          user,
+          phone: address.phone,
+          reference: orderId,
+          data: { order: created }
+        });
+      }
+      return created;
+    });
+  } catch (err) {
+    if (err.name === 'CheckoutRollback') return err.result;
+    throw err;
+  }
+  wakeDispatcher();
+
+  if (!payOnline) return { ok: true, order };
+
+  try {
+    return { ok: true, ...(await startPayment(order, { paymentToken })) };
+  } catch (err) {
+    // Gives back the stock, slot and coupon the order was holding
+    await transitionOrder(order, 'cancelled', {
+      actorType: 'system',
+      note: 'Payment could not be started'
+    });
+    if (cart) await cartRepository.restore({ userId: user._id }, cart);
+
+    if (err.status === 400) {
+      return { ok: false, status: 400, message: err.message };
+    }
+    console.error('Payment start error:', err);
+    return { ok: false, status: 502, message: 'Payment could not be started. Please try again.' };
+  }
+};
+
+module.exports = {
+  resolveDeliveryAddress,
+  resolveSlot,
+  buildOrderItems,
+  stockMessage,
+  placeOrder
+};
@@ -0,0 +1,149 @@
+const {
+  transaction,
+  deliverySlots: deliverySlotRepository,
+  orders: orderRepository
+} = require('../repositories');
+const { publishOrderEvent } = require('./events');
+const { readJsonEnv } = require('../utils/env');
+
+// Daily delivery windows, in the server's local time (set TZ to the store's
+// time zone). Override with DELIVERY_SLOTS, e.g.
+//   [{"start":"07:00","end":"09:00","capacity":20},{"start":"18:00","end":"20:00","capacity":30}]
+const DEFAULT_SLOTS = [
+  { start: '07:00', end: '09:00', capacity: 20 },
+  { start: '11:00', end: '13:00', capacity: 20 },
+  { start: '15:00', end: '17:00', capacity: 20 },
+  { start: '18:00', end: '20:00', capacity: 20 }
+];
+
+const SLOTS = readJsonEnv('DELIVERY_SLOTS', DEFAULT_SLOTS);
+const DAYS_AHEAD = parseInt(process.env.DELIVERY_SLOT_DAYS, 10) || 3;
+// Windows starting sooner than this can no longer be booked
+const CUTOFF_MINUTES = parseInt(process.env.DELIVERY_SLOT_CUTOFF_MINUTES, 10) || 60;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+const dateKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+const atTime = (day, hhmm) => {
+  const [hours, minutes] = hhmm.split(':').map(Number);
+  return new Date(day.getFullYear(), day.getMonth(), day.getDate(), hours, minutes);
+};
+
+const buildSlot = (day, template) => ({
+  id: `${dateKey(day)}@${template.start}`,
+  date: dateKey(day),
+  start: atTime(day, template.start),
+  end: atTime(day, template.end),
+  label: `${template.start}–${template.end}`,
+  capacity: template.capacity
+});
+
+const isBookable = (slot, now) =>
+  slot.capacity > 0 && slot.start.getTime() - now.getTime() >= CUTOFF_MINUTES * 60 * 1000;
+
+// Every window still open for booking from today through DAYS_AHEAD days out
+const upcomingSlots = (now = new Date()) => {
+  const slots = [];
+  for (let offset = 0; offset <= DAYS_AHEAD; offset++) {
+    const day = new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset);
+    SLOTS.forEach(template => slots.push(buildSlot(day, template)));
+  }
+  return slots.filter(slot => isBookable(slot, now));
+};
+
+// Upcoming windows with how many places are left in each
+const listAvailability = async (now = new Date()) => {
+  const slots = upcomingSlots(now);
+  const bookings = await deliverySlotRepository.findByIds(slots.map(slot => slot.id));
+  const byId = new Map(bookings.map(booking => [booking.slotId, booking]));
+
+  return slots.map(slot => {
+    const booking = byId.get(slot.id);
+    const capacity = booking ? booking.capacity : slot.capacity;
+    const remaining = Math.max(capacity - (booking ? booking.booked : 0), 0);
+    return { ...slot, capacity, remaining, available: remaining > 0 };
+  });
+};
+
+// The bookable window for a slot id, or null if it isn't offered (unknown
+// time, malformed, in the past or too close to start)
+const findSlot = (slotId, now = new Date()) =>
+  upcomingSlots(now).find(slot => slot.id === String(slotId)) || null;
+
+const reserveSlot = (slot) => deliverySlotRepository.reserve(slot);
+
+const releaseSlot = (slotId) => deliverySlotRepository.release(slotId);
+
+// What an order keeps about its window
+const slotSnapshot = (slot) => ({
+  id: slot.id,
+  start: slot.start,
+  end: slot.end,
+  label: slot.label
+});
+
+// Orders whose delivery window can still be changed
+const RESCHEDULABLE = ['pending_payment', 'confirmed', 'processing'];
+
+// Thrown inside the unit of work to undo the new booking
+const rollback = (result) => Object.assign(new Error(result.message), { name: 'RescheduleRollback', result });
+
+// Move an order to another window: book a place in the new one and give
+// back its place in the old one, together.
+// Returns { ok: true, order } or { ok: false, status, message }.
+const rescheduleDelivery = async (order, slotId) => {
+  if (!RESCHEDULABLE.includes(order.status)) {
+    return { ok: false, status: 400, message: `Cannot change the delivery slot of an order with status: ${order.status}` };
+  }
+
+  const slot = findSlot(slotId);
+  if (!slot) {
+    return { ok: false, status: 400, message: 'This delivery slot is not available. Please choose another.' };
+  }
+
+  const previousSlot = order.deliverySlot && order.deliverySlot.id ? order.deliverySlot : null;
+  if (previousSlot && previousSlot.id === slot.id) {
+    return { ok: false, status: 400, message: 'The order is already booked into this slot' };
+  }
+
+  let updated;
+  try {
+    updated = await transaction(async () => {
+      const moved = await orderRepository.moveSlot(order.id, {
+        statuses: RESCHEDULABLE,
+        fromSlotId: previousSlot && previousSlot.id,
+        deliverySlot: slotSnapshot(slot)
+      });
+      if (!moved) {
+        throw rollback({ ok: false, status: 409, message: 'Order was updated by someone else. Please reload and try again.' });
+      }
+
+      if (!(await reserveSlot(slot))) {
+        throw rollback({ ok: false, status: 409, message: `The ${slot.label} slot on ${slot.date} is fully booked. Please choose another.` });
+      }
+
+      if (previousSlot) await releaseSlot(previousSlot.id);
+      return moved;
+    });
+  } catch (err) {
+    if (err.name === 'RescheduleRollback') return err.result;
+    throw err;
+  }
+
+  await publishOrderEvent(updated, 'order.delivery_slot', {
+    deliverySlot: updated.deliverySlot,
+    previousSlot
+  });
+
+  return { ok: true, order: updated };
+};
+
+module.exports = {
+  listAvailability,
+  findSlot,
+  reserveSlot,
+  releaseSlot,
+  slotSnapshot,
+  rescheduleDelivery
+};
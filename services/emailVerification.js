@@ -0,0 +1,83 @@
+const jwt = require('jsonwebtoken');
+const { transaction, users: userRepository } = require('../repositories');
+const { queueNotification, wakeDispatcher } = require('./notifications');
+
+// Verification links carry a signed token rather than a stored one. The
+// audience keeps them from being usable as access tokens, and the embedded
+// email means a link stops working if the address changes.
+const verificationConfig = {
+  expiresIn: process.env.EMAIL_VERIFICATION_TTL || '24h',
+  issuer: 'freshmart-api',
+  audience: 'email-verification'
+};
+
+const RESEND_INTERVAL_SECONDS = parseInt(process.env.EMAIL_VERIFICATION_RESEND_SECONDS, 10) || 60;
+
+const verificationLink = (user) => {
+  const token = jwt.sign(
+    { sub: String(user._id), email: user.email },
+    process.env.JWT_SECRET,
+    verificationConfig
+  );
+  const apiUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+  return `${apiUrl}/api/verify-email?token=${encodeURIComponent(token)}`;
+};
+
+// Queue a verification link on the outbox. Runs inside the caller's
+// transaction, if any; the caller wakes the dispatcher after commit.
+const queueVerificationEmail = async (user) => {
+  await userRepository.touchVerificationSent(user._id);
+  await queueNotification('verify_email', { user, data: { link: verificationLink(user) } });
+};
+
+// Send another link unless one went out too recently. The check and the
+// timestamp update are one query, so parallel requests can't both pass;
+// the message is queued in the same transaction as the claim.
+const resendVerificationEmail = async (user) => {
+  if (user.emailVerified) return { ok: false, status: 400, message: 'Email is already verified' };
+
+  const cutoff = new Date(Date.now() - RESEND_INTERVAL_SECONDS * 1000);
+  const claimed = await transaction(async () => {
+    const found = await userRepository.claimVerificationResend(user._id, cutoff);
+    if (found) {
+      await queueNotification('verify_email', { user: found, data: { link: verificationLink(found) } });
+    }
+    return found;
+  });
+
+  if (!claimed) {
+    return {
+      ok: false,
+      status: 429,
+      message: `Please wait ${RESEND_INTERVAL_SECONDS} seconds before requesting another email`
+    };
+  }
+
+  wakeDispatcher();
+  return { ok: true };
+};
+
+const verifyEmailToken = async (token) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET, {
+      issuer: verificationConfig.issuer,
+      audience: verificationConfig.audience
+    });
+  } catch (err) {
+    return { ok: false, message: err.name === 'TokenExpiredError' ? 'Verification link has expired' : 'Invalid verification link' };
+  }
+
+  const user = await userRepository.findByIdAndEmail(payload.sub, payload.email);
+  if (!user) return { ok: false, message: 'Invalid verification link' };
+
+  if (user.emailVerified) return { ok: true, user };
+
+  return { ok: true, user: await userRepository.markEmailVerified(user._id) };
+};
+
+module.exports = {
+  queueVerificationEmail,
+  resendVerificationEmail,
+  verifyEmailToken
+};
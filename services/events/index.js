@@ -0,0 +1,93 @@
+const { createMemoryBus } = require('./memoryBus');
+
+// Order updates pushed to customers, e.g. over GET /api/orders/events.
+// A bus is an object with:
+//   publish(event) -> the event as stored, with an `id` assigned by the bus
+//   subscribe(listener) -> an unsubscribe function; listener(event) is
+//     called for every event published from then on
+//   since(lastEventId) -> the events published after that id, or null when
+//     the bus no longer holds them all (too old, or from before a restart)
+// The built-in "memory" bus only reaches clients of this process. Running
+// several instances needs a shared broker, plugged in with setEventBus()
+// at startup.
+const ORDER_EVENT_HISTORY = parseInt(process.env.ORDER_EVENT_HISTORY, 10) || 1000;
+
+let bus = null;
+
+const setEventBus = (eventBus) => {
+  bus = eventBus;
+};
+
+const getEventBus = () => {
+  if (!bus) bus = createMemoryBus({ historySize: ORDER_EVENT_HISTORY });
+  return bus;
+};
+
+// Event types, all about one order:
+//   order.status           { status, from, note }
+//   order.cancelled        { status, from, reason }
+//   order.items_cancelled  { items: [{ productId, name, quantity }], reason }
+//   order.delivery_slot    { deliverySlot, previousSlot }
+// Publishing never fails the change it reports; a lost event only means a
+// client sees the change on its next fetch.
+const publishOrderEvent = async (order, type, data) => {
+  try {
+    await getEventBus().publish({
+      type,
+      userId: String(order.userId),
+      orderId: order.id,
+      at: new Date(),
+      data
+    });
+  } catch (err) {
+    console.error(`Failed to publish ${type} for order ${order.id}:`, err);
+  }
+};
+
+// Feed a user's order events to `send`, starting after `lastEventId` when
+// given. Calls onReset() instead of replaying when the bus can't tell what
+// was missed, so the client knows to refetch. `orderId` narrows the feed to
+// one order. Returns a function that stops the feed.
+const followOrderEvents = async (userId, { lastEventId, orderId, send, onReset }) => {
+  const wanted = (event) => event.userId === String(userId) && (!orderId || event.orderId === orderId);
+
+  // Listen before reading history so nothing published in between is lost;
+  // events that show up in both are only sent once
+  const pending = [];
+  let live = false;
+  const unsubscribe = getEventBus().subscribe(event => {
+    if (!wanted(event)) return;
+    if (live) send(event);
+    else pending.push(event);
+  });
+
+  try {
+    const sent = new Set();
+    if (lastEventId) {
+      const missed = await getEventBus().since(lastEventId);
+      if (missed === null) {
+        onReset();
+      } else {
+        missed.filter(wanted).forEach(event => {
+          sent.add(event.id);
+          send(event);
+        });
+      }
+    }
+
+    pending.filter(event => !sent.has(event.id)).forEach(send);
+    live = true;
+  } catch (err) {
+    unsubscribe();
+    throw err;
+  }
+
+  return unsubscribe;
+};
+
+module.exports = {
+  setEventBus,
+  getEventBus,
+  publishOrderEvent,
+  followOrderEvents
+};
@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+
+// Event bus for a single process: listeners are called in-process and the
+// last `historySize` events are kept for clients resuming after a
+// reconnect. Ids carry a per-process prefix, so an id from before a
+// restart is recognised as unknown rather than mistaken for a recent one.
+const createMemoryBus = ({ historySize = 1000 } = {}) => {
+  const epoch = crypto.randomBytes(4).toString('hex');
+  const listeners = new Set();
+  const history = [];
+  let seq = 0;
+
+  const parseId = (id) => {
+    const [prefix, counter] = String(id).split('-');
+    const n = Number(counter);
+    return prefix === epoch && Number.isInteger(n) ? n : null;
+  };
+
+  return {
+    name: 'memory',
+
+    publish: async (event) => {
+      seq += 1;
+      const stored = { ...event, id: `${epoch}-${seq}` };
+
+      history.push(stored);
+      if (history.length > historySize) history.shift();
+
+      listeners.forEach(listener => {
+        try {
+          listener(stored);
+        } catch (err) {
+          console.error('Event listener error:', err);
+        }
+      });
+      return stored;
+    },
+
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    since: async (lastEventId) => {
+      const n = parseId(lastEventId);
+      if (n === null || n > seq) return null;
+      // Everything after n must still be held, or the client missed some
+      if (history.length > 0 && parseId(history[0].id) > n + 1) return null;
+      return history.filter(event => parseId(event.id) > n);
+    }
+  };
+};
+
+module.exports = {
+  createMemoryBus
+};
@@ -0,0 +1,125 @@
+const jwt = require('jsonwebtoken');
+const { transaction, carts: cartRepository } = require('../repositories');
+const { loadActiveProducts } = require('./cartPricing');
+const { generateToken } = require('../utils/tokens');
+
+// Days a guest cart survives without being touched
+const GUEST_CART_TTL_DAYS = parseInt(process.env.GUEST_CART_TTL_DAYS, 10) || 7;
+const PURGE_INTERVAL_MS = 10 * 60 * 1000;
+
+// What happens to a product that is in both carts when a guest logs in.
+// Set GUEST_CART_MERGE_RULE to one of these; the result is capped at stock.
+const MERGE_RULES = {
+  sum: (userQuantity, guestQuantity) => userQuantity + guestQuantity,
+  max: (userQuantity, guestQuantity) => Math.max(userQuantity, guestQuantity),
+  // Keep what the account's cart already had
+  user: (userQuantity) => userQuantity,
+  // Take what the shopper just picked as a guest
+  guest: (userQuantity, guestQuantity) => guestQuantity
+};
+
+const MERGE_RULE = process.env.GUEST_CART_MERGE_RULE || 'sum';
+if (!MERGE_RULES[MERGE_RULE]) {
+  throw new Error(`Unknown GUEST_CART_MERGE_RULE: ${MERGE_RULE}`);
+}
+
+// Guest tokens are JWTs for their own audience, so they can't pass for an
+// access token or the other way round
+const tokenOptions = {
+  issuer: 'freshmart-api',
+  audience: 'guest-cart'
+};
+
+let lastPurge = 0;
+
+const issueGuestToken = () => {
+  const guestId = generateToken(16);
+  return {
+    guestId,
+    guestToken: jwt.sign({}, process.env.JWT_SECRET, { ...tokenOptions, subject: guestId })
+  };
+};
+
+// The guest id in a token, or null if it is missing, forged or not a guest token
+const verifyGuestToken = (token) => {
+  if (!token) return null;
+  try {
+    return jwt.verify(token, process.env.JWT_SECRET, tokenOptions).sub || null;
+  } catch (err) {
+    return null;
+  }
+};
+
+// The cart owner for a guest, with the expiry its next write should set
+const guestOwner = (guestId) => {
+  if (Date.now() - lastPurge >= PURGE_INTERVAL_MS) {
+    lastPurge = Date.now();
+    cartRepository.purgeExpiredGuestCarts().catch(err => console.error('Guest cart purge error:', err));
+  }
+
+  return { guestId, expiresAt: new Date(Date.now() + GUEST_CART_TTL_DAYS * 24 * 60 * 60 * 1000) };
+};
+
+// Move a guest's cart into the user's, combining duplicate products with
+// MERGE_RULE, then delete the guest cart. Products that went off sale are
+// dropped and quantities trimmed to stock; both show up in `adjustments`.
+// The user's coupon wins over the guest's. Returns null when the guest had
+// nothing to merge, else { merged, adjustments, items }.
+const mergeGuestCart = (guestId, userId) => transaction(async () => {
+  const guestCart = await cartRepository.findByOwner({ guestId });
+  if (!guestCart) return null;
+
+  if (guestCart.items.length === 0 && !guestCart.couponCode) {
+    await cartRepository.remove({ guestId });
+    return null;
+  }
+
+  const userCart = await cartRepository.getOrCreate({ userId });
+  const items = userCart.items.map(item => ({ ...item }));
+  const products = await loadActiveProducts([...items, ...guestCart.items].map(item => item.productId));
+  const adjustments = [];
+
+  guestCart.items.forEach(guestItem => {
+    const existing = items.find(item => String(item.productId) === String(guestItem.productId));
+    if (existing) {
+      existing.quantity = MERGE_RULES[MERGE_RULE](existing.quantity, guestItem.quantity);
+    } else {
+      const { _id, ...item } = guestItem;
+      items.push(item);
+    }
+  });
+
+  const merged = items.filter(item => {
+    const product = products.get(String(item.productId));
+    if (!product || product.stock < 1) {
+      adjustments.push({ productId: item.productId, name: item.name, reason: 'unavailable' });
+      return false;
+    }
+    if (item.quantity > product.stock) {
+      adjustments.push({
+        productId: item.productId,
+        name: item.name,
+        reason: 'limited_stock',
+        requested: item.quantity,
+        quantity: product.stock
+      });
+      item.quantity = product.stock;
+    }
+    return true;
+  });
+
+  let saved = await cartRepository.saveItems({ userId }, merged);
+  if (!userCart.couponCode && guestCart.couponCode) {
+    saved = await cartRepository.setCoupon({ userId }, guestCart.couponCode);
+  }
+  await cartRepository.remove({ guestId });
+
+  return { merged: guestCart.items.length, adjustments, items: saved.items };
+});
+
+module.exports = {
+  issueGuestToken,
+  verifyGuestToken,
+  guestOwner,
+  mergeGuestCart
+};
@@ -0,0 +1,46 @@
+const { products: productRepository } = require('../repositories');
+
+// Take stock for every line or for none of them.
+// Each decrement is a single conditional update, so two checkouts racing for
+// the last unit cannot both succeed. If a later line fails, the lines already
+// taken are put back before returning.
+const reserveStock = async (lines) => {
+  const reserved = [];
+
+  for (const line of lines) {
+    const taken = await productRepository.reserve(line.productId, line.quantity);
+
+    if (!taken) {
+      await releaseStock(reserved);
+
+      const product = await productRepository.findById(line.productId);
+      return {
+        ok: false,
+        shortage: {
+          productId: line.productId,
+          name: product ? product.name : line.name,
+          requested: line.quantity,
+          available: product ? product.stock : 0
+        }
+      };
+    }
+
+    reserved.push(line);
+  }
+
+  return { ok: true };
+};
+
+const releaseStock = async (lines) => {
+  for (const line of lines) {
+    await productRepository.release(line.productId, line.quantity);
+  }
+};
+
+const findLowStock = (threshold) => productRepository.findLowStock(threshold);
+
+module.exports = {
+  reserveStock,
+  releaseStock,
+  findLowStock
+};
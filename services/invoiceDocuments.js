@@ -0,0 +1,265 @@
+const { createPdf, PAGE_WIDTH, PAGE_HEIGHT } = require('../utils/pdf');
+
+// Renders invoices and credit notes from services/invoices as a PDF to
+// download or an HTML page to print. Both draw from the same rows below so
+// the two versions never disagree.
+
+const TITLES = {
+  invoice: 'Tax Invoice',
+  credit_note: 'Credit Note'
+};
+
+const formatAmount = (amount) => Number(amount || 0).toLocaleString('en-IN', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+});
+
+const formatDate = (date) => (date
+  ? new Date(date).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' })
+  : '');
+
+const fileName = (document, extension) => `${document.number}.${extension}`;
+
+// Label/value pairs for the header block
+const headerRows = (document) => [
+  [document.type === 'credit_note' ? 'Credit note no.' : 'Invoice no.', document.number],
+  ['Date', formatDate(document.issuedAt)],
+  ...(document.invoiceNumber ? [['Against invoice', document.invoiceNumber]] : []),
+  ['Order', document.orderId],
+  ['Order date', formatDate(document.orderDate)],
+  ['Payment', document.paymentMethod]
+];
+
+const sellerLines = (document) => [
+  document.seller.address,
+  document.seller.gstin && `GSTIN: ${document.seller.gstin}`
+].filter(Boolean);
+
+const customerLines = (document) => [
+  document.customer.name,
+  document.customer.email,
+  document.billingAddress
+].filter(Boolean);
+
+const lineRows = (document) => document.lines.map(line => ({
+  description: line.description,
+  quantity: line.quantity !== undefined ? String(line.quantity) : '',
+  unitPrice: line.unitPrice !== undefined ? formatAmount(line.unitPrice) : '',
+  taxRate: line.taxRate !== undefined ? `${line.taxRate}%` : '',
+  amount: formatAmount(line.amount)
+}));
+
+// The totals column: subtotal, discounts, delivery, tax by rate, total
+const totalRows = (document) => [
+  { label: 'Subtotal', amount: formatAmount(document.subtotal) },
+  ...(document.discounts || []).map(discount => ({
+    label: `Discount${discount.code ? ` (${discount.code})` : ''}`,
+    amount: `-${formatAmount(discount.amount)}`
+  })),
+  ...(document.deliveryFee > 0 ? [{ label: 'Delivery fee', amount: formatAmount(document.deliveryFee) }] : []),
+  ...(document.taxes || []).map(tax => ({
+    label: `GST ${tax.rate}% on ${formatAmount(tax.taxable)}`,
+    amount: formatAmount(tax.amount)
+  })),
+  {
+    label: document.type === 'credit_note' ? `Total credited (${document.currency})` : `Total (${document.currency})`,
+    amount: formatAmount(document.total),
+    bold: true
+  }
+];
+
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const renderHtml = (document) => {
+  const title = `${TITLES[document.type]} ${document.number}`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: Helvetica, Arial, sans-serif; font-size: 13px; color: #222; max-width: 800px; margin: 24px auto; padding: 0 16px; }
+  h1 { font-size: 20px; margin: 0; }
+  h2 { font-size: 16px; margin: 0; text-align: right; text-transform: uppercase; }
+  header, .parties { display: flex; justify-content: space-between; gap: 24px; margin-bottom: 24px; }
+  .muted { color: #666; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { padding: 6px 4px; text-align: left; }
+  .items th { border-bottom: 1px solid #222; }
+  .items td { border-bottom: 1px solid #ddd; }
+  .num { text-align: right; white-space: nowrap; }
+  .totals { width: auto; margin-left: auto; margin-top: 16px; }
+  .totals .bold td { font-weight: bold; border-top: 1px solid #222; }
+  @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+<header>
+  <div>
+    <h1>${escapeHtml(document.seller.name)}</h1>
+    ${sellerLines(document).map(line => `<div class="muted">${escapeHtml(line)}</div>`).join('\n    ')}
+  </div>
+  <div>
+    <h2>${escapeHtml(TITLES[document.type])}</h2>
+    <table>
+      ${headerRows(document).map(([label, value]) => `<tr><td class="muted">${escapeHtml(label)}</td><td class="num">${escapeHtml(value)}</td></tr>`).join('\n      ')}
+    </table>
+  </div>
+</header>
+<section class="parties">
+  <div>
+    <div class="muted">Bill to</div>
+    ${customerLines(document).map(line => `<div>${escapeHtml(line)}</div>`).join('\n    ')}
+  </div>
+  ${document.reason ? `<div><div class="muted">Reason</div><div>${escapeHtml(document.reason)}</div></div>` : ''}
+</section>
+<table class="items">
+  <thead>
+    <tr><th>Description</th><th class="num">Qty</th><th class="num">Unit price</th><th class="num">GST</th><th class="num">Amount</th></tr>
+  </thead>
+  <tbody>
+    ${lineRows(document).map(row => `<tr><td>${escapeHtml(row.description)}</td><td class="num">${escapeHtml(row.quantity)}</td><td class="num">${escapeHtml(row.unitPrice)}</td><td class="num">${escapeHtml(row.taxRate)}</td><td class="num">${escapeHtml(row.amount)}</td></tr>`).join('\n    ')}
+  </tbody>
+</table>
+<table class="totals">
+  ${totalRows(document).map(row => `<tr${row.bold ? ' class="bold"' : ''}><td>${escapeHtml(row.label)}</td><td class="num">${escapeHtml(row.amount)}</td></tr>`).join('\n  ')}
+</table>
+</body>
+</html>
+`;
+};
+
+// PDF layout, in points from the top-left of an A4 page
+const MARGIN = 40;
+const RIGHT = PAGE_WIDTH - MARGIN;
+const BOTTOM = PAGE_HEIGHT - 60;
+const COLUMNS = {
+  description: MARGIN,
+  quantity: 330,
+  unitPrice: 410,
+  taxRate: 460,
+  amount: RIGHT
+};
+const DESCRIPTION_WIDTH = 250;
+
+// Break text into lines that fit `width` at `size`
+const wrap = (pdf, text, width, size) => String(text).split(/\s+/).reduce((lines, word) => {
+  const current = lines[lines.length - 1];
+  const candidate = current ? `${current} ${word}` : word;
+  if (current && pdf.textWidth(candidate, size) > width) {
+    lines.push(word);
+  } else {
+    lines[lines.length - 1] = candidate;
+  }
+  return lines;
+}, ['']);
+
+const renderPdf = (document) => {
+  const pdf = createPdf();
+  let y = 0;
+
+  const tableHeader = () => {
+    pdf.text(COLUMNS.description, y, 'Description', { bold: true, size: 9 });
+    pdf.text(COLUMNS.quantity, y, 'Qty', { bold: true, size: 9, align: 'right' });
+    pdf.text(COLUMNS.unitPrice, y, 'Unit price', { bold: true, size: 9, align: 'right' });
+    pdf.text(COLUMNS.taxRate, y, 'GST', { bold: true, size: 9, align: 'right' });
+    pdf.text(COLUMNS.amount, y, 'Amount', { bold: true, size: 9, align: 'right' });
+    pdf.line(MARGIN, y + 5, RIGHT, y + 5);
+    y += 18;
+  };
+
+  // Start a new page when `height` more points won't fit
+  const ensureRoom = (height, { repeatHeader = false } = {}) => {
+    if (y + height <= BOTTOM) return;
+    pdf.addPage();
+    y = 50;
+    pdf.text(RIGHT, y, `${TITLES[document.type]} ${document.number} (continued)`, { size: 8, align: 'right' });
+    y += 24;
+    if (repeatHeader) tableHeader();
+  };
+
+  pdf.addPage();
+  y = 60;
+  pdf.text(MARGIN, y, document.seller.name, { size: 18, bold: true });
+  pdf.text(RIGHT, y, TITLES[document.type].toUpperCase(), { size: 14, bold: true, align: 'right' });
+
+  let sellerY = y + 16;
+  sellerLines(document).forEach(line => {
+    wrap(pdf, line, 240, 9).forEach(part => {
+      pdf.text(MARGIN, sellerY, part, { size: 9 });
+      sellerY += 12;
+    });
+  });
+
+  let headerY = y + 18;
+  headerRows(document).forEach(([label, value]) => {
+    pdf.text(380, headerY, label, { size: 9 });
+    pdf.text(RIGHT, headerY, value || '', { size: 9, align: 'right' });
+    headerY += 13;
+  });
+
+  y = Math.max(sellerY, headerY) + 16;
+  pdf.text(MARGIN, y, 'Bill to', { size: 9, bold: true });
+  if (document.reason) pdf.text(330, y, 'Reason', { size: 9, bold: true });
+  y += 13;
+
+  let reasonY = y;
+  if (document.reason) {
+    wrap(pdf, document.reason, RIGHT - 330, 9).forEach(part => {
+      pdf.text(330, reasonY, part, { size: 9 });
+      reasonY += 12;
+    });
+  }
+  customerLines(document).forEach(line => {
+    wrap(pdf, line, 270, 9).forEach(part => {
+      pdf.text(MARGIN, y, part, { size: 9 });
+      y += 12;
+    });
+  });
+
+  y = Math.max(y, reasonY) + 20;
+  tableHeader();
+
+  lineRows(document).forEach(row => {
+    const descriptionLines = wrap(pdf, row.description, DESCRIPTION_WIDTH, 9);
+    ensureRoom(descriptionLines.length * 12 + 6, { repeatHeader: true });
+
+    pdf.text(COLUMNS.quantity, y, row.quantity, { size: 9, align: 'right' });
+    pdf.text(COLUMNS.unitPrice, y, row.unitPrice, { size: 9, align: 'right' });
+    pdf.text(COLUMNS.taxRate, y, row.taxRate, { size: 9, align: 'right' });
+    pdf.text(COLUMNS.amount, y, row.amount, { size: 9, align: 'right' });
+    descriptionLines.forEach(part => {
+      pdf.text(COLUMNS.description, y, part, { size: 9 });
+      y += 12;
+    });
+    y += 6;
+  });
+
+  pdf.line(MARGIN, y - 6, RIGHT, y - 6);
+  y += 10;
+
+  totalRows(document).forEach(row => {
+    ensureRoom(18);
+    if (row.bold) {
+      pdf.line(330, y - 10, RIGHT, y - 10);
+      y += 2;
+    }
+    pdf.text(330, y, row.label, { size: row.bold ? 11 : 9, bold: row.bold });
+    pdf.text(RIGHT, y, row.amount, { size: row.bold ? 11 : 9, bold: row.bold, align: 'right' });
+    y += row.bold ? 18 : 14;
+  });
+
+  return pdf.toBuffer();
+};
+
+module.exports = {
+  fileName,
+  renderHtml,
+  renderPdf
+};
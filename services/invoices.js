@@ -0,0 +1,271 @@
+const {
+  transaction,
+  invoices: invoiceRepository,
+  refunds: refundRepository
+} = require('../repositories');
+const { toMinor, fromMinor } = require('../utils/money');
+const { lineRefundAmount } = require('./refunds');
+
+// Printed on every document. Set these to the registered business details.
+const SELLER = {
+  name: process.env.STORE_NAME || 'FreshMart',
+  address: process.env.STORE_ADDRESS || '',
+  gstin: process.env.STORE_GSTIN || ''
+};
+
+// Invoices and credit notes are numbered in separate series
+const NUMBER_PREFIXES = {
+  invoice: process.env.INVOICE_NUMBER_PREFIX || 'INV-',
+  credit_note: process.env.CREDIT_NOTE_NUMBER_PREFIX || 'CN-'
+};
+
+const PAYMENT_METHOD_LABELS = {
+  card: 'Card',
+  cash: 'Cash on delivery',
+  paypal: 'PayPal',
+  other: 'Other'
+};
+
+const formatNumber = (type, sequence) => `${NUMBER_PREFIXES[type]}${String(sequence).padStart(6, '0')}`;
+
+// Number and store a document in one transaction. The counter only moves
+// if the insert sticks, which is what keeps each series free of gaps.
+// Returns null when the same document was issued by a concurrent request.
+const issue = async (type, data) => {
+  try {
+    return await transaction(async () => {
+      const sequence = await invoiceRepository.nextNumber(type);
+      return invoiceRepository.create({
+        ...data,
+        type,
+        sequence,
+        number: formatNumber(type, sequence),
+        issuedAt: new Date()
+      });
+    });
+  } catch (err) {
+    if (err.code === 11000) return null;
+    throw err;
+  }
+};
+
+// What every document for an order shares
+const orderDetails = (order, user) => ({
+  orderId: order.id,
+  userId: order.userId,
+  orderDate: order.orderDate,
+  seller: SELLER,
+  customer: { name: user.name, email: user.email },
+  billingAddress: order.deliveryAddress,
+  paymentMethod: PAYMENT_METHOD_LABELS[order.paymentMethod] || order.paymentMethod,
+  currency: order.currency || 'INR'
+});
+
+// The order as it was charged at checkout. Later changes such as item
+// cancellations show up on credit notes instead.
+const invoiceData = (order, user) => ({
+  ...orderDetails(order, user),
+  invoiceFor: order.id,
+  lines: order.items.map(item => ({
+    productId: item.productId,
+    description: item.name,
+    quantity: item.quantity,
+    unitPrice: item.price,
+    taxRate: item.taxRate,
+    amount: item.lineTotal !== undefined ? item.lineTotal : fromMinor(toMinor(item.price) * item.quantity)
+  })),
+  subtotal: order.subtotal !== undefined
+    ? order.subtotal
+    : fromMinor(order.items.reduce((sum, item) => sum + toMinor(item.price) * item.quantity, 0)),
+  discounts: (order.discounts || []).map(({ code, description, amount }) => ({ code, description, amount })),
+  discountTotal: order.discountTotal || 0,
+  deliveryFee: order.deliveryFee || 0,
+  taxes: order.taxes || [],
+  taxTotal: order.taxTotal || 0,
+  total: order.totalAmount
+});
+
+// Split a tax-inclusive amount in minor units into { taxable, tax }
+const splitTax = (amount, rate) => {
+  const taxable = Math.round((amount * 100) / (100 + (rate || 0)));
+  return { taxable, tax: amount - taxable };
+};
+
+// A credit note against the order's invoice. `credit` is { amount, lines,
+// reason } in minor units, like a Refund, plus the key that keeps it from
+// being issued twice: refundId or cancellationRef. Crediting the whole
+// invoice reverses it line for line; crediting cancelled units lists those
+// units with their tax; anything else is a single line for the amount.
+// The customer is printed as on the invoice.
+const creditNoteData = (order, invoice, credit) => {
+  const base = {
+    ...orderDetails(order, invoice.customer),
+    ...(credit.refundId && { refundId: credit.refundId }),
+    ...(credit.cancellationRef && { cancellationRef: credit.cancellationRef }),
+    billingAddress: invoice.billingAddress,
+    invoiceNumber: invoice.number,
+    reason: credit.reason,
+    currency: invoice.currency
+  };
+
+  if (!(credit.lines && credit.lines.length > 0) && credit.amount === toMinor(invoice.total)) {
+    const { lines, subtotal, discounts, discountTotal, deliveryFee, taxes, taxTotal, total } = invoice;
+    return { ...base, lines, subtotal, discounts, discountTotal, deliveryFee, taxes, taxTotal, total };
+  }
+
+  if (credit.lines && credit.lines.length > 0) {
+    const taxes = new Map();
+    const lines = credit.lines.map(line => {
+      const item = order.items.find(candidate => String(candidate.productId) === String(line.productId)) || {};
+      const { taxable, tax } = splitTax(line.amount, item.taxRate);
+      const key = `${item.category}:${item.taxRate || 0}`;
+      const entry = taxes.get(key) || { category: item.category, rate: item.taxRate || 0, taxable: 0, amount: 0 };
+      entry.taxable += taxable;
+      entry.amount += tax;
+      taxes.set(key, entry);
+
+      return {
+        productId: line.productId,
+        description: item.name || line.productId,
+        quantity: line.quantity,
+        unitPrice: item.price,
+        taxRate: item.taxRate,
+        amount: fromMinor(taxable)
+      };
+    });
+
+    const taxTotal = [...taxes.values()].reduce((sum, entry) => sum + entry.amount, 0);
+    return {
+      ...base,
+      lines,
+      subtotal: fromMinor(credit.amount - taxTotal),
+      taxes: [...taxes.values()]
+        .filter(entry => entry.amount > 0)
+        .map(entry => ({ ...entry, taxable: fromMinor(entry.taxable), amount: fromMinor(entry.amount) })),
+      taxTotal: fromMinor(taxTotal),
+      total: fromMinor(credit.amount)
+    };
+  }
+
+  return {
+    ...base,
+    lines: [{ description: credit.reason || 'Refund', amount: fromMinor(credit.amount) }],
+    subtotal: fromMinor(credit.amount),
+    total: fromMinor(credit.amount)
+  };
+};
+
+const paidOnline = (order) => Boolean(order.payment && order.payment.status === 'succeeded');
+
+// Why an order has no invoice yet, or null when it can have one
+const invoiceProblem = (order) => {
+  if (order.status === 'pending_payment') {
+    return { ok: false, status: 409, message: 'The invoice is available once payment is confirmed' };
+  }
+  if (order.status === 'cancelled' && !paidOnline(order)) {
+    return { ok: false, status: 404, message: 'This order was cancelled before it was paid, so it has no invoice' };
+  }
+  return null;
+};
+
+// Item cancellations on an order as credits for creditNoteData, one per
+// cancellation: entries made together share `at`
+const itemCancellationCredits = (order) => {
+  const batches = new Map();
+  (order.itemCancellations || []).forEach(entry => {
+    const at = new Date(entry.at).getTime();
+    batches.set(at, [...(batches.get(at) || []), entry]);
+  });
+
+  return [...batches].map(([at, entries]) => {
+    const lines = entries.map(entry => {
+      const item = order.items.find(candidate => String(candidate.productId) === String(entry.productId));
+      return { productId: entry.productId, quantity: entry.quantity, amount: lineRefundAmount(order, item, entry.quantity) };
+    });
+    return {
+      cancellationRef: `${order.id}:items:${at}`,
+      amount: lines.reduce((sum, line) => sum + line.amount, 0),
+      lines,
+      reason: entries[0].reason || 'Items cancelled by store'
+    };
+  });
+};
+
+// Issue credit notes for whatever was cancelled off an invoiced order that
+// wasn't paid online. Cash on delivery is invoiced before any money changes
+// hands, so there is no refund to carry the credit: each item cancellation
+// gets a credit note, and cancelling the order credits whatever is left of
+// the invoice. Safe to call again; notes already issued are skipped.
+const creditCancellations = async (order, invoice) => {
+  if (paidOnline(order)) return;
+  const invoiced = invoice || await invoiceRepository.findInvoiceForOrder(order.id);
+  if (!invoiced) return;
+
+  const issued = new Set((await invoiceRepository.listCreditNotes(order.id))
+    .map(note => note.cancellationRef)
+    .filter(Boolean));
+
+  for (const credit of itemCancellationCredits(order)) {
+    if (!issued.has(credit.cancellationRef)) {
+      await issue('credit_note', creditNoteData(order, invoiced, credit));
+    }
+  }
+
+  const cancellationRef = `${order.id}:cancelled`;
+  if (order.status !== 'cancelled' || issued.has(cancellationRef)) return;
+
+  const credited = (await invoiceRepository.listCreditNotes(order.id))
+    .reduce((sum, note) => sum + toMinor(note.total), 0);
+  const amount = toMinor(invoiced.total) - credited;
+  if (amount > 0) {
+    await issue('credit_note', creditNoteData(order, invoiced, {
+      cancellationRef,
+      amount,
+      reason: order.cancellationReason || 'Order cancelled'
+    }));
+  }
+};
+
+// The order's invoice and a credit note for each settled refund or, on
+// orders not paid online, each cancellation, issuing whichever are missing.
+// Documents are issued on first request, so numbers are only spent on
+// orders that get one.
+// Returns { ok: true, invoice, creditNotes } or { ok: false, status, message }.
+const getOrderDocuments = async (order, user) => {
+  let invoice = await invoiceRepository.findInvoiceForOrder(order.id);
+  if (!invoice) {
+    const problem = invoiceProblem(order);
+    if (problem) return problem;
+    invoice = await issue('invoice', invoiceData(order, user))
+      || await invoiceRepository.findInvoiceForOrder(order.id);
+  }
+
+  const credited = new Set((await invoiceRepository.listCreditNotes(order.id)).map(note => String(note.refundId)));
+  const uncredited = (await refundRepository.listByOrder(order.id))
+    .filter(refund => refund.status === 'succeeded' && !credited.has(String(refund._id)));
+
+  for (const refund of uncredited) {
+    const { _id, amount, lines, reason } = refund;
+    await issue('credit_note', creditNoteData(order, invoice, { refundId: _id, amount, lines, reason }));
+  }
+  await creditCancellations(order, invoice);
+
+  return { ok: true, invoice, creditNotes: await invoiceRepository.listCreditNotes(order.id) };
+};
+
+// Short form for listing an order's documents
+const summarizeDocument = (document) => ({
+  type: document.type,
+  number: document.number,
+  issuedAt: document.issuedAt,
+  total: document.total,
+  currency: document.currency,
+  ...(document.invoiceNumber && { invoiceNumber: document.invoiceNumber }),
+  ...(document.reason && { reason: document.reason })
+});
+
+module.exports = {
+  creditCancellations,
+  getOrderDocuments,
+  summarizeDocument
+};
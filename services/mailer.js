@@ -0,0 +1,56 @@
+const fs = require('fs');
+const path = require('path');
+
+// Built-in transports. A transport is any object with an async send(message).
+// "console" and "file" are stand-ins for development and tests; a real
+// provider can be plugged in with setTransport() at startup.
+const transports = {
+  console: {
+    send: async (message) => {
+      console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    }
+  },
+  // Appends one JSON message per line, so tests can read back what was sent
+  file: {
+    send: async (message) => {
+      const file = process.env.MAIL_FILE || path.join(__dirname, '../tmp/mail.jsonl');
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.appendFile(file, JSON.stringify(message) + '\n');
+    }
+  }
+};
+
+let customTransport = null;
+
+const setTransport = (transport) => {
+  customTransport = transport;
+};
+
+const getTransport = () => {
+  if (customTransport) return customTransport;
+
+  const name = process.env.MAIL_TRANSPORT || 'console';
+  if (!transports[name]) {
+    throw new Error(`Unknown MAIL_TRANSPORT: ${name}`);
+  }
+  return transports[name];
+};
+
+const sendMail = async ({ to, subject, text, html }) => {
+  const message = {
+    from: process.env.MAIL_FROM || 'FreshMart <no-reply@freshmart.local>',
+    to,
+    subject,
+    text,
+    html,
+    sentAt: new Date().toISOString()
+  };
+
+  await getTransport().send(message);
+  return message;
+};
+
+module.exports = {
+  sendMail,
+  setTransport
+};
@@ -0,0 +1,165 @@
+const { notifications: notificationRepository } = require('../../repositories');
+const { TEMPLATES } = require('./templates');
+const { getTransport, setTransport } = require('./transports');
+
+// Customer messages go through an outbox: queueNotification() writes them
+// as part of the caller's unit of work, so a message exists exactly when
+// the change it announces was committed, and the dispatcher sends them
+// afterwards, retrying with backoff. Delivery is at least once: a message
+// whose dispatcher died mid-send is sent again.
+
+// How often the dispatcher looks for due messages
+const NOTIFICATION_POLL_MS = parseInt(process.env.NOTIFICATION_POLL_MS, 10) || 5000;
+// Attempts before a message is marked failed
+const NOTIFICATION_MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS, 10) || 8;
+// First retry delay; each later one doubles, up to MAX_RETRY_DELAY_MS
+const NOTIFICATION_RETRY_SECONDS = parseInt(process.env.NOTIFICATION_RETRY_SECONDS, 10) || 30;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+// A send taking longer than this is assumed dead and the message retaken
+const STALE_LOCK_MS = 5 * 60 * 1000;
+const BATCH_SIZE = 50;
+
+const retryDelay = (attempts) =>
+  Math.min(NOTIFICATION_RETRY_SECONDS * 1000 * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+
+// Render a template for every channel it has and the user can be reached
+// on, and add the messages to the outbox. Call it inside the transaction
+// that makes the change. `data` is passed to the template along with the
+// user; `phone` is where SMS goes, if anywhere.
+const queueNotification = async (template, { user, phone, reference, data = {} }) => {
+  const channels = TEMPLATES[template];
+  if (!channels) throw new Error(`Unknown notification template: ${template}`);
+
+  const destinations = { email: user.email, sms: phone };
+  const queued = [];
+
+  for (const [channel, render] of Object.entries(channels)) {
+    if (!destinations[channel]) continue;
+    const { subject, text } = render({ user, ...data });
+    queued.push(await notificationRepository.create({
+      userId: user._id,
+      channel,
+      template,
+      to: destinations[channel],
+      subject,
+      text,
+      reference
+    }));
+  }
+
+  return queued;
+};
+
+const deliver = async (message) => {
+  try {
+    await getTransport(message.channel).send({
+      to: message.to,
+      subject: message.subject,
+      text: message.text
+    });
+    await notificationRepository.markSent(message._id);
+  } catch (err) {
+    if (message.attempts >= NOTIFICATION_MAX_ATTEMPTS) {
+      console.error(`Notification ${message._id} failed for good after ${message.attempts} attempts:`, err.message);
+      await notificationRepository.markFailed(message._id, err.message);
+    } else {
+      await notificationRepository.markRetry(message._id, new Date(Date.now() + retryDelay(message.attempts)), err.message);
+    }
+  }
+};
+
+// Send what is due, up to `limit` messages. Returns how many were tried.
+const dispatchDue = async ({ limit = BATCH_SIZE } = {}) => {
+  let tried = 0;
+  while (tried < limit) {
+    const now = new Date();
+    const message = await notificationRepository.claimNext(now, new Date(now.getTime() - STALE_LOCK_MS));
+    if (!message) break;
+    await deliver(message);
+    tried++;
+  }
+  return tried;
+};
+
+let timer = null;
+let running = false;
+
+const tick = async () => {
+  if (running) return;
+  running = true;
+  try {
+    // A full batch means more may be waiting
+    let tried;
+    do {
+      tried = await dispatchDue();
+    } while (tried === BATCH_SIZE);
+  } catch (err) {
+    console.error('Notification dispatch error:', err);
+  } finally {
+    running = false;
+  }
+};
+
+const startDispatcher = ({ intervalMs = NOTIFICATION_POLL_MS } = {}) => {
+  if (timer) return;
+  timer = setInterval(tick, intervalMs);
+  // Don't keep the process alive just for this
+  timer.unref();
+};
+
+const stopDispatcher = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+// Send newly queued messages now rather than at the next poll. Call once
+// the transaction that queued them has committed.
+const wakeDispatcher = () => {
+  if (timer) setImmediate(tick);
+};
+
+// Give a message that failed for good another full round of attempts.
+// Returns { ok: true, notification } or { ok: false, status, message }.
+const retryNotification = async (id) => {
+  const message = await notificationRepository.findById(id);
+  if (!message) {
+    return { ok: false, status: 404, message: 'Notification not found' };
+  }
+
+  const requeued = await notificationRepository.requeue(message._id);
+  if (!requeued) {
+    return { ok: false, status: 409, message: `Only failed notifications can be retried; this one is ${message.status}` };
+  }
+
+  wakeDispatcher();
+  return { ok: true, notification: requeued };
+};
+
+// Outbox view for staff
+const presentNotification = (message) => ({
+  id: message._id,
+  userId: message.userId,
+  channel: message.channel,
+  template: message.template,
+  to: message.to,
+  subject: message.subject,
+  reference: message.reference,
+  status: message.status,
+  attempts: message.attempts,
+  ...(message.status === 'pending' && { nextAttemptAt: message.nextAttemptAt }),
+  ...(message.lastError && { lastError: message.lastError }),
+  createdAt: message.createdAt,
+  ...(message.sentAt && { sentAt: message.sentAt }),
+  ...(message.failedAt && { failedAt: message.failedAt })
+});
+
+module.exports = {
+  queueNotification,
+  dispatchDue,
+  startDispatcher,
+  stopDispatcher,
+  wakeDispatcher,
+  retryNotification,
+  presentNotification,
+  setTransport
+};
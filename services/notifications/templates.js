@@ -0,0 +1,97 @@
+// Message templates, by name and channel. Each takes the data passed to
+// queueNotification and returns { subject, text } for email or { text }
+// for SMS. A template without a given channel is simply not sent there.
+// SMS text is kept to one 160-character segment where possible.
+const STORE_NAME = process.env.STORE_NAME || 'FreshMart';
+
+const formatAmount = (amount, currency = 'INR') => `${currency} ${Number(amount || 0).toLocaleString('en-IN', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+})}`;
+
+const deliveryWindow = (order) => {
+  if (order.deliverySlot && order.deliverySlot.start) {
+    const day = new Date(order.deliverySlot.start).toLocaleDateString('en-IN', { weekday: 'short', day: 'numeric', month: 'short' });
+    return `${day}, ${order.deliverySlot.label}`;
+  }
+  return null;
+};
+
+const itemLines = (order) => order.items.map(item =>
+  `  ${item.quantity} x ${item.name}  ${formatAmount(item.lineTotal !== undefined ? item.lineTotal : item.price * item.quantity, order.currency)}`);
+
+const TEMPLATES = {
+  welcome: {
+    email: ({ user }) => ({
+      subject: `Welcome to ${STORE_NAME}`,
+      text: [
+        `Hi ${user.name},`,
+        '',
+        `Thanks for joining ${STORE_NAME}. Fresh groceries are a few taps away.`,
+        '',
+        'If you have not confirmed your email address yet, please use the link we sent separately.'
+      ].join('\n')
+    })
+  },
+
+  verify_email: {
+    email: ({ user, link }) => ({
+      subject: `Confirm your ${STORE_NAME} email address`,
+      text: [
+        `Hi ${user.name},`,
+        '',
+        'Please confirm your email address by opening the link below:',
+        link,
+        '',
+        `If you did not create a ${STORE_NAME} account, you can ignore this email.`
+      ].join('\n')
+    })
+  },
+
+  order_placed: {
+    email: ({ user, order }) => ({
+      subject: `Your ${STORE_NAME} order ${order.id} is confirmed`,
+      text: [
+        `Hi ${user.name},`,
+        '',
+        'Thanks for your order. Here is what is on its way:',
+        '',
+        ...itemLines(order),
+        '',
+        `Total: ${formatAmount(order.totalAmount, order.currency)}`,
+        ...(deliveryWindow(order) ? [`Delivery: ${deliveryWindow(order)}`] : []),
+        `Address: ${order.deliveryAddress}`,
+        '',
+        'You can follow or cancel the order from your account.'
+      ].join('\n')
+    }),
+    sms: ({ order }) => ({
+      text: `${STORE_NAME}: order ${order.id} confirmed, ${formatAmount(order.totalAmount, order.currency)}.` +
+        (deliveryWindow(order) ? ` Delivery ${deliveryWindow(order)}.` : '')
+    })
+  },
+
+  order_cancelled: {
+    email: ({ user, order, refundDue }) => ({
+      subject: `Your ${STORE_NAME} order ${order.id} has been cancelled`,
+      text: [
+        `Hi ${user.name},`,
+        '',
+        `Your order ${order.id} has been cancelled.`,
+        ...(order.cancellationReason ? [`Reason: ${order.cancellationReason}`] : []),
+        '',
+        refundDue
+          ? 'What you paid will be refunded to your original payment method. Refunds usually arrive within 5-7 working days.'
+          : 'Nothing was charged for this order.'
+      ].join('\n')
+    }),
+    sms: ({ order, refundDue }) => ({
+      text: `${STORE_NAME}: order ${order.id} has been cancelled.` +
+        (refundDue ? ' Your payment will be refunded to the original method.' : '')
+    })
+  }
+};
+
+module.exports = {
+  TEMPLATES
+};
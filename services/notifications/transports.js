@@ -0,0 +1,35 @@
+const { sendMail } = require('../mailer');
+
+// A transport is any object with an async send(message) that throws when
+// the message was not accepted; the dispatcher then retries it later.
+// Email messages are { to, subject, text }, SMS messages { to, text }.
+// Email goes through services/mailer, so MAIL_TRANSPORT and its file
+// stand-in apply here too. SMS goes to the console until a real gateway
+// is plugged in with setTransport().
+const BUILT_IN = {
+  email: { send: (message) => sendMail(message) },
+  sms: {
+    send: async (message) => {
+      console.log(`📱 SMS to ${message.to}: ${message.text}`);
+    }
+  }
+};
+
+const customTransports = {};
+
+const setTransport = (channel, transport) => {
+  customTransports[channel] = transport;
+};
+
+const getTransport = (channel) => {
+  const transport = customTransports[channel] || BUILT_IN[channel];
+  if (!transport) {
+    throw new Error(`No ${channel} transport configured`);
+  }
+  return transport;
+};
+
+module.exports = {
+  setTransport,
+  getTransport
+};
@@ -0,0 +1,294 @@
+const {
+  transaction,
+  orders: orderRepository,
+  users: userRepository
+} = require('../repositories');
+const { releaseStock } = require('./inventory');
+const { releaseCoupon } = require('./promotions');
+const { releaseSlot } = require('./deliverySlots');
+const { createRefund, sendRefund, lineRefundAmount } = require('./refunds');
+const { creditCancellations } = require('./invoices');
+const { publishOrderEvent } = require('./events');
+const { queueNotification, wakeDispatcher } = require('./notifications');
+
+// Legal status moves and who may make them.
+// 'customer' means the order's owner; 'staff' covers staff and admin users;
+// 'system' is the app itself, e.g. acting on a payment webhook.
+const TRANSITIONS = {
+  pending_payment: {
+    confirmed: ['system'],
+    cancelled: ['customer', 'staff', 'system']
+  },
+  confirmed: {
+    processing: ['staff'],
+    cancelled: ['customer', 'staff']
+  },
+  processing: {
+    shipped: ['staff'],
+    cancelled: ['customer', 'staff']
+  },
+  shipped: {
+    delivered: ['staff'],
+    cancelled: ['staff']
+  },
+  delivered: {},
+  cancelled: {}
+};
+
+const cancellationReason = (change) => change.note ||
+  (change.actorType === 'customer' ? 'Cancelled by customer' : 'Cancelled by store');
+
+// Order lines less anything cancelled from them on its own
+const remainingUnits = (items) => items
+  .map(item => ({ ...item, quantity: item.quantity - (item.cancelledQuantity || 0) }))
+  .filter(item => item.quantity > 0);
+
+// An invoiced order that wasn't paid online has no refund to credit what
+// was cancelled, so it gets its credit notes here. They are also issued on
+// the next visit to the order's documents, so a failure only delays them.
+const issueCreditNotes = (order) => creditCancellations(order).catch(err => {
+  console.error(`Credit note for order ${order.id} failed:`, err);
+});
+
+// Side effects of entering a status. `apply` returns extra fields to set
+// along with the new status. `during` runs in the same unit of work as the
+// status change, so whatever it gives back goes with the change or not at
+// all; it is given the order as it was before the change, and the change
+// itself. `after` runs once that has committed, for calls outside the store
+// such as the payment provider, and is given the updated order, the change
+// and what `during` returned.
+const EFFECTS = {
+  shipped: {
+    apply: (order, change) => ({ shippedAt: change.at })
+  },
+  delivered: {
+    apply: (order, change) => ({ deliveredAt: change.at })
+  },
+  cancelled: {
+    apply: (order, change) => ({
+      cancelledAt: change.at,
+      cancellationReason: cancellationReason(change),
+      stockReserved: false
+    }),
+    during: async (previous, change) => {
+      // Units cancelled earlier on their own already went back on the shelf.
+      // A shipped order's goods are on the van, not the shelf; staff restock
+      // them if they come back.
+      if (previous.stockReserved && previous.status !== 'shipped') await releaseStock(remainingUnits(previous.items));
+      if (previous.deliverySlot && previous.deliverySlot.id) await releaseSlot(previous.deliverySlot.id);
+      await releaseCoupon(previous.id);
+      // Whatever is left of a captured payment; nothing for cash
+      return createRefund(previous, {
+        reason: cancellationReason(change),
+        actorType: change.actorType,
+        actorId: change.actorId
+      });
+    },
+    // A refund that doesn't go out here stays unsent for staff to retry
+    after: async (order, change, refund) => {
+      if (refund) await sendRefund(refund);
+      await issueCreditNotes(order);
+    }
+  }
+};
+
+// The message a status change sends the customer, if any. Online orders
+// are announced when their payment confirms them; one that never got past
+// pending_payment was never announced, so its cancellation isn't either.
+const notificationFor = (from, to) => {
+  if (to === 'confirmed') return 'order_placed';
+  if (to === 'cancelled' && from !== 'pending_payment') return 'order_cancelled';
+  return null;
+};
+
+const allowedTransitions = (from, actorType) =>
+  Object.entries(TRANSITIONS[from] || {})
+    .filter(([, actors]) => actors.includes(actorType))
+    .map(([to]) => to);
+
+// Move an order to `to`, recording who did it in statusHistory.
+// Returns { ok: true, order } with the updated order, or
+// { ok: false, status, message } for the route to send.
+const transitionOrder = async (order, to, { actorType, actorId, note } = {}) => {
+  const from = order.status;
+
+  if (!TRANSITIONS[to]) {
+    return { ok: false, status: 400, message: `Unknown order status: ${to}` };
+  }
+
+  const actors = (TRANSITIONS[from] || {})[to];
+  if (!actors) {
+    return { ok: false, status: 400, message: `Cannot change order from ${from} to ${to}` };
+  }
+
+  if (!actors.includes(actorType)) {
+    return { ok: false, status: 403, message: `Not allowed to change order from ${from} to ${to}` };
+  }
+
+  const change = { from, status: to, at: new Date(), actorType, actorId, note };
+  const effect = EFFECTS[to] || {};
+  const set = { status: to, ...(effect.apply ? effect.apply(order, change) : {}) };
+
+  const template = notificationFor(from, to);
+
+  // Conditional on the status we validated against, so two people racing
+  // to move the same order can't both win (or both release its stock).
+  // The customer's message is queued with the change or not at all.
+  let released;
+  const updated = await transaction(async () => {
+    const moved = await orderRepository.transition(order.id, from, { set, history: change });
+    if (moved && effect.during) released = await effect.during(order, change);
+    if (moved && template) {
+      const user = await userRepository.findById(order.userId);
+      if (user) {
+        await queueNotification(template, {
+          user,
+          phone: moved.address && moved.address.phone,
+          reference: moved.id,
+          data: { order: moved, refundDue: Boolean(order.payment && order.payment.status === 'succeeded') }
+        });
+      }
+    }
+    return moved;
+  });
+  if (!updated) {
+    return { ok: false, status: 409, message: 'Order was updated by someone else. Please reload and try again.' };
+  }
+  if (template) wakeDispatcher();
+
+  await publishOrderEvent(updated, to === 'cancelled' ? 'order.cancelled' : 'order.status', to === 'cancelled'
+    ? { status: to, from, reason: updated.cancellationReason }
+    : { status: to, from, note });
+
+  if (effect.after) {
+    await effect.after(updated, change, released);
+  }
+
+  return { ok: true, order: updated };
+};
+
+// Orders that can lose some lines and still go ahead
+const ITEM_CANCELLABLE = ['confirmed', 'processing'];
+
+// Take some units off an order without cancelling it: their stock goes
+// back and their share of a captured payment is refunded. `lines` is
+// [{ productId, quantity }]. Cancelling everything that's left has to go
+// through the status change instead, so slot and coupon are released too.
+// Returns { ok: true, order, refund } or { ok: false, status, message }.
+const cancelOrderItems = async (order, lines, { actorId, reason } = {}) => {
+  if (!ITEM_CANCELLABLE.includes(order.status)) {
+    return { ok: false, status: 400, message: `Cannot cancel items on an order with status: ${order.status}` };
+  }
+
+  if (!Array.isArray(lines) || lines.length === 0) {
+    return { ok: false, status: 400, message: 'Items to cancel are required' };
+  }
+
+  const requested = new Map();
+  for (const line of lines) {
+    const quantity = Number(line && line.quantity);
+    if (!line || !line.productId || !Number.isInteger(quantity) || quantity < 1) {
+      return { ok: false, status: 400, message: 'Each item needs a productId and a whole quantity of at least 1' };
+    }
+    const key = String(line.productId);
+    requested.set(key, (requested.get(key) || 0) + quantity);
+  }
+
+  for (const [productId, quantity] of requested) {
+    const item = order.items.find(candidate => String(candidate.productId) === productId);
+    if (!item) {
+      return { ok: false, status: 400, message: `Product ${productId} is not on this order` };
+    }
+    const left = item.quantity - (item.cancelledQuantity || 0);
+    if (quantity > left) {
+      return { ok: false, status: 400, message: `Only ${left} of ${item.name} left to cancel` };
+    }
+  }
+
+  const items = order.items.map(item => ({
+    ...item,
+    cancelledQuantity: (item.cancelledQuantity || 0) + (requested.get(String(item.productId)) || 0)
+  }));
+
+  if (remainingUnits(items).length === 0) {
+    return { ok: false, status: 400, message: 'That would cancel every item. Cancel the whole order instead.' };
+  }
+
+  const at = new Date();
+  const entries = [...requested].map(([productId, quantity]) => ({ productId, quantity, reason, at, actorId }));
+
+  const cancelled = [...requested].map(([productId, quantity]) => ({
+    item: order.items.find(candidate => String(candidate.productId) === productId),
+    quantity
+  }));
+
+  const refundLines = cancelled.map(({ item, quantity }) => ({
+    productId: item.productId,
+    quantity,
+    amount: lineRefundAmount(order, item, quantity)
+  }));
+
+  // Stock and the refund record go with the cancellation; the refund is
+  // only sent to the provider once that has committed
+  let refund = null;
+  const updated = await transaction(async () => {
+    const changed = await orderRepository.cancelItems(order.id, {
+      statuses: ITEM_CANCELLABLE,
+      knownCancellations: (order.itemCancellations || []).length,
+      items,
+      entries
+    });
+    if (!changed) return null;
+
+    if (order.stockReserved) {
+      await releaseStock(cancelled.map(({ item, quantity }) => ({ productId: item.productId, quantity })));
+    }
+
+    refund = await createRefund(order, {
+      amount: refundLines.reduce((sum, line) => sum + line.amount, 0),
+      reason: reason || 'Items cancelled by store',
+      lines: refundLines,
+      actorType: 'staff',
+      actorId
+    });
+    return changed;
+  });
+  if (!updated) {
+    return { ok: false, status: 409, message: 'Order was updated by someone else. Please reload and try again.' };
+  }
+
+  await publishOrderEvent(updated, 'order.items_cancelled', {
+    items: cancelled.map(({ item, quantity }) => ({ productId: item.productId, name: item.name, quantity })),
+    reason
+  });
+
+  if (refund) refund = await sendRefund(refund);
+  await issueCreditNotes(updated);
+
+  return { ok: true, order: updated, refund };
+};
+
+// Orders placed before statusHistory existed only have their dates;
+// rebuild a best-effort timeline for them.
+const buildTimeline = (order) => {
+  if (order.statusHistory && order.statusHistory.length > 0) {
+    return order.statusHistory;
+  }
+
+  const timeline = [{ status: 'confirmed', at: order.orderDate || order.createdAt }];
+  if (order.cancelledAt) {
+    timeline.push({ status: 'cancelled', at: order.cancelledAt, note: order.cancellationReason });
+  } else if (order.status !== 'confirmed') {
+    timeline.push({ status: order.status });
+  }
+  return timeline;
+};
+
+module.exports = {
+  TRANSITIONS,
+  remainingUnits,
+  allowedTransitions,
+  transitionOrder,
+  cancelOrderItems,
+  buildTimeline
+};
@@ -0,0 +1,55 @@
+const { users: userRepository } = require('../repositories');
+const { sendMail } = require('./mailer');
+const { revokeAllSessions } = require('./sessions');
+const { generateToken, hashToken } = require('../utils/tokens');
+
+const RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 30;
+
+const resetLink = (token) =>
+  `${process.env.FRONTEND_URL || 'http://localhost:3000'}/reset-password?token=${encodeURIComponent(token)}`;
+
+// Issue a reset token and mail it. Silently does nothing for unknown emails
+// so callers can give the same answer either way.
+const requestPasswordReset = async (email) => {
+  const token = generateToken();
+
+  const user = await userRepository.setPasswordResetToken(
+    email,
+    hashToken(token),
+    new Date(Date.now() + RESET_TTL_MINUTES * 60 * 1000)
+  );
+
+  if (!user) return;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your FreshMart password',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'We received a request to reset your FreshMart password. Use the link below to choose a new one:',
+      resetLink(token),
+      '',
+      `The link expires in ${RESET_TTL_MINUTES} minutes and can only be used once.`,
+      'If you did not ask for this, you can ignore this email.'
+    ].join('\n')
+  });
+};
+
+// Consume a reset token and set the new password.
+// The token is claimed and cleared in one update, so it works at most once.
+const resetPassword = async (token, password) => {
+  const user = await userRepository.consumePasswordResetToken(hashToken(token));
+
+  if (!user) return { ok: false };
+
+  await userRepository.setPassword(user._id, password);
+  await revokeAllSessions(user._id, 'password_reset');
+
+  return { ok: true, user };
+};
+
+module.exports = {
+  requestPasswordReset,
+  resetPassword
+};
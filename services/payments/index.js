@@ -0,0 +1,143 @@
+const {
+  payments: paymentRepository,
+  orders: orderRepository
+} = require('../../repositories');
+const { transitionOrder } = require('../orderStatus');
+const { toMinor } = require('../../utils/money');
+const { refundOrder, applyRefundEvent } = require('../refunds');
+const { setProvider, getProvider, findProvider, setWebhookDispatcher } = require('./providers');
+
+// Methods settled online through a provider. Anything else (cash) is
+// collected on delivery and the order is confirmed straight away.
+const ONLINE_METHODS = ['card', 'paypal'];
+
+const requiresOnlinePayment = (paymentMethod) => ONLINE_METHODS.includes(paymentMethod);
+
+// Open an intent for an order that is waiting in pending_payment.
+// Returns what the client needs to complete the payment.
+const startPayment = async (order, { paymentToken } = {}) => {
+  const provider = getProvider();
+  const amount = toMinor(order.totalAmount);
+
+  const intent = await provider.createIntent({
+    amount,
+    currency: order.currency,
+    orderId: order.id,
+    paymentToken
+  });
+
+  const payment = await paymentRepository.create({
+    orderId: order.id,
+    userId: order.userId,
+    provider: provider.name,
+    providerRef: intent.providerRef,
+    amount,
+    currency: order.currency
+  });
+
+  const updated = await orderRepository.update(order.id, {
+    payment: { provider: provider.name, providerRef: intent.providerRef, status: 'pending' }
+  });
+
+  return {
+    order: updated,
+    payment: {
+      provider: provider.name,
+      intentId: payment.providerRef,
+      status: payment.status,
+      amount: payment.amount,
+      currency: payment.currency,
+      clientSecret: intent.clientSecret
+    }
+  };
+};
+
+const PAYMENT_OUTCOMES = {
+  'payment.succeeded': 'succeeded',
+  'payment.failed': 'failed'
+};
+
+const REFUND_OUTCOMES = {
+  'refund.succeeded': 'succeeded',
+  'refund.failed': 'failed'
+};
+
+// Move the order on from pending_payment. An order the customer already
+// cancelled stays cancelled.
+const applyToOrder = async (payment, outcome, failureReason) => {
+  const order = await orderRepository.findByNumber(payment.orderId);
+  if (!order || order.status !== 'pending_payment') return;
+
+  await transitionOrder(order, outcome === 'succeeded' ? 'confirmed' : 'cancelled', {
+    actorType: 'system',
+    note: outcome === 'succeeded' ? 'Payment received' : `Payment failed: ${failureReason || 'declined'}`
+  });
+};
+
+const applyPaymentEvent = async (provider, event, outcome) => {
+  const payment = await paymentRepository.findByProviderRef(provider.name, event.providerRef);
+  if (!payment) {
+    return { ok: false, status: 404, message: 'Unknown payment' };
+  }
+
+  if (payment.status !== 'pending' || (payment.processedEvents || []).includes(event.id)) {
+    return { ok: true };
+  }
+
+  // Order first: if we stop half way, the redelivered event finishes the job
+  await applyToOrder(payment, outcome, event.failureReason);
+
+  const now = new Date();
+  const settled = await paymentRepository.settle(payment._id, event.id, {
+    status: outcome,
+    ...(outcome === 'succeeded' ? { succeededAt: now } : { failedAt: now, failureReason: event.failureReason })
+  });
+
+  if (!settled) return { ok: true };
+
+  const order = await orderRepository.update(payment.orderId, { 'payment.status': outcome });
+
+  // Money that arrived after the customer gave up goes straight back
+  if (outcome === 'succeeded' && order && order.status === 'cancelled') {
+    await refundOrder(order, { reason: 'Payment completed after the order was cancelled', actorType: 'system' });
+  }
+
+  return { ok: true };
+};
+
+// Verify and apply a webhook. Returns { ok: true } (also for duplicates and
+// event types we don't use) or { ok: false, status, message }. Providers
+// retry on 404 and 5xx, which covers events that beat the intent's record.
+const handleWebhook = async (providerName, rawBody, headers) => {
+  const provider = findProvider(providerName);
+  if (!provider) {
+    return { ok: false, status: 404, message: 'Unknown payment provider' };
+  }
+
+  let event;
+  try {
+    event = provider.verifyWebhook(rawBody, headers);
+  } catch (err) {
+    return { ok: false, status: 400, message: 'Invalid webhook signature' };
+  }
+
+  if (PAYMENT_OUTCOMES[event.type]) {
+    return applyPaymentEvent(provider, event, PAYMENT_OUTCOMES[event.type]);
+  }
+
+  if (REFUND_OUTCOMES[event.type]) {
+    await applyRefundEvent(provider.name, event, REFUND_OUTCOMES[event.type]);
+  }
+
+  return { ok: true };
+};
+
+setWebhookDispatcher(handleWebhook);
+
+module.exports = {
+  requiresOnlinePayment,
+  startPayment,
+  handleWebhook,
+  setProvider,
+  getProvider
+};
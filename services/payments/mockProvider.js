@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+
+// Offline stand-in for a card gateway. The outcome of an intent is picked
+// by the test token sent at checkout, like a gateway's test cards:
+//   tok_success  - captured right away (the default)
+//   tok_fail     - declined
+//   tok_delayed  - captured after MOCK_PAYMENT_DELAY_MS (default 5s)
+//   tok_refund_fail - captured, but the first refund is declined, so the
+//                     staff retry can be tried out
+// Results arrive as signed webhook events, handed to `dispatch` in-process
+// exactly as they'd arrive over HTTP, so signature checks are exercised too.
+const SIGNATURE_HEADER = 'x-mock-signature';
+const TOLERANCE_SECONDS = 5 * 60;
+const MAX_DELIVERY_ATTEMPTS = 5;
+
+const OUTCOMES = {
+  tok_success: { type: 'payment.succeeded', delay: () => 0 },
+  tok_fail: { type: 'payment.failed', delay: () => 0, failureReason: 'Card declined' },
+  tok_delayed: {
+    type: 'payment.succeeded',
+    delay: () => parseInt(process.env.MOCK_PAYMENT_DELAY_MS, 10) || 5000
+  },
+  tok_refund_fail: { type: 'payment.succeeded', delay: () => 0, failFirstRefund: true }
+};
+
+const sign = (secret, timestamp, rawBody) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+
+const createMockProvider = ({ secret, dispatch }) => {
+  // Intents created since startup, for refunds; nothing here survives a restart
+  const intents = new Map();
+
+  // Header value for a payload, also handy for crafting webhooks by hand
+  const signatureFor = (rawBody, timestamp = Math.floor(Date.now() / 1000)) =>
+    `t=${timestamp},v1=${sign(secret, timestamp, rawBody)}`;
+
+  // Like a real gateway, retry with backoff while the receiver says it
+  // couldn't take the event yet (anything but a rejected signature)
+  const deliver = async (payload, attempt = 1) => {
+    const rawBody = JSON.stringify(payload);
+    const result = await dispatch(Buffer.from(rawBody), { [SIGNATURE_HEADER]: signatureFor(rawBody) });
+
+    if (!result.ok && result.status !== 400 && attempt < MAX_DELIVERY_ATTEMPTS) {
+      setTimeout(() => {
+        deliver(payload, attempt + 1).catch(err => console.error('Mock payment webhook error:', err));
+      }, attempt * 1000).unref();
+    }
+  };
+
+  return {
+    name: 'mock',
+
+    signatureFor,
+
+    createIntent: async ({ amount, currency, orderId, paymentToken = 'tok_success' }) => {
+      const outcome = OUTCOMES[paymentToken];
+      if (!outcome) {
+        const error = new Error(`Unknown test token: ${paymentToken}`);
+        error.status = 400;
+        throw error;
+      }
+
+      const intentId = `mock_pi_${crypto.randomBytes(12).toString('hex')}`;
+      intents.set(intentId, { amount, refunded: 0, failNextRefund: Boolean(outcome.failFirstRefund) });
+
+      const timer = setTimeout(() => {
+        deliver({
+          id: `mock_evt_${crypto.randomBytes(12).toString('hex')}`,
+          type: outcome.type,
+          created: Math.floor(Date.now() / 1000),
+          data: { intentId, orderId, amount, currency, failureReason: outcome.failureReason }
+        }).catch(err => console.error('Mock payment webhook error:', err));
+      }, outcome.delay());
+      timer.unref();
+
+      return {
+        providerRef: intentId,
+        clientSecret: `${intentId}_secret_${crypto.randomBytes(8).toString('hex')}`
+      };
+    },
+
+    // Refunds settle immediately
+    refund: async ({ paymentRef, amount }) => {
+      const intent = intents.get(paymentRef);
+
+      if (intent && intent.failNextRefund) {
+        intent.failNextRefund = false;
+        throw new Error('Refund declined by issuer');
+      }
+      if (intent && intent.refunded + amount > intent.amount) {
+        throw new Error('Refund exceeds the captured amount');
+      }
+      if (intent) intent.refunded += amount;
+
+      return {
+        providerRef: `mock_re_${crypto.randomBytes(12).toString('hex')}`,
+        status: 'succeeded'
+      };
+    },
+
+    // Returns { id, type, providerRef, failureReason }, or throws when the
+    // signature is missing, wrong or too old
+    verifyWebhook: (rawBody, headers) => {
+      const header = String(headers[SIGNATURE_HEADER] || '');
+      const parts = Object.fromEntries(header.split(',').map(part => part.split('=')));
+      const timestamp = Number(parts.t);
+
+      const expected = Buffer.from(sign(secret, parts.t, rawBody));
+      const given = Buffer.from(String(parts.v1 || ''));
+      const valid = given.length === expected.length && crypto.timingSafeEqual(given, expected);
+
+      if (!valid || !Number.isFinite(timestamp) || Math.abs(Date.now() / 1000 - timestamp) > TOLERANCE_SECONDS) {
+        throw new Error('Invalid webhook signature');
+      }
+
+      const event = JSON.parse(rawBody.toString('utf8'));
+      return {
+        id: event.id,
+        type: event.type,
+        providerRef: event.data && event.data.intentId,
+        failureReason: event.data && event.data.failureReason
+      };
+    }
+  };
+};
+
+module.exports = {
+  createMockProvider
+};
@@ -0,0 +1,56 @@
+const { createMockProvider } = require('./mockProvider');
+
+// A provider is an object with:
+//   name
+//   createIntent({ amount, currency, orderId, paymentToken }) -> { providerRef, clientSecret }
+//   refund({ paymentRef, amount, currency, refundId }) -> { providerRef, status }
+//     where status is 'succeeded' or 'pending'; throws if the refund is refused
+//   verifyWebhook(rawBody, headers) -> { id, type, providerRef, failureReason }, throws if unsigned
+// Amounts are in minor units. Results arrive later as webhooks.
+// The built-in "mock" provider works offline; a real one can be plugged in
+// with setProvider() at startup and becomes the one used for new payments.
+// Providers stay registered by name so older payments can still be refunded.
+const providers = {};
+let activeProvider = null;
+
+// Webhooks from in-process providers go to whatever handler registers here
+let dispatchWebhook = async () => ({ ok: false, status: 503, message: 'No webhook handler' });
+
+const setWebhookDispatcher = (dispatcher) => {
+  dispatchWebhook = dispatcher;
+};
+
+const setProvider = (provider) => {
+  providers[provider.name] = provider;
+  activeProvider = provider;
+};
+
+const getProvider = () => {
+  if (activeProvider) return activeProvider;
+
+  const name = process.env.PAYMENT_PROVIDER || 'mock';
+  if (name !== 'mock') {
+    throw new Error(`Unknown PAYMENT_PROVIDER: ${name}`);
+  }
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('The mock payment provider cannot be used in production');
+  }
+
+  setProvider(createMockProvider({
+    secret: process.env.MOCK_PAYMENT_WEBHOOK_SECRET || 'mock-webhook-secret',
+    dispatch: (rawBody, headers) => dispatchWebhook('mock', rawBody, headers)
+  }));
+  return activeProvider;
+};
+
+const findProvider = (name) => {
+  if (!providers[name]) getProvider();
+  return providers[name] || null;
+};
+
+module.exports = {
+  setProvider,
+  getProvider,
+  findProvider,
+  setWebhookDispatcher
+};
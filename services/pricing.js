@@ -0,0 +1,99 @@
+const { toMinor, fromMinor } = require('../utils/money');
+const { readJsonEnv } = require('../utils/env');
+
+// Delivery fee per zone, waived once the discounted basket reaches freeAbove.
+// Override with DELIVERY_ZONES, e.g. {"default":{"fee":40,"freeAbove":499}}.
+const DEFAULT_DELIVERY_ZONES = {
+  default: { fee: 40, freeAbove: 499 }
+};
+
+// GST percentage per product category; anything unlisted uses `default`.
+// Override with GST_RATES, e.g. {"default":5,"produce":0,"packaged":12}.
+const DEFAULT_GST_RATES = {
+  default: 5,
+  produce: 0,
+  fruits: 0,
+  vegetables: 0,
+  packaged: 12
+};
+
+const DELIVERY_ZONES = readJsonEnv('DELIVERY_ZONES', DEFAULT_DELIVERY_ZONES);
+const GST_RATES = readJsonEnv('GST_RATES', DEFAULT_GST_RATES);
+const CURRENCY = process.env.CURRENCY || 'INR';
+
+const deliveryZone = (zone) => {
+  const name = zone && DELIVERY_ZONES[zone] ? zone : 'default';
+  return { name, ...DELIVERY_ZONES[name] };
+};
+
+const gstRate = (category) =>
+  (category && GST_RATES[category] !== undefined ? GST_RATES[category] : GST_RATES.default);
+
+// Price a basket. `items` carry price and quantity, `products` is the catalog
+// map from loadActiveProducts (for categories), `discounts` are coupon
+// discounts with per-line amounts and `zone` picks the delivery fee.
+//
+// Tax is charged on each line after its share of the discounts, grouped by
+// category and rounded once per category. The delivery fee is not taxed.
+// Everything is summed in minor units and converted back only for output.
+const priceItems = ({ items, products = new Map(), discounts = [], zone } = {}) => {
+  const lineDiscounts = new Map();
+  discounts.forEach(discount => discount.lines.forEach(line => {
+    lineDiscounts.set(line.productId, (lineDiscounts.get(line.productId) || 0) + toMinor(line.amount));
+  }));
+
+  const byCategory = new Map();
+  let subtotal = 0;
+
+  items.forEach(item => {
+    const gross = toMinor(item.price) * item.quantity;
+    const taxable = Math.max(gross - (lineDiscounts.get(String(item.productId)) || 0), 0);
+    const product = products.get(String(item.productId));
+    const category = (product && product.category) || 'uncategorized';
+
+    subtotal += gross;
+    byCategory.set(category, (byCategory.get(category) || 0) + taxable);
+  });
+
+  const discountTotal = discounts.reduce((sum, discount) => sum + toMinor(discount.amount), 0);
+  const merchandise = Math.max(subtotal - discountTotal, 0);
+
+  const taxes = [...byCategory].map(([category, taxable]) => {
+    const rate = gstRate(category);
+    return { category, rate, taxable, amount: Math.round((taxable * rate) / 100) };
+  });
+  const taxTotal = taxes.reduce((sum, tax) => sum + tax.amount, 0);
+
+  const zoneConfig = deliveryZone(zone);
+  const freeDelivery = items.length === 0 ||
+    (zoneConfig.freeAbove !== undefined && merchandise >= toMinor(zoneConfig.freeAbove));
+  const deliveryFee = freeDelivery ? 0 : toMinor(zoneConfig.fee || 0);
+
+  return {
+    currency: CURRENCY,
+    subtotal: fromMinor(subtotal),
+    discountTotal: fromMinor(discountTotal),
+    deliveryFee: fromMinor(deliveryFee),
+    taxTotal: fromMinor(taxTotal),
+    grandTotal: fromMinor(merchandise + deliveryFee + taxTotal),
+    taxes: taxes.map(tax => ({ ...tax, taxable: fromMinor(tax.taxable), amount: fromMinor(tax.amount) })),
+    delivery: {
+      zone: zoneConfig.name,
+      fee: fromMinor(deliveryFee),
+      freeAbove: zoneConfig.freeAbove,
+      // How much more the customer needs for free delivery, if anything
+      remainingForFree: freeDelivery || zoneConfig.freeAbove === undefined
+        ? 0
+        : fromMinor(toMinor(zoneConfig.freeAbove) - merchandise)
+    }
+  };
+};
+
+// Line total for one item, in major units
+const lineTotal = (item) => fromMinor(toMinor(item.price) * item.quantity);
+
+module.exports = {
+  priceItems,
+  lineTotal,
+  gstRate
+};
@@ -0,0 +1,161 @@
+const { coupons: couponRepository } = require('../repositories');
+const { toMinor, fromMinor, allocate, percentOf } = require('../utils/money');
+
+const lineMinor = (item) => toMinor(item.price) * item.quantity;
+
+const isEligible = (coupon, item, products) => {
+  const productIds = coupon.productIds || [];
+  const categories = coupon.categories || [];
+  if (productIds.length === 0 && categories.length === 0) return true;
+
+  const product = products.get(String(item.productId));
+  return productIds.includes(String(item.productId)) ||
+    Boolean(product && categories.includes(product.category));
+};
+
+// Per-line discount amounts, in minor units, for the eligible lines before any cap
+const LINE_DISCOUNTS = {
+  percentage: (coupon, lines) => lines.map(item => percentOf(lineMinor(item), coupon.value)),
+
+  // Spread the flat amount across lines in proportion to their value so
+  // the breakdown still adds up if only some lines are refunded later
+  fixed: (coupon, lines) => {
+    const weights = lines.map(lineMinor);
+    const eligibleTotal = weights.reduce((sum, weight) => sum + weight, 0);
+    return allocate(Math.min(toMinor(coupon.value), eligibleTotal), weights);
+  },
+
+  buy_x_get_y: (coupon, lines) => lines.map(item => {
+    const group = coupon.buyQuantity + coupon.freeQuantity;
+    const freeUnits = Math.floor(item.quantity / group) * coupon.freeQuantity;
+    return freeUnits * toMinor(item.price);
+  })
+};
+
+// Work out what `coupon` takes off `items`, ignoring usage limits.
+// `products` is the catalog map from loadActiveProducts, used for categories.
+// Returns { ok: true, discount } or { ok: false, status, message }.
+const calculateDiscount = (coupon, items, products, now = new Date()) => {
+  if (!coupon || !coupon.isActive) {
+    return { ok: false, status: 404, message: 'Coupon not found' };
+  }
+
+  if (coupon.startsAt && now < new Date(coupon.startsAt)) {
+    return { ok: false, status: 400, message: `Coupon ${coupon.code} is not valid yet` };
+  }
+
+  if (coupon.endsAt && now > new Date(coupon.endsAt)) {
+    return { ok: false, status: 400, message: `Coupon ${coupon.code} has expired` };
+  }
+
+  const subtotal = items.reduce((sum, item) => sum + lineMinor(item), 0);
+  if (subtotal < toMinor(coupon.minOrderValue || 0)) {
+    return {
+      ok: false,
+      status: 400,
+      message: `Coupon ${coupon.code} needs an order of at least ${coupon.minOrderValue}`
+    };
+  }
+
+  const eligible = items.filter(item => isEligible(coupon, item, products));
+  let amounts = LINE_DISCOUNTS[coupon.type](coupon, eligible);
+  let total = amounts.reduce((sum, amount) => sum + amount, 0);
+
+  if (coupon.maxDiscount !== undefined && coupon.maxDiscount !== null && total > toMinor(coupon.maxDiscount)) {
+    total = toMinor(coupon.maxDiscount);
+    amounts = allocate(total, amounts);
+  }
+
+  if (total <= 0) {
+    return { ok: false, status: 400, message: `Coupon ${coupon.code} doesn't apply to anything in your cart` };
+  }
+
+  const lines = eligible
+    .map((item, i) => ({ productId: String(item.productId), amount: fromMinor(amounts[i]) }))
+    .filter(line => line.amount > 0);
+
+  return {
+    ok: true,
+    discount: {
+      couponId: coupon._id,
+      code: coupon.code,
+      type: coupon.type,
+      description: coupon.description,
+      amount: fromMinor(total),
+      lines
+    }
+  };
+};
+
+const checkUsage = async (coupon, userId) => {
+  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+    return { ok: false, status: 400, message: `Coupon ${coupon.code} has been fully redeemed` };
+  }
+
+  if (coupon.perUserLimit && userId) {
+    const used = await couponRepository.countActiveRedemptions(coupon._id, userId);
+    if (used >= coupon.perUserLimit) {
+      return { ok: false, status: 400, message: `You have already used coupon ${coupon.code}` };
+    }
+  }
+
+  return { ok: true };
+};
+
+// Full check of a code against a set of lines for one customer.
+// Returns { ok: true, coupon, discount } or { ok: false, status, message }.
+const evaluateCoupon = async (code, items, products, userId) => {
+  const coupon = await couponRepository.findByCode(code);
+  const result = calculateDiscount(coupon, items, products);
+  if (!result.ok) return result;
+
+  const usage = await checkUsage(coupon, userId);
+  if (!usage.ok) return usage;
+
+  return { ok: true, coupon, discount: result.discount };
+};
+
+// Record the coupon against an order, enforcing both limits.
+// Call before the order is stored; undo with releaseCoupon if that fails.
+const redeemCoupon = async (coupon, discount, { userId, orderId }) => {
+  const exhausted = { ok: false, status: 409, message: `Coupon ${coupon.code} is no longer available` };
+
+  if (!(await couponRepository.claimUse(coupon._id))) return exhausted;
+
+  const redemption = await couponRepository.recordRedemption({
+    couponId: coupon._id,
+    code: coupon.code,
+    userId,
+    orderId,
+    amount: discount.amount
+  });
+
+  // Insert first, then count: if two orders race past the per-user limit,
+  // the later one sees both and backs out
+  if (coupon.perUserLimit) {
+    const used = await couponRepository.countRedemptionsUpTo(redemption);
+    if (used > coupon.perUserLimit) {
+      await couponRepository.deleteRedemption(redemption._id);
+      await couponRepository.returnUse(coupon._id);
+      return { ok: false, status: 409, message: `You have already used coupon ${coupon.code}` };
+    }
+  }
+
+  return { ok: true, redemption };
+};
+
+// Give back every use held by an order. Safe to call more than once.
+const releaseCoupon = async (orderId) => {
+  let redemption = await couponRepository.releaseRedemption(orderId);
+  while (redemption) {
+    await couponRepository.returnUse(redemption.couponId);
+    redemption = await couponRepository.releaseRedemption(orderId);
+  }
+};
+
+module.exports = {
+  calculateDiscount,
+  evaluateCoupon,
+  redeemCoupon,
+  releaseCoupon
+};
@@ -0,0 +1,150 @@
+const {
+  refunds: refundRepository,
+  payments: paymentRepository
+} = require('../repositories');
+const { findProvider } = require('./payments/providers');
+const { toMinor, fromMinor } = require('../utils/money');
+
+const findCapturedPayment = async (orderId) =>
+  (await paymentRepository.findByOrder(orderId)).find(payment => payment.status === 'succeeded') || null;
+
+// Ask the provider to pay the refund out and record what it said. A refusal
+// or outage leaves the refund `failed` for staff to retry.
+const sendToProvider = async (refund) => {
+  try {
+    const provider = findProvider(refund.provider);
+    if (!provider) throw new Error(`Payment provider ${refund.provider} is not configured`);
+
+    const result = await provider.refund({
+      paymentRef: refund.paymentRef,
+      amount: refund.amount,
+      currency: refund.currency,
+      refundId: String(refund._id)
+    });
+
+    return refundRepository.update(refund._id, {
+      providerRef: result.providerRef,
+      status: result.status,
+      ...(result.status === 'succeeded' && { succeededAt: new Date() })
+    });
+  } catch (err) {
+    console.error(`Refund ${refund._id} for order ${refund.orderId} failed:`, err.message);
+    return refundRepository.update(refund._id, { status: 'failed', failureReason: err.message });
+  }
+};
+
+// Refunds that were recorded but never sent, e.g. when the process stopped
+// between storing a cancellation and calling the provider
+const UNSENT = { status: 'pending', attempts: 0 };
+
+// Record a refund of money taken for an order: `amount` minor units, or
+// everything not yet refunded when left out. Never refunds more than was
+// captured; failed refunds still count, since they get retried rather than
+// replaced. Nothing goes to the provider yet, so this can run inside the
+// transaction that cancels the order; pass the result to sendRefund once
+// that has committed.
+// Returns the refund record, or null when there is nothing to give back
+// (unpaid, cash on delivery, or already fully refunded).
+const createRefund = async (order, { amount, reason, lines, actorType, actorId } = {}) => {
+  const payment = await findCapturedPayment(order.id);
+  if (!payment) return null;
+
+  const existing = await refundRepository.listByOrder(order.id);
+  const remaining = payment.amount - existing.reduce((sum, refund) => sum + refund.amount, 0);
+  const toRefund = Math.min(amount === undefined ? remaining : amount, remaining);
+  if (toRefund <= 0) return null;
+
+  return refundRepository.create({
+    orderId: order.id,
+    paymentId: payment._id,
+    userId: order.userId,
+    provider: payment.provider,
+    paymentRef: payment.providerRef,
+    method: order.paymentMethod,
+    amount: toRefund,
+    currency: payment.currency,
+    reason,
+    lines,
+    ...UNSENT,
+    requestedBy: { actorType, actorId }
+  });
+};
+
+// First attempt at a refund from createRefund. Returns the refund as it
+// stands afterwards; one already claimed by a retry is left alone.
+const sendRefund = async (refund) => {
+  const claimed = await refundRepository.claimAttempt(refund._id, UNSENT);
+  if (!claimed) return refundRepository.findById(refund._id);
+  return sendToProvider(claimed);
+};
+
+// Record a refund and send it straight away
+const refundOrder = async (order, options) => {
+  const refund = await createRefund(order, options);
+  return refund && sendRefund(refund);
+};
+
+// Send a failed or never-sent refund to the provider again.
+// Returns { ok: true, refund } or { ok: false, status, message }
+const retryRefund = async (refundId) => {
+  const refund = await refundRepository.findById(refundId);
+  if (!refund) {
+    return { ok: false, status: 404, message: 'Refund not found' };
+  }
+
+  const claimed = await refundRepository.claimAttempt(refund._id, { status: 'failed' })
+    || await refundRepository.claimAttempt(refund._id, UNSENT);
+  if (!claimed) {
+    return { ok: false, status: 409, message: `Only failed or unsent refunds can be retried; this one is ${refund.status}` };
+  }
+
+  return { ok: true, refund: await sendToProvider(claimed) };
+};
+
+// What a cancelled quantity of a line is worth: its price less its share of
+// the order's discounts, plus the tax charged on that. In minor units.
+const lineRefundAmount = (order, item, quantity) => {
+  const goods = toMinor(item.price) * quantity;
+  const lineDiscount = (order.discounts || [])
+    .flatMap(discount => discount.lines || [])
+    .filter(line => line.productId === item.productId)
+    .reduce((sum, line) => sum + toMinor(line.amount), 0);
+  const taxable = goods - Math.round((lineDiscount * quantity) / item.quantity);
+  return taxable + Math.round((taxable * (item.taxRate || 0)) / 100);
+};
+
+// Order-facing view: major units, like every other amount in responses
+const presentRefund = (refund) => ({
+  id: refund._id,
+  amount: fromMinor(refund.amount),
+  currency: refund.currency,
+  method: refund.method,
+  status: refund.status,
+  reason: refund.reason,
+  ...(refund.failureReason && { failureReason: refund.failureReason }),
+  ...(refund.lines && refund.lines.length > 0 && {
+    lines: refund.lines.map(line => ({ ...line, amount: fromMinor(line.amount) }))
+  }),
+  createdAt: refund.createdAt,
+  ...(refund.succeededAt && { succeededAt: refund.succeededAt })
+});
+
+const listOrderRefunds = async (orderId) =>
+  (await refundRepository.listByOrder(orderId)).map(presentRefund);
+
+// Settle a refund the provider finished after accepting it
+const applyRefundEvent = (providerName, event, outcome) => refundRepository.settle(providerName, event.providerRef, {
+  status: outcome,
+  ...(outcome === 'succeeded' ? { succeededAt: new Date() } : { failureReason: event.failureReason || 'Refund failed' })
+});
+
+module.exports = {
+  createRefund,
+  sendRefund,
+  refundOrder,
+  retryRefund,
+  lineRefundAmount,
+  presentRefund,
+  listOrderRefunds,
+  applyRefundEvent
+};
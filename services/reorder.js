@@ -0,0 +1,75 @@
+const { transaction, carts: cartRepository } = require('../repositories');
+const { loadActiveProducts } = require('./cartPricing');
+const { remainingUnits } = require('./orderStatus');
+
+// Copy a past order's lines into the customer's cart at today's prices.
+// Units cancelled off the order aren't copied, and fully cancelled lines
+// are left out altogether. Lines whose product is gone or sold out are
+// skipped; quantities are trimmed to what's in stock alongside what the
+// cart already holds.
+// Returns { cart, products, added, priceChanged, skipped }: `added` has
+// every line that went in, `priceChanged` those of them whose price moved
+// since the order, `skipped` the rest with a `reason`, and `products` is
+// the catalog map for pricing the cart.
+const reorderIntoCart = (order, userId) => transaction(async () => {
+  const owner = { userId };
+  const cart = await cartRepository.getOrCreate(owner);
+  // The cart's own lines too, so the caller can price the whole cart
+  const products = await loadActiveProducts([...order.items, ...cart.items].map(item => item.productId));
+  const items = cart.items.map(item => ({ ...item }));
+
+  const added = [];
+  const priceChanged = [];
+  const skipped = [];
+
+  remainingUnits(order.items).forEach(orderItem => {
+    const product = products.get(String(orderItem.productId));
+    const line = { productId: orderItem.productId, name: orderItem.name };
+
+    if (!product) {
+      skipped.push({ ...line, reason: 'discontinued', requested: orderItem.quantity });
+      return;
+    }
+
+    const existing = items.find(item => String(item.productId) === String(orderItem.productId));
+    const room = product.stock - (existing ? existing.quantity : 0);
+    if (room < 1) {
+      skipped.push({ ...line, reason: 'out_of_stock', requested: orderItem.quantity, available: product.stock });
+      return;
+    }
+
+    const quantity = Math.min(orderItem.quantity, room);
+    if (existing) {
+      existing.quantity += quantity;
+      existing.price = product.price;
+    } else {
+      items.push({
+        productId: String(product._id),
+        name: product.name,
+        price: product.price,
+        image: product.image,
+        quantity,
+        addedAt: new Date()
+      });
+    }
+
+    added.push({
+      ...line,
+      name: product.name,
+      quantity,
+      price: product.price,
+      ...(quantity < orderItem.quantity && { requested: orderItem.quantity, limitedByStock: true })
+    });
+
+    if (product.price !== orderItem.price) {
+      priceChanged.push({ ...line, name: product.name, previousPrice: orderItem.price, currentPrice: product.price });
+    }
+  });
+
+  const saved = added.length > 0 ? await cartRepository.saveItems(owner, items) : cart;
+  return { cart: saved, products, added, priceChanged, skipped };
+});
+
+module.exports = {
+  reorderIntoCart
+};
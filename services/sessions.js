@@ -0,0 +1,99 @@
+const jwt = require('jsonwebtoken');
+const { users: userRepository, sessions: sessionRepository } = require('../repositories');
+const { generateToken, hashToken } = require('../utils/tokens');
+
+// JWT configuration
+const jwtConfig = {
+  expiresIn: process.env.ACCESS_TOKEN_TTL || '15m',
+  issuer: 'freshmart-api'
+};
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+const MAX_PREVIOUS_HASHES = 50;
+
+const signAccessToken = (user, sessionId) => jwt.sign(
+  { id: user._id, email: user.email, role: user.role, sid: sessionId },
+  process.env.JWT_SECRET,
+  jwtConfig
+);
+
+// Refresh tokens look like "<sessionId>.<secret>"; only the hash of the
+// secret is stored.
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!secret || !/^[a-f0-9]{24}$/i.test(sessionId)) return null;
+  return { sessionId, secret };
+};
+
+// Start a new session for a user who just proved who they are
+const createSession = async (user, req) => {
+  const secret = generateToken();
+  const session = await sessionRepository.create({
+    userId: user._id,
+    tokenHash: hashToken(secret),
+    userAgent: req.get('user-agent'),
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  return {
+    token: signAccessToken(user, session._id),
+    refreshToken: `${session._id}.${secret}`,
+    sessionId: session._id
+  };
+};
+
+// Swap a refresh token for a new access/refresh pair.
+// Presenting a token that was already rotated out means it leaked: the whole
+// session (every token descended from the same login) is revoked.
+const rotateSession = async (refreshToken) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return { ok: false, message: 'Invalid refresh token' };
+
+  const presentedHash = hashToken(parsed.secret);
+  const secret = generateToken();
+
+  const session = await sessionRepository.rotate({
+    sessionId: parsed.sessionId,
+    presentedHash,
+    nextHash: hashToken(secret),
+    keepPrevious: MAX_PREVIOUS_HASHES
+  });
+
+  if (!session) {
+    const reused = await sessionRepository.revokeIfReused(parsed.sessionId, presentedHash);
+    if (reused) {
+      console.warn(`Refresh token reuse detected for session ${parsed.sessionId}; session revoked`);
+    }
+    return { ok: false, message: 'Invalid refresh token' };
+  }
+
+  const user = await userRepository.findById(session.userId);
+  if (!user) {
+    await revokeSession(session._id, 'user_missing');
+    return { ok: false, message: 'Invalid refresh token' };
+  }
+
+  return {
+    ok: true,
+    user,
+    token: signAccessToken(user, session._id),
+    refreshToken: `${session._id}.${secret}`
+  };
+};
+
+const revokeSession = (sessionId, reason = 'logout') => sessionRepository.revoke(sessionId, reason);
+
+// Resolves to the number of sessions revoked
+const revokeAllSessions = (userId, reason = 'logout_all') => sessionRepository.revokeAllForUser(userId, reason);
+
+const isSessionActive = (sessionId, userId) => sessionRepository.isActive(sessionId, userId);
+
+module.exports = {
+  jwtConfig,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  isSessionActive
+};
@@ -0,0 +1,196 @@
+const {
+  transaction,
+  wishlists: wishlistRepository,
+  carts: cartRepository,
+  products: productRepository
+} = require('../repositories');
+const { loadActiveProducts } = require('./cartPricing');
+
+const SAVED_FOR_LATER = 'Saved for later';
+const MAX_LISTS = 20;
+const MAX_ITEMS_PER_LIST = 100;
+
+const sameProduct = (productId) => (item) => String(item.productId) === String(productId);
+
+// A list as the customer sees it: each item with today's price next to the
+// one it was saved at. Items that went off sale stay, marked unavailable.
+const presentList = (list, products) => ({
+  ...list,
+  items: list.items.map(item => {
+    const product = products.get(String(item.productId));
+    if (!product) return { ...item, available: false };
+
+    return {
+      ...item,
+      available: true,
+      inStock: product.stock > 0,
+      currentPrice: product.price,
+      priceDrop: Math.max(Math.round((item.savedPrice - product.price) * 100) / 100, 0)
+    };
+  })
+});
+
+const presentLists = async (lists) => {
+  const products = await loadActiveProducts(lists.flatMap(list => list.items.map(item => item.productId)));
+  return lists.map(list => presentList(list, products));
+};
+
+// Add a product to a list's items. A product already on the list keeps its
+// original saved price, so a drop since then still shows.
+const withItem = (items, product, quantity = 1) => {
+  if (items.some(sameProduct(product._id))) return items;
+  return [...items, {
+    productId: String(product._id),
+    name: product.name,
+    image: product.image,
+    savedPrice: product.price,
+    quantity,
+    addedAt: new Date()
+  }];
+};
+
+// Checks for a new list name. Returns a message, or null when it's fine.
+const nameProblem = (name) => {
+  if (typeof name !== 'string' || !name.trim()) return 'List name is required';
+  if (name.trim().length > 50) return 'List name can be at most 50 characters';
+  if (name.trim().toLowerCase() === SAVED_FOR_LATER.toLowerCase()) return `"${SAVED_FOR_LATER}" is reserved`;
+  return null;
+};
+
+const listNotFound = { ok: false, status: 404, message: 'List not found' };
+
+// Put a product on a list. Returns { ok: true, list } or an error result.
+const addToList = async (userId, listId, productId) => {
+  const list = await wishlistRepository.findById(listId, userId);
+  if (!list) return listNotFound;
+
+  const product = await productRepository.findActiveById(productId);
+  if (!product) {
+    return { ok: false, status: 404, message: 'Product not found' };
+  }
+
+  const items = withItem(list.items, product);
+  if (items.length > MAX_ITEMS_PER_LIST) {
+    return { ok: false, status: 400, message: `A list can hold up to ${MAX_ITEMS_PER_LIST} items` };
+  }
+
+  return { ok: true, list: await wishlistRepository.saveItems(list._id, userId, items) };
+};
+
+// Move a cart line onto a list, or onto "Saved for later" when listId is
+// left out. The cart and the list change together or not at all.
+// Returns { ok: true, list, cart } or an error result.
+const moveCartItemToList = async (userId, productId, listId) => {
+  const owner = { userId };
+
+  try {
+    return await transaction(async () => {
+      const cart = await cartRepository.findByOwner(owner);
+      const cartItem = cart && cart.items.find(sameProduct(productId));
+      if (!cartItem) {
+        return { ok: false, status: 404, message: 'Item not found in cart' };
+      }
+
+      const list = listId
+        ? await wishlistRepository.findById(listId, userId)
+        : await wishlistRepository.getOrCreateSavedForLater(userId, SAVED_FOR_LATER);
+      if (!list) return listNotFound;
+
+      // Saved at the price the customer saw in their cart
+      const product = {
+        _id: cartItem.productId,
+        name: cartItem.name,
+        image: cartItem.image,
+        price: cartItem.price
+      };
+      // Already on the list: the cart's units join the saved ones, which
+      // keep their original saved price
+      const saved = list.items.find(sameProduct(productId));
+      const items = saved
+        ? list.items.map(item => (item === saved
+          ? { ...item, quantity: (item.quantity || 1) + cartItem.quantity }
+          : item))
+        : withItem(list.items, product, cartItem.quantity);
+      if (items.length > MAX_ITEMS_PER_LIST) {
+        return { ok: false, status: 400, message: `A list can hold up to ${MAX_ITEMS_PER_LIST} items` };
+      }
+
+      const savedList = await wishlistRepository.saveItems(list._id, userId, items);
+      const savedCart = await cartRepository.saveItems(owner, cart.items.filter(item => !sameProduct(productId)(item)));
+      return { ok: true, list: savedList, cart: savedCart };
+    });
+  } catch (err) {
+    if (err.code === 11000) {
+      return { ok: false, status: 409, message: `Rename your list called "${SAVED_FOR_LATER}" to use save for later` };
+    }
+    throw err;
+  }
+};
+
+// Move a list item into the cart at today's price, adding to any quantity
+// already there. `quantity` defaults to what was saved.
+// Returns { ok: true, list, cart } or an error result.
+const moveListItemToCart = (userId, listId, productId, quantity) => transaction(async () => {
+  const owner = { userId };
+  const list = await wishlistRepository.findById(listId, userId);
+  if (!list) return listNotFound;
+
+  const listItem = list.items.find(sameProduct(productId));
+  if (!listItem) {
+    return { ok: false, status: 404, message: 'Item not found in list' };
+  }
+
+  const wanted = quantity === undefined ? listItem.quantity || 1 : Number(quantity);
+  if (!Number.isInteger(wanted) || wanted < 1) {
+    return { ok: false, status: 400, message: 'Quantity must be a whole number of at least 1' };
+  }
+
+  const product = await productRepository.findActiveById(productId);
+  if (!product) {
+    return { ok: false, status: 400, message: `${listItem.name} is no longer available` };
+  }
+
+  const cart = await cartRepository.getOrCreate(owner);
+  const cartItems = cart.items.map(item => ({ ...item }));
+  const existing = cartItems.find(sameProduct(productId));
+  const total = (existing ? existing.quantity : 0) + wanted;
+
+  if (total > product.stock) {
+    return {
+      ok: false,
+      status: 400,
+      message: product.stock > 0
+        ? `Only ${product.stock} of ${product.name} available`
+        : `${product.name} is out of stock`,
+      available: product.stock
+    };
+  }
+
+  if (existing) {
+    existing.quantity = total;
+  } else {
+    cartItems.push({
+      productId: String(product._id),
+      name: product.name,
+      price: product.price,
+      image: product.image,
+      quantity: wanted,
+      addedAt: new Date()
+    });
+  }
+
+  const savedCart = await cartRepository.saveItems(owner, cartItems);
+  const savedList = await wishlistRepository.saveItems(list._id, userId, list.items.filter(item => !sameProduct(productId)(item)));
+  return { ok: true, list: savedList, cart: savedCart };
+});
+
+module.exports = {
+  SAVED_FOR_LATER,
+  MAX_LISTS,
+  presentList,
+  presentLists,
+  nameProblem,
+  addToList,
+  moveCartItemToList,
+  moveListItemToCart
+};
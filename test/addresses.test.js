@@ -0,0 +1,91 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.SERVICE_ZONES = JSON.stringify({ central: ['600001', '600002'], suburbs: ['6001*'] });
+
+const { startServer } = require('./helpers');
+
+describe('address book and service zones', () => {
+  let api;
+  let admin;
+  let product;
+
+  before(async () => {
+    api = await startServer();
+    admin = await api.registerUser({ role: 'admin' });
+    product = await api.createProduct(admin, { name: 'Paneer', category: 'dairy', price: 90, stock: 20 });
+  });
+
+  after(() => {
+    delete process.env.SERVICE_ZONES;
+    return api.close();
+  });
+
+  const home = { label: 'Home', line1: '5 Lake View', city: 'Chennai', pincode: '600002', phone: '98765 43210' };
+  const items = () => [{ productId: product._id, quantity: 1 }];
+
+  const save = (customer, address) => api.request('POST', '/addresses', { token: customer.token, body: address });
+
+  it('keeps exactly one default and flags addresses outside the service area', async () => {
+    const customer = await api.registerUser();
+
+    const first = await save(customer, home);
+    assert.equal(first.status, 201);
+    assert.equal(first.body.address.isDefault, true);
+    assert.equal(first.body.address.phone, '9876543210');
+
+    const far = await save(customer, { line1: '1 Hill Road', city: 'Ooty', pincode: '643001', isDefault: true });
+    assert.equal(far.body.address.serviceable, false);
+    assert.deepEqual(far.body.addresses.map(address => address.isDefault), [false, true]);
+
+    // Removing the default hands it to what is left
+    const removed = await api.request('DELETE', `/addresses/${far.body.address._id}`, { token: customer.token });
+    assert.deepEqual(removed.body.addresses.map(address => [address.label, address.isDefault]), [['Home', true]]);
+  });
+
+  it('rejects an address with a bad pincode', async () => {
+    const customer = await api.registerUser();
+    const { status, body } = await save(customer, { ...home, pincode: '6000' });
+
+    assert.equal(status, 400);
+    assert.equal(body.message, 'Pincode must be 6 digits');
+  });
+
+  it('orders to a saved address with a snapshot and its zone, and refuses pincodes outside every zone', async () => {
+    const customer = await api.registerUser();
+    const saved = (await save(customer, home)).body.address;
+
+    const placed = await api.placeOrder(customer, items(), { deliveryAddress: undefined, addressId: saved._id });
+    assert.equal(placed.status, 201);
+    assert.equal(placed.body.order.address.zone, 'central');
+    assert.equal(placed.body.order.address.label, 'Home');
+    assert.equal(placed.body.order.deliveryAddress, '5 Lake View, Chennai 600002');
+
+    const suburb = await api.placeOrder(customer, items(), { deliveryAddress: { line1: '9 Main Road', city: 'Avadi', pincode: '600123' } });
+    assert.equal(suburb.body.order.address.zone, 'suburbs');
+
+    const outside = await api.placeOrder(customer, items(), { deliveryAddress: { line1: '1 Hill Road', city: 'Ooty', pincode: '643001' } });
+    assert.equal(outside.status, 400);
+    assert.equal(outside.body.message, "Sorry, we don't deliver to pincode 643001 yet");
+  });
+
+  it('lets staff correct an order address within its zone, keeping its address book link', async () => {
+    const customer = await api.registerUser();
+    const saved = (await save(customer, home)).body.address;
+    const { body } = await api.placeOrder(customer, items(), { deliveryAddress: undefined, addressId: saved._id });
+
+    const correct = (deliveryAddress) => api.request('PUT', `/admin/orders/${body.order.id}`, {
+      token: admin.token,
+      body: { deliveryAddress }
+    });
+
+    const moved = await correct({ line1: '5A Lake View', city: 'Chennai', pincode: '600001' });
+    assert.equal(moved.status, 200);
+    assert.equal(moved.body.order.address.line1, '5A Lake View');
+    assert.equal(String(moved.body.order.address.addressId), String(saved._id));
+    assert.equal(moved.body.order.address.label, 'Home');
+
+    const otherZone = await correct({ line1: '9 Main Road', city: 'Avadi', pincode: '600123' });
+    assert.equal(otherZone.status, 400);
+  });
+});
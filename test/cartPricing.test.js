@@ -0,0 +1,63 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { repositories, startServer } = require('./helpers');
+
+describe('catalog prices on carts and orders', () => {
+  let api;
+  let admin;
+
+  before(async () => {
+    api = await startServer();
+    admin = await api.registerUser({ role: 'admin' });
+  });
+
+  after(() => api.close());
+
+  const setPrice = (product, price) => api.request('PUT', `/admin/products/${product._id}`, {
+    token: admin.token,
+    body: { price }
+  });
+
+  it('ignores a price sent with a cart line', async () => {
+    const product = await api.createProduct(admin, { name: 'Honey', category: 'pantry', price: 180, stock: 10 });
+    const customer = await api.registerUser();
+
+    const { status, body } = await api.request('POST', '/cart', {
+      token: customer.token,
+      body: { productId: product._id, quantity: 2, price: 1 }
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.items[0].price, 180);
+  });
+
+  it('reprices the cart from the catalog and reports what moved', async () => {
+    const product = await api.createProduct(admin, { name: 'Oats', category: 'pantry', price: 90, stock: 10 });
+    const customer = await api.registerUser();
+    await api.request('POST', '/cart', { token: customer.token, body: { productId: product._id } });
+
+    await setPrice(product, 110);
+    const { body } = await api.request('GET', '/cart', { token: customer.token });
+
+    assert.equal(body.items[0].price, 110);
+    assert.deepEqual(body.priceChanges, [{ productId: product._id, name: 'Oats', previousPrice: 90, currentPrice: 110 }]);
+  });
+
+  it('asks for confirmation before ordering at a price the customer has not seen', async () => {
+    const product = await api.createProduct(admin, { name: 'Ghee', category: 'pantry', price: 300, stock: 10 });
+    const customer = await api.registerUser();
+    await api.request('POST', '/cart', { token: customer.token, body: { productId: product._id } });
+    await setPrice(product, 320);
+
+    const items = [{ productId: product._id, quantity: 1, price: 5 }];
+    const stale = await api.placeOrder(customer, items);
+    assert.equal(stale.status, 409);
+    assert.deepEqual(stale.body.priceChanges.map(change => change.currentPrice), [320]);
+    assert.equal((await repositories.products.findById(product._id)).stock, 10);
+
+    // The cart now shows the new price, so a second attempt goes through at it
+    const placed = await api.placeOrder(customer, items);
+    assert.equal(placed.status, 201);
+    assert.equal(placed.body.order.items[0].price, 320);
+  });
+});
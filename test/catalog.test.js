@@ -0,0 +1,62 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+describe('product catalog', () => {
+  let api;
+  let products;
+
+  before(async () => {
+    api = await startServer();
+    const admin = await api.registerUser({ role: 'admin' });
+    products = {
+      apples: await api.createProduct(admin, { name: 'Apples', category: 'produce', price: 120, stock: 10, description: 'Crisp red apples' }),
+      bananas: await api.createProduct(admin, { name: 'Bananas', category: 'produce', price: 40, stock: 0 }),
+      cheese: await api.createProduct(admin, { name: 'Cheese', category: 'dairy', price: 250, stock: 5 }),
+      milk: await api.createProduct(admin, { name: 'Milk', category: 'dairy', price: 30, stock: 20 }),
+      retired: await api.createProduct(admin, { name: 'Old Bread', category: 'bakery', price: 20, stock: 3 })
+    };
+    await api.request('DELETE', `/admin/products/${products.retired._id}`, { token: admin.token });
+  });
+
+  after(() => api.close());
+
+  const names = (body) => body.products.map(product => product.name);
+
+  const list = async (query) => {
+    const { status, body } = await api.request('GET', `/products?${new URLSearchParams(query)}`);
+    assert.equal(status, 200);
+    return body;
+  };
+
+  it('lists active products by name and leaves deactivated ones out', async () => {
+    assert.deepEqual(names(await list({})), ['Apples', 'Bananas', 'Cheese', 'Milk']);
+
+    const retired = await api.request('GET', `/products/${products.retired._id}`);
+    assert.equal(retired.status, 404);
+  });
+
+  it('filters by category, price range, stock and search text', async () => {
+    assert.deepEqual(names(await list({ category: 'dairy' })), ['Cheese', 'Milk']);
+    assert.deepEqual(names(await list({ minPrice: 40, maxPrice: 150 })), ['Apples', 'Bananas']);
+    assert.deepEqual(names(await list({ category: 'produce', inStock: 'true' })), ['Apples']);
+    assert.deepEqual(names(await list({ q: 'crisp' })), ['Apples']);
+  });
+
+  it('pages through a sort with a cursor, without repeats or gaps', async () => {
+    const first = await list({ sort: 'price_desc', limit: 3 });
+    assert.deepEqual(names(first), ['Cheese', 'Apples', 'Bananas']);
+    assert.equal(first.hasMore, true);
+
+    const second = await list({ sort: 'price_desc', limit: 3, cursor: first.nextCursor });
+    assert.deepEqual(names(second), ['Milk']);
+    assert.equal(second.hasMore, false);
+    assert.equal(second.nextCursor, null);
+  });
+
+  it('rejects a bad sort, limit or cursor', async () => {
+    assert.equal((await api.request('GET', '/products?sort=popular')).status, 400);
+    assert.equal((await api.request('GET', '/products?limit=0')).status, 400);
+    assert.equal((await api.request('GET', '/products?cursor=nonsense')).status, 400);
+  });
+});
@@ -0,0 +1,118 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { repositories, startServer, deliveryAddress } = require('./helpers');
+
+describe('checkout rollback', () => {
+  let api;
+  let admin;
+
+  before(async () => {
+    api = await startServer();
+    admin = await api.registerUser({ role: 'admin' });
+  });
+
+  after(() => api.close());
+
+  afterEach(() => mock.restoreAll());
+
+  // A fresh customer with `lines` ([product, quantity]) in their cart
+  const customerWithCart = async (lines) => {
+    const customer = await api.registerUser();
+    for (const [product, quantity] of lines) {
+      const { status } = await api.request('POST', '/cart', {
+        token: customer.token,
+        body: { productId: product._id, quantity }
+      });
+      assert.equal(status, 200);
+    }
+    return customer;
+  };
+
+  const checkout = (customer, slot) => api.request('POST', '/checkout', {
+    token: customer.token,
+    body: { deliverySlotId: slot.id, deliveryAddress, paymentMethod: 'cash' }
+  });
+
+  const stockOf = async (product) => (await repositories.products.findById(product._id)).stock;
+
+  const remainingIn = async (slot) => (await api.availableSlots()).find(candidate => candidate.id === slot.id).remaining;
+
+  // Everything checkout touches, to compare before and after a failure
+  const snapshot = async (customer, products, slot) => ({
+    stock: await Promise.all(products.map(stockOf)),
+    slotRemaining: await remainingIn(slot),
+    cart: (await api.request('GET', '/cart', { token: customer.token })).body.items
+      .map(item => [item.productId, item.quantity]),
+    orders: await repositories.orders.countByUser(customer.user._id)
+  });
+
+  it('keeps stock, slot and cart untouched when a later line is out of stock', async () => {
+    const plenty = await api.createProduct(admin, { name: 'Rice', category: 'grains', price: 60, stock: 10 });
+    const scarce = await api.createProduct(admin, { name: 'Saffron', category: 'spices', price: 300, stock: 2 });
+    const [slot] = await api.availableSlots();
+    const customer = await customerWithCart([[plenty, 3], [scarce, 2]]);
+    await repositories.products.update(scarce._id, { stock: 1 });
+
+    const before = await snapshot(customer, [plenty, scarce], slot);
+    const { status, body } = await checkout(customer, slot);
+
+    assert.equal(status, 409);
+    assert.equal(body.errors[0].code, 'insufficient_stock');
+    assert.deepEqual(await snapshot(customer, [plenty, scarce], slot), before);
+  });
+
+  it('puts the stock back when the delivery slot is full', async () => {
+    const product = await api.createProduct(admin, { name: 'Milk', category: 'dairy', price: 30, stock: 10 });
+    const slot = (await api.availableSlots())[1];
+    const customer = await customerWithCart([[product, 4]]);
+
+    // Someone else takes the window's only place
+    await repositories.deliverySlots.reserve({ ...slot, capacity: 1 });
+
+    const before = await snapshot(customer, [product], slot);
+    const { status, body } = await checkout(customer, slot);
+
+    assert.equal(status, 409);
+    assert.match(body.message, /fully booked/);
+    assert.deepEqual(await snapshot(customer, [product], slot), before);
+    assert.equal(await stockOf(product), 10);
+  });
+
+  it('puts the stock and slot back when the coupon runs out at redemption', async () => {
+    const product = await api.createProduct(admin, { name: 'Coffee', category: 'beverages', price: 200, stock: 10 });
+    const [slot] = await api.availableSlots();
+    const created = await api.request('POST', '/admin/coupons', {
+      token: admin.token,
+      body: { code: 'LASTONE', type: 'fixed', value: 50, usageLimit: 1 }
+    });
+    assert.equal(created.status, 201);
+
+    const customer = await customerWithCart([[product, 2]]);
+    const applied = await api.request('POST', '/cart/coupon', { token: customer.token, body: { code: 'LASTONE' } });
+    assert.equal(applied.status, 200);
+
+    // Another order takes the last use between the check and the redemption
+    mock.method(repositories.coupons, 'claimUse', async () => null);
+
+    const before = await snapshot(customer, [product], slot);
+    const { status, body } = await checkout(customer, slot);
+
+    assert.equal(status, 409);
+    assert.equal(body.coupon, 'LASTONE');
+    assert.deepEqual(await snapshot(customer, [product], slot), before);
+  });
+
+  it('takes stock and a slot place when the order goes through', async () => {
+    const product = await api.createProduct(admin, { name: 'Tea', category: 'beverages', price: 100, stock: 5 });
+    const [slot] = await api.availableSlots();
+    const customer = await customerWithCart([[product, 2]]);
+    const slotBefore = await remainingIn(slot);
+
+    const { status, body } = await checkout(customer, slot);
+
+    assert.equal(status, 201);
+    assert.equal(body.order.status, 'confirmed');
+    assert.equal(await stockOf(product), 3);
+    assert.equal(await remainingIn(slot), slotBefore - 1);
+  });
+});
@@ -0,0 +1,104 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+const { calculateDiscount } = require('../services/promotions');
+
+const coupon = (fields) => ({ code: 'TEST', isActive: true, ...fields });
+
+const products = new Map([
+  ['tea', { _id: 'tea', category: 'beverages' }],
+  ['rice', { _id: 'rice', category: 'grains' }]
+]);
+
+const lines = [
+  { productId: 'tea', price: 150, quantity: 2 },
+  { productId: 'rice', price: 50, quantity: 2 }
+];
+
+describe('coupon discounts', () => {
+  it('spreads a fixed amount over the lines by value', () => {
+    const { discount } = calculateDiscount(coupon({ type: 'fixed', value: 100 }), lines, products);
+
+    assert.equal(discount.amount, 100);
+    assert.deepEqual(discount.lines, [{ productId: 'tea', amount: 75 }, { productId: 'rice', amount: 25 }]);
+  });
+
+  it('caps a percentage at maxDiscount and keeps the lines adding up', () => {
+    const { discount } = calculateDiscount(coupon({ type: 'percentage', value: 10, maxDiscount: 30 }), lines, products);
+
+    assert.equal(discount.amount, 30);
+    assert.deepEqual(discount.lines, [{ productId: 'tea', amount: 22.5 }, { productId: 'rice', amount: 7.5 }]);
+  });
+
+  it('gives whole free units for buy X get Y', () => {
+    const items = [{ productId: 'rice', price: 50, quantity: 7 }];
+    const { discount } = calculateDiscount(coupon({ type: 'buy_x_get_y', buyQuantity: 2, freeQuantity: 1 }), items, products);
+
+    assert.equal(discount.amount, 100);
+  });
+
+  it('only discounts lines in the coupon\'s categories', () => {
+    const { discount } = calculateDiscount(coupon({ type: 'percentage', value: 20, categories: ['grains'] }), lines, products);
+    assert.deepEqual(discount.lines, [{ productId: 'rice', amount: 20 }]);
+
+    const none = calculateDiscount(coupon({ type: 'percentage', value: 20, categories: ['dairy'] }), lines, products);
+    assert.equal(none.ok, false);
+  });
+
+  it('refuses a coupon outside its dates or below its minimum', () => {
+    const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000);
+
+    const expired = calculateDiscount(coupon({ type: 'fixed', value: 10, endsAt: yesterday }), lines, products);
+    assert.equal(expired.message, 'Coupon TEST has expired');
+
+    const small = calculateDiscount(coupon({ type: 'fixed', value: 10, minOrderValue: 500 }), lines, products);
+    assert.equal(small.message, 'Coupon TEST needs an order of at least 500');
+  });
+});
+
+describe('coupons on carts and orders', () => {
+  let api;
+  let admin;
+  let product;
+
+  before(async () => {
+    api = await startServer();
+    admin = await api.registerUser({ role: 'admin' });
+    product = await api.createProduct(admin, { name: 'Basmati', category: 'grains', price: 100, stock: 50 });
+    const created = await api.request('POST', '/admin/coupons', {
+      token: admin.token,
+      body: { code: 'ONCE20', type: 'percentage', value: 20, perUserLimit: 1 }
+    });
+    assert.equal(created.status, 201);
+  });
+
+  after(() => api.close());
+
+  const orderWithCoupon = async (customer) => {
+    await api.request('POST', '/cart', { token: customer.token, body: { productId: product._id, quantity: 2 } });
+    const applied = await api.request('POST', '/cart/coupon', { token: customer.token, body: { code: 'once20' } });
+    if (applied.status !== 200) return applied;
+    return api.placeOrder(customer, [{ productId: product._id, quantity: 2 }]);
+  };
+
+  it('records the discount on the order, line by line', async () => {
+    const customer = await api.registerUser();
+    const { status, body } = await orderWithCoupon(customer);
+
+    assert.equal(status, 201);
+    assert.equal(body.order.subtotal, 200);
+    assert.equal(body.order.discountTotal, 40);
+    assert.deepEqual(body.order.discounts.map(discount => [discount.code, discount.lines]), [
+      ['ONCE20', [{ productId: product._id, amount: 40 }]]
+    ]);
+  });
+
+  it('holds each customer to the per-user limit', async () => {
+    const customer = await api.registerUser();
+    assert.equal((await orderWithCoupon(customer)).status, 201);
+
+    const second = await orderWithCoupon(customer);
+    assert.equal(second.status, 400);
+    assert.equal(second.body.message, 'You have already used coupon ONCE20');
+  });
+});
@@ -0,0 +1,71 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+// One small window a day, so it fills up quickly
+process.env.DELIVERY_SLOTS = JSON.stringify([{ start: '10:00', end: '12:00', capacity: 2 }]);
+
+const { repositories, startServer } = require('./helpers');
+
+describe('delivery slots', () => {
+  let api;
+  let admin;
+  let product;
+
+  before(async () => {
+    api = await startServer();
+    admin = await api.registerUser({ role: 'admin' });
+    product = await api.createProduct(admin, { name: 'Curd', category: 'dairy', price: 35, stock: 50 });
+  });
+
+  after(() => {
+    delete process.env.DELIVERY_SLOTS;
+    return api.close();
+  });
+
+  const items = () => [{ productId: product._id, quantity: 1 }];
+
+  const remainingIn = async (slot) => (await api.availableSlots()).find(candidate => candidate.id === slot.id).remaining;
+
+  it('lists upcoming windows with the places left in each', async () => {
+    const slots = await api.availableSlots();
+
+    assert.ok(slots.length > 0);
+    slots.forEach(slot => {
+      assert.equal(slot.label, '10:00–12:00');
+      assert.ok(new Date(slot.start) > new Date());
+      assert.equal(slot.remaining, 2);
+    });
+  });
+
+  it('books a place with each order until the window is full', async () => {
+    const [slot] = await api.availableSlots();
+    const first = await api.registerUser();
+    const second = await api.registerUser();
+    const third = await api.registerUser();
+
+    assert.equal((await api.placeOrder(first, items(), { deliverySlotId: slot.id })).status, 201);
+    assert.equal(await remainingIn(slot), 1);
+
+    const booked = await api.placeOrder(second, items(), { deliverySlotId: slot.id });
+    assert.equal(booked.status, 201);
+    assert.equal(booked.body.order.deliverySlot.id, slot.id);
+    assert.equal(await remainingIn(slot), 0);
+
+    const stockBefore = (await repositories.products.findById(product._id)).stock;
+    const full = await api.placeOrder(third, items(), { deliverySlotId: slot.id });
+    assert.equal(full.status, 409);
+    assert.match(full.body.message, /fully booked/);
+    assert.equal((await repositories.products.findById(product._id)).stock, stockBefore);
+
+    // Cancelling gives the place back
+    await api.request('PUT', `/orders/${booked.body.order.id}/cancel`, { token: second.token, body: {} });
+    assert.equal(await remainingIn(slot), 1);
+  });
+
+  it('refuses a window it does not offer', async () => {
+    const customer = await api.registerUser();
+
+    const { status } = await api.placeOrder(customer, items(), { deliverySlotId: '2020-01-01@10:00' });
+    assert.equal(status, 400);
+  });
+});
@@ -0,0 +1,76 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, waitFor } = require('./helpers');
+const { setTransport } = require('../services/mailer');
+const { dispatchDue } = require('../services/notifications');
+
+describe('email verification', () => {
+  let api;
+  let admin;
+  const mail = [];
+
+  before(async () => {
+    api = await startServer();
+    setTransport({ send: async (message) => { mail.push(message); } });
+    admin = await api.registerUser({ role: 'admin' });
+  });
+
+  after(() => {
+    delete process.env.REQUIRE_VERIFIED_EMAIL_FOR_ORDERS;
+    return api.close();
+  });
+
+  // The verification link most recently mailed to `to`, as a path under /api
+  const verificationLink = async (to) => {
+    await dispatchDue();
+    return waitFor(() => {
+      const message = mail.filter(sent => sent.to === to && /confirm/i.test(sent.subject)).pop();
+      if (!message) return null;
+      const url = new URL(message.text.match(/https?:\/\/\S+verify-email\S*/)[0]);
+      return url.pathname.replace(/^\/api/, '') + url.search;
+    });
+  };
+
+  const profile = async (customer) => (await api.request('GET', '/protected', { token: customer.token })).body.user;
+
+  it('mails a link at registration that marks the address verified', async () => {
+    const customer = await api.registerUser();
+    assert.equal((await profile(customer)).emailVerified, false);
+
+    const { status, body } = await api.request('GET', await verificationLink(customer.user.email));
+
+    assert.equal(status, 200);
+    assert.equal(body.user.emailVerified, true);
+    assert.equal((await profile(customer)).emailVerified, true);
+  });
+
+  it('rejects a link that was tampered with', async () => {
+    const customer = await api.registerUser();
+    const link = await verificationLink(customer.user.email);
+
+    const { status, body } = await api.request('GET', `${link}x`);
+    assert.equal(status, 400);
+    assert.equal(body.message, 'Invalid verification link');
+  });
+
+  it('waits between resends', async () => {
+    const customer = await api.registerUser();
+
+    const resend = await api.request('POST', '/verify-email/resend', { token: customer.token });
+    assert.equal(resend.status, 429);
+  });
+
+  it('can hold back orders until the address is verified', async () => {
+    process.env.REQUIRE_VERIFIED_EMAIL_FOR_ORDERS = 'true';
+    const product = await api.createProduct(admin, { name: 'Butter', category: 'dairy', price: 55, stock: 5 });
+    const customer = await api.registerUser();
+    const items = [{ productId: product._id, quantity: 1 }];
+
+    const blocked = await api.placeOrder(customer, items);
+    assert.equal(blocked.status, 403);
+    assert.equal(blocked.body.code, 'EMAIL_NOT_VERIFIED');
+
+    await api.request('GET', await verificationLink(customer.user.email));
+    assert.equal((await api.placeOrder(customer, items)).status, 201);
+  });
+});
@@ -0,0 +1,76 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+describe('guest carts', () => {
+  let api;
+  let admin;
+  let flour;
+  let sugar;
+
+  before(async () => {
+    api = await startServer();
+    admin = await api.registerUser({ role: 'admin' });
+    flour = await api.createProduct(admin, { name: 'Flour', category: 'grains', price: 50, stock: 10 });
+    sugar = await api.createProduct(admin, { name: 'Sugar', category: 'grains', price: 45, stock: 4 });
+  });
+
+  after(() => api.close());
+
+  const startGuestCart = async (lines) => {
+    const { status, body } = await api.request('POST', '/cart/guest');
+    assert.equal(status, 201);
+    const headers = { 'X-Guest-Token': body.guestToken };
+    for (const [product, quantity] of lines) {
+      const added = await api.request('POST', '/cart', { headers, body: { productId: product._id, quantity } });
+      assert.equal(added.status, 200);
+    }
+    return headers;
+  };
+
+  const cartOf = async (customer) => (await api.request('GET', '/cart', { token: customer.token })).body.items
+    .map(item => [item.name, item.quantity]);
+
+  it('keeps a cart for a visitor with a guest token and refuses a forged one', async () => {
+    const headers = await startGuestCart([[flour, 2]]);
+
+    const { body } = await api.request('GET', '/cart', { headers });
+    assert.deepEqual(body.items.map(item => [item.name, item.quantity]), [['Flour', 2]]);
+
+    const forged = await api.request('GET', '/cart', { headers: { 'X-Guest-Token': 'not-a-token' } });
+    assert.equal(forged.status, 401);
+  });
+
+  it('moves the guest cart into the account on registration', async () => {
+    const headers = await startGuestCart([[flour, 1]]);
+
+    const { status, body } = await api.request('POST', '/register', {
+      headers,
+      body: { name: 'Guest Shopper', email: 'guest.shopper@example.com', password: 'secret123' }
+    });
+
+    assert.equal(status, 201);
+    assert.deepEqual(await cartOf({ token: body.token }), [['Flour', 1]]);
+
+    // The guest cart is gone once merged
+    const after = await api.request('GET', '/cart', { headers });
+    assert.deepEqual(after.body.items, []);
+  });
+
+  it('adds up products in both carts on login, capped at stock', async () => {
+    const customer = await api.registerUser();
+    await api.request('POST', '/cart', { token: customer.token, body: { productId: sugar._id, quantity: 3 } });
+    const headers = await startGuestCart([[sugar, 2], [flour, 1]]);
+
+    const { status, body } = await api.request('POST', '/login', {
+      headers,
+      body: { email: customer.user.email, password: customer.password }
+    });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.guestCart.adjustments.map(adjustment => [adjustment.name, adjustment.reason, adjustment.quantity]), [
+      ['Sugar', 'limited_stock', 4]
+    ]);
+    assert.deepEqual(await cartOf(customer), [['Sugar', 4], ['Flour', 1]]);
+  });
+});
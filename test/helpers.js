@@ -0,0 +1,100 @@
+// Shared setup for the API tests. Each test file runs in its own process
+// under `node --test`, so every file gets a fresh in-memory store.
+process.env.DATA_STORE = 'memory';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.NODE_ENV = 'test';
+
+const { once } = require('events');
+const { setTransport } = require('../services/mailer');
+const app = require('../server');
+const repositories = require('../repositories');
+
+// Keep verification and reset mail out of the test output
+setTransport({ send: async () => {} });
+
+const deliveryAddress = { line1: '12 Market Road', city: 'Chennai', pincode: '600001', phone: '9876543210' };
+
+const startServer = async () => {
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const base = `http://127.0.0.1:${server.address().port}/api`;
+
+  // Returns { status, headers, body } with body parsed as JSON when it is
+  const request = async (method, path, { body, token, headers = {} } = {}) => {
+    const response = await fetch(base + path, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...headers
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    let parsed = text;
+    try {
+      parsed = JSON.parse(text);
+    } catch (err) {
+      // Not JSON, e.g. a PDF; keep the text
+    }
+    return { status: response.status, headers: response.headers, body: parsed };
+  };
+
+  let accounts = 0;
+
+  // Register through the API; `role` is then set directly in the store.
+  // Returns { user, token, refreshToken, password }.
+  const registerUser = async ({ role, password = 'secret123' } = {}) => {
+    accounts += 1;
+    const email = `user${accounts}@example.com`;
+    const { status, body } = await request('POST', '/register', {
+      body: { name: `Test User ${accounts}`, email, password }
+    });
+    if (status !== 201) throw new Error(`Registration failed: ${status} ${JSON.stringify(body)}`);
+
+    if (role) await repositories.users.update(body.user.id, { role });
+    const user = await repositories.users.findByEmail(email);
+    return { user, token: body.token, refreshToken: body.refreshToken, password };
+  };
+
+  const createProduct = async (admin, fields) => {
+    const { status, body } = await request('POST', '/admin/products', { token: admin.token, body: fields });
+    if (status !== 201) throw new Error(`Product creation failed: ${status} ${JSON.stringify(body)}`);
+    return body.product;
+  };
+
+  const availableSlots = async () => (await request('GET', '/delivery-slots')).body.slots;
+
+  // POST /orders for `items` ([{ productId, quantity }]), paid in cash and
+  // delivered in the first open slot unless `fields` say otherwise
+  const placeOrder = async (customer, items, fields = {}) => {
+    const [slot] = await availableSlots();
+    return request('POST', '/orders', {
+      token: customer.token,
+      body: { items, deliverySlotId: slot.id, deliveryAddress, paymentMethod: 'cash', ...fields }
+    });
+  };
+
+  const close = () => new Promise(resolve => server.close(resolve));
+
+  return { base, request, registerUser, createProduct, availableSlots, placeOrder, close };
+};
+
+// Poll until `check` returns something truthy, for work that finishes
+// after the response has been sent
+const waitFor = async (check, { timeout = 2000, interval = 20 } = {}) => {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const result = await check();
+    if (result) return result;
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, interval));
+  }
+};
+
+module.exports = {
+  repositories,
+  startServer,
+  waitFor,
+  deliveryAddress
+};
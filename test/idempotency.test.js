@@ -0,0 +1,78 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { repositories, startServer, deliveryAddress } = require('./helpers');
+
+describe('Idempotency-Key on POST /api/orders', () => {
+  let api;
+  let customer;
+  let product;
+  let slot;
+
+  before(async () => {
+    api = await startServer();
+    const admin = await api.registerUser({ role: 'admin' });
+    customer = await api.registerUser();
+    product = await api.createProduct(admin, { name: 'Bread', category: 'bakery', price: 40, stock: 20 });
+    [slot] = await api.availableSlots();
+  });
+
+  after(() => api.close());
+
+  const placeOrder = (key, quantity) => api.request('POST', '/orders', {
+    token: customer.token,
+    headers: { 'Idempotency-Key': key },
+    body: {
+      items: [{ productId: product._id, quantity }],
+      deliverySlotId: slot.id,
+      deliveryAddress,
+      paymentMethod: 'cash'
+    }
+  });
+
+  const stock = async () => (await repositories.products.findById(product._id)).stock;
+
+  it('replays the first response for a retry instead of ordering twice', async () => {
+    const first = await placeOrder('order-attempt-1', 2);
+    assert.equal(first.status, 201);
+    assert.equal(first.headers.get('idempotent-replayed'), null);
+
+    const retry = await placeOrder('order-attempt-1', 2);
+    assert.equal(retry.status, 201);
+    assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+    assert.deepEqual(retry.body, first.body);
+
+    assert.equal(await stock(), 18);
+    assert.equal(await repositories.orders.countByUser(customer.user._id), 1);
+  });
+
+  it('refuses a key reused for a different request', async () => {
+    const first = await placeOrder('order-attempt-2', 1);
+    assert.equal(first.status, 201);
+    const stockAfterFirst = await stock();
+
+    const reused = await placeOrder('order-attempt-2', 3);
+    assert.equal(reused.status, 409);
+    assert.equal(reused.body.code, 'IDEMPOTENCY_KEY_REUSED');
+    assert.equal(await stock(), stockAfterFirst);
+  });
+
+  it('keeps keys apart between customers', async () => {
+    const other = await api.registerUser();
+    const mine = await placeOrder('shared-key', 1);
+    const theirs = await api.request('POST', '/orders', {
+      token: other.token,
+      headers: { 'Idempotency-Key': 'shared-key' },
+      body: {
+        items: [{ productId: product._id, quantity: 1 }],
+        deliverySlotId: slot.id,
+        deliveryAddress,
+        paymentMethod: 'cash'
+      }
+    });
+
+    assert.equal(mine.status, 201);
+    assert.equal(theirs.status, 201);
+    assert.equal(theirs.headers.get('idempotent-replayed'), null);
+    assert.notEqual(theirs.body.order.id, mine.body.order.id);
+  });
+});
@@ -0,0 +1,89 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { repositories, startServer } = require('./helpers');
+
+describe('invoices', () => {
+  let api;
+  let admin;
+  let customer;
+  let rice;
+
+  before(async () => {
+    api = await startServer();
+    admin = await api.registerUser({ role: 'admin' });
+    customer = await api.registerUser();
+    rice = await api.createProduct(admin, { name: 'Rice', category: 'grains', price: 70, stock: 100 });
+  });
+
+  after(() => api.close());
+
+  const cashOrder = async () => {
+    const { status, body } = await api.placeOrder(customer, [{ productId: rice._id, quantity: 1 }]);
+    assert.equal(status, 201);
+    return body.order;
+  };
+
+  const invoiceFor = (order, format = 'json', token = customer.token) => api.request(
+    'GET',
+    `/orders/${order.id}/invoice?format=${format}`,
+    { token }
+  );
+
+  it('numbers invoices one after another, issuing each only once', async () => {
+    const first = await cashOrder();
+    const second = await cashOrder();
+
+    const { body: one } = await invoiceFor(first);
+    const { body: again } = await invoiceFor(first);
+    const { body: two } = await invoiceFor(second);
+
+    assert.equal(one.document.number, 'INV-000001');
+    assert.equal(again.document.number, 'INV-000001');
+    assert.equal(two.document.number, 'INV-000002');
+    // 70 plus 5% GST and the 40 delivery fee
+    assert.equal(one.document.total, 113.5);
+    assert.deepEqual(one.document.lines.map(line => [line.description, line.quantity, line.amount]), [['Rice', 1, 70]]);
+  });
+
+  it('spends no number when requests for a new invoice race', async () => {
+    const raced = await cashOrder();
+    const next = await cashOrder();
+
+    const responses = await Promise.all([1, 2, 3].map(() => invoiceFor(raced)));
+    assert.deepEqual(responses.map(response => response.status), [200, 200, 200]);
+    assert.deepEqual([...new Set(responses.map(response => response.body.document.number))], ['INV-000003']);
+
+    assert.equal((await invoiceFor(next)).body.document.number, 'INV-000004');
+    assert.equal((await repositories.invoices.findInvoiceForOrder(raced.id)).sequence, 3);
+  });
+
+  it('numbers credit notes in their own series', async () => {
+    const order = await cashOrder();
+    const { body: invoiced } = await invoiceFor(order);
+
+    await api.request('PUT', `/orders/${order.id}/cancel`, { token: customer.token, body: {} });
+
+    const { body } = await invoiceFor(order);
+    assert.equal(body.document.number, invoiced.document.number);
+    assert.deepEqual(body.creditNotes.map(note => [note.number, note.invoiceNumber, note.total]), [
+      ['CN-000001', invoiced.document.number, 113.5]
+    ]);
+  });
+
+  it('sends the invoice as a PDF download or a printable page, to its customer only', async () => {
+    const order = await cashOrder();
+
+    const pdf = await invoiceFor(order, 'pdf');
+    assert.equal(pdf.status, 200);
+    assert.match(pdf.headers.get('content-type'), /application\/pdf/);
+    assert.match(pdf.headers.get('content-disposition'), /^attachment; filename=".+\.pdf"$/);
+
+    const html = await invoiceFor(order, 'html');
+    assert.match(html.headers.get('content-type'), /text\/html/);
+
+    assert.equal((await invoiceFor(order, 'csv')).status, 400);
+
+    const stranger = await api.registerUser();
+    assert.equal((await invoiceFor(order, 'json', stranger.token)).status, 404);
+  });
+});
@@ -0,0 +1,86 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const { repositories, startServer } = require('./helpers');
+const { run } = require('../scripts/migrateLegacyData');
+
+describe('legacy data import', () => {
+  let api;
+  let dir;
+
+  before(async () => {
+    api = await startServer();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'freshmart-legacy-'));
+    const password = await bcrypt.hash('legacy-pass', 4);
+
+    const write = (name, data) => fs.writeFileSync(path.join(dir, name), JSON.stringify(data));
+    write('users.json', [
+      { id: 1001, name: 'Asha', email: 'asha@example.com', password, createdAt: '2025-07-26T05:24:27.004Z' },
+      { id: 1002, name: 'Asha Again', email: 'ASHA@example.com', password },
+      { id: 1003, name: 'No Password', email: 'nopass@example.com' }
+    ]);
+    write('carts.json', [
+      { userId: 1001, items: [{ productId: 7, name: 'Rice', price: 60, quantity: 2 }] },
+      { userId: 4040, items: [] }
+    ]);
+    write('orders.json', [{
+      id: 'FM1753507467',
+      userId: 1001,
+      items: [{ productId: 7, name: 'Rice', price: 60, quantity: 2 }],
+      totalAmount: 120,
+      deliveryAddress: '4 Old Street, Chennai',
+      paymentMethod: 'cash',
+      status: 'delivered'
+    }]);
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    return api.close();
+  });
+
+  // The command prints its report; keep it out of the test output
+  const migrate = (...args) => {
+    mock.method(console, 'log', () => {});
+    return run(['--dir', dir, ...args]).finally(() => mock.restoreAll());
+  };
+
+  it('reports what it would do on a dry run and writes nothing', async () => {
+    const report = await migrate('--dry-run');
+
+    assert.equal(report.users.imported, 1);
+    assert.deepEqual(report.users.duplicateEmail.map(entry => entry.id), [1002]);
+    assert.deepEqual(report.users.invalid.map(entry => entry.id), [1003]);
+    assert.equal(report.carts.imported, 1);
+    assert.deepEqual(report.carts.orphaned.map(entry => entry.userId), [4040]);
+    assert.equal(report.orders.imported, 1);
+    assert.equal(await repositories.users.findByEmail('asha@example.com'), null);
+  });
+
+  it('imports accounts that can log in with their old password, with their cart and orders', async () => {
+    const report = await migrate();
+    assert.equal(report.users.imported, 1);
+
+    const login = await api.request('POST', '/login', { body: { email: 'asha@example.com', password: 'legacy-pass' } });
+    assert.equal(login.status, 200);
+
+    const cart = await api.request('GET', '/cart', { token: login.body.token });
+    assert.deepEqual(cart.body.items.map(item => [item.productId, item.quantity]), [['7', 2]]);
+
+    const order = await repositories.orders.findByNumber('FM1753507467');
+    assert.equal(String(order.userId), String(login.body.user.id));
+    assert.equal(order.stockReserved, false);
+  });
+
+  it('skips everything it already imported when run again', async () => {
+    const report = await migrate();
+
+    assert.equal(report.users.imported, 0);
+    assert.equal(report.users.alreadyImported, 1);
+    assert.equal(report.carts.alreadyPresent, 1);
+    assert.equal(report.orders.alreadyPresent, 1);
+  });
+});
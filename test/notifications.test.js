@@ -0,0 +1,121 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Give up after the second attempt, so a test can get there
+process.env.NOTIFICATION_MAX_ATTEMPTS = '2';
+
+const { repositories, startServer } = require('./helpers');
+const { dispatchDue, queueNotification, setTransport } = require('../services/notifications');
+
+describe('notification outbox', () => {
+  let api;
+  let admin;
+  let product;
+  let sent = [];
+  let failing;
+
+  before(async () => {
+    api = await startServer();
+    admin = await api.registerUser({ role: 'admin' });
+    product = await api.createProduct(admin, { name: 'Honey', category: 'pantry', price: 250, stock: 20 });
+
+    // Stand-in transports: record what goes out, or fail while `failing`
+    const record = (channel) => ({
+      send: async (message) => {
+        if (failing) throw new Error('Provider unavailable');
+        sent.push({ channel, ...message });
+      }
+    });
+    setTransport('email', record('email'));
+    setTransport('sms', record('sms'));
+  });
+
+  beforeEach(async () => {
+    // Clear out what earlier tests (and registrations) queued
+    failing = false;
+    await dispatchDue();
+    sent = [];
+  });
+
+  after(() => {
+    delete process.env.NOTIFICATION_MAX_ATTEMPTS;
+    return api.close();
+  });
+
+  const outbox = async (status) => (await repositories.notifications.list({ status, limit: 100 })).notifications;
+
+  // Run the dispatcher as if `ms` had passed, for messages waiting to retry
+  const dispatchLater = async (ms) => {
+    mock.timers.enable({ apis: ['Date'], now: Date.now() + ms });
+    try {
+      return await dispatchDue();
+    } finally {
+      mock.timers.reset();
+    }
+  };
+
+  it('queues a message with the change it announces and sends it afterwards', async () => {
+    const customer = await api.registerUser();
+    await dispatchDue();
+    sent = [];
+
+    const { body } = await api.placeOrder(customer, [{ productId: product._id, quantity: 1 }]);
+    const queued = (await outbox('pending')).filter(message => message.reference === body.order.id);
+    assert.deepEqual(queued.map(message => message.channel).sort(), ['email', 'sms']);
+    assert.deepEqual(sent, []);
+
+    assert.equal(await dispatchDue(), 2);
+    const email = sent.find(message => message.channel === 'email');
+    assert.equal(email.to, customer.user.email);
+    assert.match(email.subject, new RegExp(`order ${body.order.id} is confirmed`));
+    assert.equal(sent.find(message => message.channel === 'sms').to, '9876543210');
+    assert.equal(await dispatchDue(), 0);
+  });
+
+  it('queues nothing when the change is rolled back', async () => {
+    const customer = await api.registerUser();
+    const before = (await outbox()).length;
+
+    await assert.rejects(repositories.transaction(async () => {
+      await queueNotification('welcome', { user: customer.user });
+      throw new Error('Checkout failed');
+    }), /Checkout failed/);
+
+    assert.equal((await outbox()).length, before);
+  });
+
+  it('retries with backoff, gives up after the last attempt, and can be retried by staff', async () => {
+    const customer = await api.registerUser();
+    await dispatchDue();
+    sent = [];
+    failing = true;
+
+    await queueNotification('welcome', { user: customer.user, reference: 'retry-test' });
+    const find = async () => (await outbox()).find(message => message.reference === 'retry-test');
+
+    assert.equal(await dispatchDue(), 1);
+    const waiting = await find();
+    assert.equal(waiting.status, 'pending');
+    assert.equal(waiting.attempts, 1);
+    assert.equal(waiting.lastError, 'Provider unavailable');
+    assert.ok(waiting.nextAttemptAt > new Date());
+
+    // Not due again until the backoff has passed
+    assert.equal(await dispatchDue(), 0);
+    assert.equal(await dispatchLater(60 * 1000), 1);
+    const failed = await find();
+    assert.equal(failed.status, 'failed');
+    assert.equal(failed.attempts, 2);
+
+    failing = false;
+    const retried = await api.request('POST', `/admin/notifications/${failed._id}/retry`, { token: admin.token });
+    assert.equal(retried.status, 200);
+    assert.equal(retried.body.notification.status, 'pending');
+    const again = await api.request('POST', `/admin/notifications/${failed._id}/retry`, { token: admin.token });
+    assert.equal(again.status, 409);
+
+    assert.equal(await dispatchDue(), 1);
+    assert.equal((await find()).status, 'sent');
+    assert.deepEqual(sent.map(message => message.to), [customer.user.email]);
+  });
+});
@@ -0,0 +1,144 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+const { createMemoryBus } = require('../services/events/memoryBus');
+
+describe('order events', () => {
+  let api;
+  let admin;
+  let product;
+
+  before(async () => {
+    api = await startServer();
+    admin = await api.registerUser({ role: 'admin' });
+    product = await api.createProduct(admin, { name: 'Butter', category: 'dairy', price: 55, stock: 50 });
+  });
+
+  after(() => api.close());
+
+  // Open GET /orders/events and collect its events as { id, event, data }.
+  // next() resolves with the next one; close() hangs up.
+  const openStream = async (customer, { query = {}, headers = {} } = {}) => {
+    const controller = new AbortController();
+    const params = new URLSearchParams({ access_token: customer.token, ...query });
+    const response = await fetch(`${api.base}/orders/events?${params}`, { headers, signal: controller.signal });
+
+    const received = [];
+    const waiting = [];
+    let buffer = '';
+    (async () => {
+      try {
+        for await (const chunk of response.body) {
+          buffer += Buffer.from(chunk).toString('utf8');
+          let end;
+          while ((end = buffer.indexOf('\n\n')) !== -1) {
+            const fields = Object.fromEntries(buffer.slice(0, end).split('\n')
+              .filter(line => line && !line.startsWith(':'))
+              .map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+            buffer = buffer.slice(end + 2);
+            if (!fields.event) continue;
+            const event = { id: fields.id, event: fields.event, data: JSON.parse(fields.data) };
+            if (waiting.length > 0) waiting.shift()(event);
+            else received.push(event);
+          }
+        }
+      } catch (err) {
+        // Aborted by close()
+      }
+    })();
+
+    return {
+      status: response.status,
+      next: () => (received.length > 0
+        ? Promise.resolve(received.shift())
+        : new Promise(resolve => waiting.push(resolve))),
+      close: () => controller.abort()
+    };
+  };
+
+  const moveTo = (order, status) => api.request('PUT', `/admin/orders/${order.id}/status`, {
+    token: admin.token,
+    body: { status }
+  });
+
+  it('pushes a customer\'s order updates as they happen', async () => {
+    const customer = await api.registerUser();
+    const { body } = await api.placeOrder(customer, [{ productId: product._id, quantity: 1 }]);
+    const stream = await openStream(customer);
+    assert.equal(stream.status, 200);
+
+    // Someone else's order stays out of this stream
+    const other = await api.registerUser();
+    const { body: theirs } = await api.placeOrder(other, [{ productId: product._id, quantity: 1 }]);
+    await moveTo(theirs.order, 'processing');
+
+    await moveTo(body.order, 'processing');
+    const event = await stream.next();
+    stream.close();
+
+    assert.equal(event.event, 'order.status');
+    assert.deepEqual(
+      [event.data.orderId, event.data.status, event.data.from],
+      [body.order.id, 'processing', 'confirmed']
+    );
+  });
+
+  it('replays what was missed after Last-Event-ID, or asks for a refetch', async () => {
+    const customer = await api.registerUser();
+    const { body } = await api.placeOrder(customer, [{ productId: product._id, quantity: 1 }]);
+    const first = await openStream(customer, { query: { orderId: body.order.id } });
+    await moveTo(body.order, 'processing');
+    const seen = await first.next();
+    first.close();
+
+    await moveTo(body.order, 'shipped');
+
+    const resumed = await openStream(customer, { headers: { 'Last-Event-ID': seen.id } });
+    const missed = await resumed.next();
+    resumed.close();
+    assert.deepEqual([missed.event, missed.data.status], ['order.status', 'shipped']);
+
+    const stale = await openStream(customer, { query: { lastEventId: 'gone-7' } });
+    const reset = await stale.next();
+    stale.close();
+    assert.equal(reset.event, 'reset');
+  });
+
+  it('needs a login and the caller\'s own order', async () => {
+    const unauthenticated = await fetch(`${api.base}/orders/events`);
+    assert.equal(unauthenticated.status, 401);
+    await unauthenticated.body.cancel();
+
+    const owner = await api.registerUser();
+    const { body } = await api.placeOrder(owner, [{ productId: product._id, quantity: 1 }]);
+    const stranger = await api.registerUser();
+    const { status } = await api.request('GET', `/orders/events?orderId=${body.order.id}`, { token: stranger.token });
+    assert.equal(status, 404);
+  });
+});
+
+describe('memory event bus', () => {
+  it('remembers only its recent history', async () => {
+    const bus = createMemoryBus({ historySize: 2 });
+    const [first, second] = [await bus.publish({ n: 1 }), await bus.publish({ n: 2 })];
+
+    assert.deepEqual((await bus.since(first.id)).map(event => event.n), [2]);
+    await bus.publish({ n: 3 });
+    assert.deepEqual((await bus.since(second.id)).map(event => event.n), [3]);
+    await bus.publish({ n: 4 });
+    // Event 2 has been dropped, so a client that last saw 1 missed it
+    assert.equal(await bus.since(first.id), null);
+    assert.equal(await bus.since('elsewhere-1'), null);
+  });
+
+  it('stops calling a listener once it unsubscribes', async () => {
+    const bus = createMemoryBus();
+    const heard = [];
+    const unsubscribe = bus.subscribe(event => heard.push(event.n));
+
+    await bus.publish({ n: 1 });
+    unsubscribe();
+    await bus.publish({ n: 2 });
+    assert.deepEqual(heard, [1]);
+  });
+});
@@ -0,0 +1,89 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { repositories, startServer } = require('./helpers');
+
+describe('order history', () => {
+  let api;
+  let customer;
+  let placed;
+
+  before(async () => {
+    api = await startServer();
+    const admin = await api.registerUser({ role: 'admin' });
+    const tea = await api.createProduct(admin, { name: 'Green Tea', category: 'beverages', price: 120, stock: 50 });
+    const eggs = await api.createProduct(admin, { name: 'Eggs', category: 'dairy', price: 70, stock: 50 });
+    customer = await api.registerUser();
+
+    // Five orders, the first two back in March. The last two are placed in
+    // the same millisecond as far as the cursor is concerned.
+    placed = [];
+    for (const product of [tea, eggs, tea, eggs, tea]) {
+      const { body } = await api.placeOrder(customer, [{ productId: product._id, quantity: 1 }]);
+      placed.push(body.order.id);
+    }
+    await repositories.orders.update(placed[0], { orderDate: new Date('2024-03-01T09:00:00Z') });
+    await repositories.orders.update(placed[1], { orderDate: new Date('2024-03-20T09:00:00Z') });
+    const sameTime = new Date();
+    await repositories.orders.update(placed[3], { orderDate: sameTime });
+    await repositories.orders.update(placed[4], { orderDate: sameTime });
+    await api.request('PUT', `/orders/${placed[2]}/cancel`, { token: customer.token, body: {} });
+  });
+
+  after(() => api.close());
+
+  const history = (query) => api.request('GET', `/orders?${new URLSearchParams(query)}`, { token: customer.token });
+
+  const walk = async (query) => {
+    const seen = [];
+    let cursor;
+    do {
+      const { status, body } = await history({ ...query, ...(cursor && { cursor }) });
+      assert.equal(status, 200);
+      seen.push(body.orders.map(order => order.id));
+      cursor = body.nextCursor;
+    } while (cursor);
+    return seen;
+  };
+
+  it('pages through every order exactly once, newest or oldest first', async () => {
+    const newest = await walk({ limit: 2 });
+    assert.equal(newest.length, 3);
+    assert.deepEqual(newest.flat().slice(2), [placed[2], placed[1], placed[0]]);
+    assert.deepEqual(new Set(newest.flat().slice(0, 2)), new Set([placed[3], placed[4]]));
+
+    const oldest = await walk({ limit: 2, sort: 'oldest' });
+    assert.deepEqual(oldest.flat(), [...newest.flat()].reverse());
+
+    const { body } = await history({ limit: 2 });
+    assert.equal(body.total, 5);
+    assert.equal(body.hasMore, true);
+  });
+
+  it('filters by status, date range and product name', async () => {
+    const ids = async (query) => (await history(query)).body.orders.map(order => order.id);
+
+    assert.deepEqual(await ids({ status: 'cancelled' }), [placed[2]]);
+    assert.deepEqual(await ids({ from: '2024-03-01', to: '2024-03-31' }), [placed[1], placed[0]]);
+    assert.deepEqual(await ids({ to: '2024-03-01' }), [placed[0]]);
+    assert.deepEqual(await ids({ q: 'eggs', from: '2024-01-01', to: '2024-12-31' }), [placed[1]]);
+
+    const { body } = await history({ status: 'confirmed,delivered', limit: 1 });
+    assert.equal(body.total, 4);
+    assert.equal(body.orders.length, 1);
+  });
+
+  it('rejects filters and cursors it cannot read', async () => {
+    assert.equal((await history({ status: 'lost' })).status, 400);
+    assert.equal((await history({ from: 'yesterday' })).status, 400);
+    assert.equal((await history({ limit: 0 })).status, 400);
+    assert.equal((await history({ cursor: 'not-a-cursor' })).status, 400);
+  });
+
+  it('never shows another customer\'s orders', async () => {
+    const other = await api.registerUser();
+    const { body } = await api.request('GET', '/orders', { token: other.token });
+
+    assert.deepEqual(body.orders, []);
+    assert.equal(body.total, 0);
+  });
+});
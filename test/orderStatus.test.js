@@ -0,0 +1,90 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { repositories, startServer } = require('./helpers');
+
+describe('order status transitions', () => {
+  let api;
+  let admin;
+  let customer;
+  let product;
+
+  before(async () => {
+    api = await startServer();
+    admin = await api.registerUser({ role: 'admin' });
+    customer = await api.registerUser();
+    product = await api.createProduct(admin, { name: 'Eggs', category: 'dairy', price: 80, stock: 20 });
+  });
+
+  after(() => api.close());
+
+  const newOrder = async (quantity) => {
+    const { status, body } = await api.placeOrder(customer, [{ productId: product._id, quantity }]);
+    assert.equal(status, 201);
+    return body.order;
+  };
+
+  const moveTo = (order, status, note) => api.request('PUT', `/admin/orders/${order.id}/status`, {
+    token: admin.token,
+    body: { status, note }
+  });
+
+  const stock = async () => (await repositories.products.findById(product._id)).stock;
+
+  it('records each move in the timeline with who made it', async () => {
+    const order = await newOrder(1);
+
+    assert.equal((await moveTo(order, 'processing')).status, 200);
+    const shipped = await moveTo(order, 'shipped', 'Van 3');
+    assert.equal(shipped.status, 200);
+    assert.ok(shipped.body.order.shippedAt);
+
+    const { body } = await api.request('GET', `/orders/${order.id}`, { token: customer.token });
+    assert.deepEqual(
+      body.timeline.map(change => [change.status, change.from, change.actorType]),
+      [['confirmed', undefined, 'customer'], ['processing', 'confirmed', 'staff'], ['shipped', 'processing', 'staff']]
+    );
+    assert.equal(body.timeline[2].note, 'Van 3');
+    assert.equal(body.canCancel, false);
+  });
+
+  it('refuses moves the table does not allow', async () => {
+    const order = await newOrder(1);
+
+    const skipped = await moveTo(order, 'delivered');
+    assert.equal(skipped.status, 400);
+    assert.deepEqual(skipped.body.allowed.sort(), ['cancelled', 'processing']);
+
+    assert.equal((await moveTo(order, 'lost')).status, 400);
+  });
+
+  it('puts the stock back when the customer cancels before shipping', async () => {
+    const before = await stock();
+    const order = await newOrder(3);
+    assert.equal(await stock(), before - 3);
+
+    const { status, body } = await api.request('PUT', `/orders/${order.id}/cancel`, {
+      token: customer.token,
+      body: { reason: 'Ordered by mistake' }
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.order.cancellationReason, 'Ordered by mistake');
+    assert.equal(await stock(), before);
+  });
+
+  it('lets only staff cancel a shipped order, and leaves its stock out', async () => {
+    const before = await stock();
+    const order = await newOrder(2);
+    await moveTo(order, 'processing');
+    await moveTo(order, 'shipped');
+
+    const byCustomer = await api.request('PUT', `/orders/${order.id}/cancel`, { token: customer.token, body: {} });
+    assert.equal(byCustomer.status, 400);
+
+    const byStaff = await moveTo(order, 'cancelled', 'Refused at the door');
+    assert.equal(byStaff.status, 200);
+    assert.equal(byStaff.body.order.status, 'cancelled');
+    // The goods are on the van, not back on the shelf
+    assert.equal(await stock(), before - 2);
+  });
+});
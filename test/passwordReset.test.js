@@ -0,0 +1,57 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, waitFor } = require('./helpers');
+const { setTransport } = require('../services/mailer');
+
+// /api/password allows five requests per window, so this file stays within that
+describe('password reset', () => {
+  let api;
+  const mail = [];
+
+  before(async () => {
+    api = await startServer();
+    setTransport({ send: async (message) => { mail.push(message); } });
+  });
+
+  after(() => api.close());
+
+  const forgot = (email) => api.request('POST', '/password/forgot', { body: { email } });
+  const reset = (token, password) => api.request('POST', '/password/reset', { body: { token, password } });
+  const login = (email, password) => api.request('POST', '/login', { body: { email, password } });
+
+  // The token from the newest reset email to `to`
+  const resetToken = (to) => waitFor(() => {
+    const message = mail.filter(sent => sent.to === to && /reset/i.test(sent.subject)).pop();
+    return message && new URL(message.text.match(/https?:\/\/\S+/)[0]).searchParams.get('token');
+  });
+
+  it('answers the same for unknown addresses and sends nothing', async () => {
+    const customer = await api.registerUser();
+
+    const known = await forgot(customer.user.email);
+    const unknown = await forgot('nobody@example.com');
+
+    assert.equal(known.status, 200);
+    assert.deepEqual(unknown.body, known.body);
+    await resetToken(customer.user.email);
+    assert.equal(mail.some(sent => sent.to === 'nobody@example.com'), false);
+  });
+
+  it('sets the new password once and signs out every session', async () => {
+    const customer = await api.registerUser();
+    await forgot(customer.user.email);
+    const token = await resetToken(customer.user.email);
+
+    const done = await reset(token, 'new-secret-1');
+    assert.equal(done.status, 200);
+
+    assert.equal((await login(customer.user.email, customer.password)).status, 401);
+    assert.equal((await login(customer.user.email, 'new-secret-1')).status, 200);
+    assert.equal((await api.request('GET', '/protected', { token: customer.token })).status, 401);
+
+    // Single use
+    const again = await reset(token, 'new-secret-2');
+    assert.equal(again.status, 400);
+    assert.equal(again.body.message, 'Reset link is invalid or has expired');
+  });
+});
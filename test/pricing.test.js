@@ -0,0 +1,68 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { priceItems } = require('../services/pricing');
+const { allocate } = require('../utils/money');
+
+// With the default rates: produce carries no GST, packaged food 12%, the
+// rest 5%; delivery is 40, free from 499 after discounts.
+const catalog = new Map([
+  ['apples', { category: 'produce' }],
+  ['chips', { category: 'packaged' }],
+  ['soap', { category: 'household' }]
+]);
+
+describe('order pricing', () => {
+  it('adds amounts in minor units, without floating-point drift', () => {
+    const pricing = priceItems({
+      items: [{ productId: 'apples', price: 0.1, quantity: 3 }, { productId: 'apples', price: 0.2, quantity: 1 }],
+      products: catalog
+    });
+
+    assert.equal(pricing.subtotal, 0.5);
+    assert.equal(pricing.grandTotal, 40.5);
+  });
+
+  it('taxes each category on its lines after their share of the discount', () => {
+    const pricing = priceItems({
+      items: [
+        { productId: 'apples', price: 100, quantity: 1 },
+        { productId: 'chips', price: 45.5, quantity: 2 },
+        { productId: 'soap', price: 33.33, quantity: 3 }
+      ],
+      products: catalog,
+      discounts: [{ amount: 11, lines: [{ productId: 'chips', amount: 11 }] }]
+    });
+
+    assert.deepEqual(pricing.taxes, [
+      { category: 'produce', rate: 0, taxable: 100, amount: 0 },
+      { category: 'packaged', rate: 12, taxable: 80, amount: 9.6 },
+      // 5% of 99.99 is 4.9995, rounded once for the category
+      { category: 'household', rate: 5, taxable: 99.99, amount: 5 }
+    ]);
+    assert.equal(pricing.subtotal, 290.99);
+    assert.equal(pricing.discountTotal, 11);
+    assert.equal(pricing.taxTotal, 14.6);
+    assert.equal(pricing.deliveryFee, 40);
+    assert.equal(pricing.grandTotal, 334.59);
+    assert.equal(pricing.delivery.remainingForFree, 219.01);
+  });
+
+  it('waives delivery once the discounted basket reaches the threshold', () => {
+    const items = [{ productId: 'apples', price: 500, quantity: 1 }];
+
+    assert.equal(priceItems({ items, products: catalog }).deliveryFee, 0);
+
+    const discounted = priceItems({
+      items,
+      products: catalog,
+      discounts: [{ amount: 2, lines: [{ productId: 'apples', amount: 2 }] }]
+    });
+    assert.equal(discounted.deliveryFee, 40);
+    assert.equal(discounted.grandTotal, 538);
+  });
+
+  it('splits an amount so the parts always add back up', () => {
+    assert.deepEqual(allocate(100, [1, 1, 1]), [34, 33, 33]);
+    assert.deepEqual(allocate(1000, [3, 0, 1]), [750, 0, 250]);
+  });
+});
@@ -0,0 +1,162 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { repositories, startServer, waitFor, deliveryAddress } = require('./helpers');
+
+describe('refunds and credit notes', () => {
+  let api;
+  let admin;
+  let customer;
+  let apples;
+  let chips;
+  let slot;
+
+  before(async () => {
+    api = await startServer();
+    admin = await api.registerUser({ role: 'admin' });
+    customer = await api.registerUser();
+    // produce carries no GST and packaged food 12%, with the default rates
+    apples = await api.createProduct(admin, { name: 'Apples', category: 'produce', price: 10, stock: 50 });
+    chips = await api.createProduct(admin, { name: 'Chips', category: 'packaged', price: 50, stock: 50 });
+    [slot] = await api.availableSlots();
+  });
+
+  after(() => api.close());
+
+  // 3 x 10 + 2 x 50, 12% GST on the chips, 40 delivery: 182 in all.
+  // Card orders are confirmed by the mock provider's webhook.
+  const paidOrder = async () => {
+    const { status, body } = await api.request('POST', '/orders', {
+      token: customer.token,
+      body: {
+        items: [{ productId: apples._id, quantity: 3 }, { productId: chips._id, quantity: 2 }],
+        deliverySlotId: slot.id,
+        deliveryAddress,
+        paymentMethod: 'card'
+      }
+    });
+    assert.equal(status, 201);
+    assert.equal(body.order.totalAmount, 182);
+
+    return waitFor(async () => {
+      const order = await repositories.orders.findByNumber(body.order.id);
+      return order.status === 'confirmed' && order.payment && order.payment.status === 'succeeded' && order;
+    });
+  };
+
+  const refundsFor = async (order) => (await api.request('GET', `/orders/${order.id}`, { token: customer.token })).body.refunds;
+
+  const documentsFor = async (order) => {
+    const { status, body } = await api.request('GET', `/orders/${order.id}/invoice?format=json`, { token: customer.token });
+    assert.equal(status, 200);
+    return body;
+  };
+
+  it('refunds everything captured when a paid order is cancelled', async () => {
+    const order = await paidOrder();
+
+    const { status, body } = await api.request('PUT', `/orders/${order.id}/cancel`, {
+      token: customer.token,
+      body: { reason: 'Changed my mind' }
+    });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.refunds.map(refund => [refund.amount, refund.status]), [[182, 'succeeded']]);
+
+    const { document, creditNotes } = await documentsFor(order);
+    assert.equal(document.total, 182);
+    assert.deepEqual(creditNotes.map(note => [note.total, note.invoiceNumber]), [[182, document.number]]);
+  });
+
+  it('refunds cancelled units with their tax, then the rest on cancellation', async () => {
+    const order = await paidOrder();
+
+    const partial = await api.request('POST', `/admin/orders/${order.id}/cancel-items`, {
+      token: admin.token,
+      body: { items: [{ productId: chips._id, quantity: 1 }], reason: 'Damaged in store' }
+    });
+    assert.equal(partial.status, 200);
+    // 50 plus 12% GST
+    assert.equal(partial.body.refund.amount, 56);
+    assert.deepEqual(partial.body.refund.lines, [{ productId: chips._id, quantity: 1, amount: 56 }]);
+
+    const cancelled = await api.request('PUT', `/orders/${order.id}/cancel`, { token: customer.token, body: {} });
+    assert.equal(cancelled.status, 200);
+    assert.deepEqual((await refundsFor(order)).map(refund => refund.amount), [56, 126]);
+
+    const { creditNotes } = await documentsFor(order);
+    assert.deepEqual(creditNotes.map(note => note.total), [56, 126]);
+
+    const { body: first } = await api.request('GET', `/orders/${order.id}/credit-notes/${creditNotes[0].number}?format=json`, {
+      token: customer.token
+    });
+    assert.equal(first.document.subtotal, 50);
+    assert.equal(first.document.taxTotal, 6);
+    assert.deepEqual(first.document.taxes.map(tax => [tax.rate, tax.taxable, tax.amount]), [[12, 50, 6]]);
+  });
+
+  it('credits an invoiced cash order for cancelled units and then the rest', async () => {
+    const placed = await api.request('POST', '/orders', {
+      token: customer.token,
+      body: {
+        items: [{ productId: apples._id, quantity: 3 }, { productId: chips._id, quantity: 2 }],
+        deliverySlotId: slot.id,
+        deliveryAddress,
+        paymentMethod: 'cash'
+      }
+    });
+    assert.equal(placed.status, 201);
+    const order = placed.body.order;
+
+    const { document: invoice, creditNotes: none } = await documentsFor(order);
+    assert.equal(invoice.total, 182);
+    assert.deepEqual(none, []);
+
+    const partial = await api.request('POST', `/admin/orders/${order.id}/cancel-items`, {
+      token: admin.token,
+      body: { items: [{ productId: chips._id, quantity: 1 }] }
+    });
+    assert.equal(partial.status, 200);
+    assert.equal(partial.body.refund, null);
+
+    const cancelled = await api.request('PUT', `/orders/${order.id}/cancel`, { token: customer.token, body: {} });
+    assert.equal(cancelled.status, 200);
+    assert.deepEqual(cancelled.body.refunds, []);
+
+    // Issued with the cancellations, before anyone asks for the documents
+    const issued = await repositories.invoices.listCreditNotes(order.id);
+    assert.deepEqual(issued.map(note => note.total), [56, 126]);
+    assert.deepEqual(issued.map(note => note.invoiceNumber), [invoice.number, invoice.number]);
+    assert.deepEqual(issued[0].customer, invoice.customer);
+
+    const { creditNotes } = await documentsFor(order);
+    assert.deepEqual(creditNotes.map(note => note.number), issued.map(note => note.number));
+  });
+
+  it('keeps a refund the provider turned down for staff to retry', async () => {
+    const { body } = await api.request('POST', '/orders', {
+      token: customer.token,
+      body: {
+        items: [{ productId: apples._id, quantity: 1 }],
+        deliverySlotId: slot.id,
+        deliveryAddress,
+        paymentMethod: 'card',
+        paymentToken: 'tok_refund_fail'
+      }
+    });
+    const order = await waitFor(async () => {
+      const found = await repositories.orders.findByNumber(body.order.id);
+      return found.status === 'confirmed' && found;
+    });
+
+    const cancelled = await api.request('PUT', `/orders/${order.id}/cancel`, { token: customer.token, body: {} });
+    assert.equal(cancelled.status, 200);
+    assert.equal(cancelled.body.order.status, 'cancelled');
+    const [failed] = cancelled.body.refunds;
+    assert.equal(failed.status, 'failed');
+
+    const retried = await api.request('POST', `/admin/refunds/${failed.id}/retry`, { token: admin.token });
+    assert.equal(retried.status, 200);
+    assert.equal(retried.body.refund.status, 'succeeded');
+    assert.equal(retried.body.refund.amount, 50);
+  });
+});
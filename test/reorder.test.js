@@ -0,0 +1,73 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+describe('reorder', () => {
+  let api;
+  let admin;
+
+  before(async () => {
+    api = await startServer();
+    admin = await api.registerUser({ role: 'admin' });
+  });
+
+  after(() => api.close());
+
+  const reorder = (customer, order) => api.request('POST', `/orders/${order.id}/reorder`, { token: customer.token });
+
+  it('copies what is left of a past order into the cart at today\'s prices', async () => {
+    const coffee = await api.createProduct(admin, { name: 'Coffee', category: 'beverages', price: 200, stock: 10 });
+    const sugar = await api.createProduct(admin, { name: 'Sugar', category: 'grains', price: 45, stock: 10 });
+    const customer = await api.registerUser();
+    const { body } = await api.placeOrder(customer, [
+      { productId: coffee._id, quantity: 2 },
+      { productId: sugar._id, quantity: 1 }
+    ]);
+
+    // One coffee and all the sugar were taken off the order
+    const cancelled = await api.request('POST', `/admin/orders/${body.order.id}/cancel-items`, {
+      token: admin.token,
+      body: { items: [{ productId: coffee._id, quantity: 1 }, { productId: sugar._id, quantity: 1 }] }
+    });
+    assert.equal(cancelled.status, 200);
+    await api.request('PUT', `/admin/products/${coffee._id}`, { token: admin.token, body: { price: 220 } });
+
+    const { status, body: result } = await reorder(customer, body.order);
+
+    assert.equal(status, 200);
+    assert.equal(result.message, 'Added 1 of 1 items to your cart');
+    assert.deepEqual(result.items.map(item => [item.name, item.quantity, item.price]), [['Coffee', 1, 220]]);
+    assert.deepEqual(result.priceChanged.map(change => [change.previousPrice, change.currentPrice]), [[200, 220]]);
+  });
+
+  it('skips lines that are gone or sold out and trims to stock', async () => {
+    const oil = await api.createProduct(admin, { name: 'Oil', category: 'pantry', price: 180, stock: 10 });
+    const salt = await api.createProduct(admin, { name: 'Salt', category: 'pantry', price: 20, stock: 10 });
+    const dal = await api.createProduct(admin, { name: 'Dal', category: 'grains', price: 110, stock: 10 });
+    const customer = await api.registerUser();
+    const { body } = await api.placeOrder(customer, [
+      { productId: oil._id, quantity: 4 },
+      { productId: salt._id, quantity: 1 },
+      { productId: dal._id, quantity: 1 }
+    ]);
+
+    await api.request('PUT', `/admin/products/${oil._id}/stock`, { token: admin.token, body: { adjustment: -4 } });
+    await api.request('DELETE', `/admin/products/${salt._id}`, { token: admin.token });
+    await api.request('PUT', `/admin/products/${dal._id}/stock`, { token: admin.token, body: { adjustment: -9 } });
+
+    const { body: result } = await reorder(customer, body.order);
+
+    assert.equal(result.message, 'Added 1 of 3 items to your cart');
+    assert.deepEqual(result.added.map(line => [line.name, line.quantity, line.limitedByStock]), [['Oil', 2, true]]);
+    assert.deepEqual(result.skipped.map(line => [line.name, line.reason]).sort(), [['Dal', 'out_of_stock'], ['Salt', 'discontinued']]);
+  });
+
+  it('only reorders the customer\'s own orders', async () => {
+    const bread = await api.createProduct(admin, { name: 'Rye Bread', category: 'bakery', price: 60, stock: 5 });
+    const owner = await api.registerUser();
+    const other = await api.registerUser();
+    const { body } = await api.placeOrder(owner, [{ productId: bread._id, quantity: 1 }]);
+
+    assert.equal((await reorder(other, body.order)).status, 404);
+  });
+});
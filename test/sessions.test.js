@@ -0,0 +1,56 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+describe('refresh tokens', () => {
+  let api;
+
+  before(async () => {
+    api = await startServer();
+  });
+
+  after(() => api.close());
+
+  const refresh = (refreshToken) => api.request('POST', '/token/refresh', { body: { refreshToken } });
+
+  it('rotates the refresh token on every use', async () => {
+    const customer = await api.registerUser();
+
+    const first = await refresh(customer.refreshToken);
+    assert.equal(first.status, 200);
+    assert.notEqual(first.body.refreshToken, customer.refreshToken);
+
+    const second = await refresh(first.body.refreshToken);
+    assert.equal(second.status, 200);
+
+    const access = await api.request('GET', '/protected', { token: second.body.token });
+    assert.equal(access.status, 200);
+  });
+
+  it('revokes the whole session when a rotated-out token comes back', async () => {
+    const customer = await api.registerUser();
+    const rotated = await refresh(customer.refreshToken);
+    assert.equal(rotated.status, 200);
+
+    // The old token turning up again means it leaked
+    const reused = await refresh(customer.refreshToken);
+    assert.equal(reused.status, 401);
+
+    // Neither the legitimate holder's refresh token nor its access token work now
+    assert.equal((await refresh(rotated.body.refreshToken)).status, 401);
+    assert.equal((await api.request('GET', '/protected', { token: rotated.body.token })).status, 401);
+  });
+
+  it('leaves the user\'s other sessions alone', async () => {
+    const customer = await api.registerUser();
+    const login = await api.request('POST', '/login', {
+      body: { email: customer.user.email, password: customer.password }
+    });
+    assert.equal(login.status, 200);
+
+    await refresh(customer.refreshToken);
+    assert.equal((await refresh(customer.refreshToken)).status, 401);
+
+    assert.equal((await refresh(login.body.refreshToken)).status, 200);
+  });
+});
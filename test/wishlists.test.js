@@ -0,0 +1,86 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+describe('wishlists and save for later', () => {
+  let api;
+  let admin;
+  let jam;
+  let bread;
+
+  before(async () => {
+    api = await startServer();
+    admin = await api.registerUser({ role: 'admin' });
+    jam = await api.createProduct(admin, { name: 'Jam', category: 'pantry', price: 150, stock: 10 });
+    bread = await api.createProduct(admin, { name: 'Bread', category: 'bakery', price: 40, stock: 10 });
+  });
+
+  after(() => api.close());
+
+  const addToCart = (customer, product, quantity) => api.request('POST', '/cart', {
+    token: customer.token,
+    body: { productId: product._id, quantity }
+  });
+
+  const createList = (customer, name) => api.request('POST', '/wishlists', { token: customer.token, body: { name } });
+
+  it('shows a price drop against the price an item was saved at', async () => {
+    const customer = await api.registerUser();
+    const { body: created } = await createList(customer, 'Breakfast');
+
+    await api.request('POST', `/wishlists/${created.list._id}/items`, { token: customer.token, body: { productId: jam._id } });
+    await api.request('PUT', `/admin/products/${jam._id}`, { token: admin.token, body: { price: 120 } });
+
+    const { body } = await api.request('GET', `/wishlists/${created.list._id}`, { token: customer.token });
+    assert.deepEqual(body.list.items.map(item => [item.name, item.savedPrice, item.currentPrice, item.priceDrop]), [
+      ['Jam', 150, 120, 30]
+    ]);
+
+    await api.request('PUT', `/admin/products/${jam._id}`, { token: admin.token, body: { price: 150 } });
+  });
+
+  it('reserves the "Saved for later" name and refuses duplicate list names', async () => {
+    const customer = await api.registerUser();
+
+    assert.equal((await createList(customer, 'saved for later')).status, 400);
+    assert.equal((await createList(customer, 'Party')).status, 201);
+    assert.equal((await createList(customer, 'Party')).status, 409);
+  });
+
+  it('saves a cart line for later and adds to what was already saved', async () => {
+    const customer = await api.registerUser();
+    const saveForLater = () => api.request('DELETE', `/cart/${bread._id}?saveForLater=true`, { token: customer.token });
+
+    await addToCart(customer, bread, 2);
+    assert.equal((await saveForLater()).status, 200);
+    await addToCart(customer, bread, 3);
+    const { body } = await saveForLater();
+
+    assert.deepEqual(body.items, []);
+    const { body: { lists } } = await api.request('GET', '/wishlists', { token: customer.token });
+    assert.deepEqual(lists.map(list => [list.name, list.items.map(item => [item.name, item.quantity])]), [
+      ['Saved for later', [['Bread', 5]]]
+    ]);
+  });
+
+  it('moves a list item into the cart at today\'s price, within stock', async () => {
+    const customer = await api.registerUser();
+    const { body: created } = await createList(customer, 'Later');
+    const listId = created.list._id;
+    await addToCart(customer, jam, 1);
+    await api.request('POST', `/wishlists/${listId}/items`, { token: customer.token, body: { productId: jam._id, fromCart: true } });
+    await addToCart(customer, jam, 8);
+
+    const tooMany = await api.request('POST', `/wishlists/${listId}/items/${jam._id}/move-to-cart`, {
+      token: customer.token,
+      body: { quantity: 3 }
+    });
+    assert.equal(tooMany.status, 400);
+    assert.equal(tooMany.body.available, 10);
+
+    const moved = await api.request('POST', `/wishlists/${listId}/items/${jam._id}/move-to-cart`, { token: customer.token });
+    assert.equal(moved.status, 200);
+    assert.deepEqual(moved.body.cart.items.map(item => [item.name, item.quantity, item.price]), [['Jam', 9, 150]]);
+    assert.deepEqual(moved.body.list.items, []);
+  });
+});
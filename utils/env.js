@@ -0,0 +1,14 @@
+// JSON config from the environment, failing at startup with the variable's
+// name rather than a bare SyntaxError
+const readJsonEnv = (name, fallback) => {
+  if (!process.env[name]) return fallback;
+  try {
+    return JSON.parse(process.env[name]);
+  } catch (err) {
+    throw new Error(`${name} must be valid JSON: ${err.message}`);
+  }
+};
+
+module.exports = {
+  readJsonEnv
+};
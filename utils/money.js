@@ -0,0 +1,40 @@
+// Money is stored and sent as decimal amounts (e.g. 12.5), but every sum,
+// split and percentage is worked out in integer minor units (paise) so
+// totals never pick up floating-point drift.
+
+const toMinor = (amount) => Math.round(Number(amount) * 100);
+
+const fromMinor = (minor) => minor / 100;
+
+// Split `totalMinor` across `weights` in proportion, handing the leftover
+// units to the largest remainders so the parts always add up exactly.
+const allocate = (totalMinor, weights) => {
+  const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+  if (weightSum <= 0) return weights.map(() => 0);
+
+  const shares = weights.map(weight => (totalMinor * weight) / weightSum);
+  const parts = shares.map(Math.floor);
+  let leftover = totalMinor - parts.reduce((sum, part) => sum + part, 0);
+
+  shares
+    .map((share, i) => ({ i, remainder: share - parts[i] }))
+    .sort((a, b) => b.remainder - a.remainder)
+    .forEach(({ i }) => {
+      if (leftover > 0) {
+        parts[i]++;
+        leftover--;
+      }
+    });
+
+  return parts;
+};
+
+// Percentage of an amount, rounded half-up to a whole minor unit
+const percentOf = (minor, percent) => Math.round((minor * percent) / 100);
+
+module.exports = {
+  toMinor,
+  fromMinor,
+  allocate,
+  percentOf
+};
@@ -0,0 +1,96 @@
+// Minimal PDF writer for plain business documents: text in the standard
+// Helvetica fonts and thin rules on A4 pages. Every PDF reader ships these
+// fonts, so nothing is embedded. Text is limited to Latin-1; anything else
+// prints as "?".
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+
+// Helvetica advance widths (per 1000 units of font size) for ASCII 32-126
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+// Helvetica-Bold runs a little wider; close enough for right alignment
+const BOLD_FACTOR = 1.05;
+
+const toLatin1 = (text) => String(text).replace(/[^\x20-\x7e\xa0-\xff]/g, '?');
+
+const textWidth = (text, size, bold = false) => {
+  const units = [...toLatin1(text)].reduce((sum, char) => {
+    const code = char.charCodeAt(0);
+    return sum + (code >= 32 && code <= 126 ? HELVETICA_WIDTHS[code - 32] : 556);
+  }, 0);
+  return (units * size * (bold ? BOLD_FACTOR : 1)) / 1000;
+};
+
+const escapeText = (text) => toLatin1(text).replace(/[\\()]/g, char => `\\${char}`);
+
+const num = (n) => Number(n.toFixed(2)).toString();
+
+// Coordinates are from the top-left corner, in points, like the page reads
+const createPdf = () => {
+  const pages = [];
+  let ops = null;
+
+  const addPage = () => {
+    ops = [];
+    pages.push(ops);
+  };
+
+  const text = (x, y, value, { size = 10, bold = false, align = 'left' } = {}) => {
+    if (!ops) addPage();
+    const width = textWidth(value, size, bold);
+    const left = align === 'right' ? x - width : align === 'center' ? x - width / 2 : x;
+    ops.push(`BT /${bold ? 'F2' : 'F1'} ${num(size)} Tf ${num(left)} ${num(PAGE_HEIGHT - y)} Td (${escapeText(value)}) Tj ET`);
+  };
+
+  const line = (x1, y1, x2, y2, { width = 0.5 } = {}) => {
+    if (!ops) addPage();
+    ops.push(`${num(width)} w ${num(x1)} ${num(PAGE_HEIGHT - y1)} m ${num(x2)} ${num(PAGE_HEIGHT - y2)} l S`);
+  };
+
+  const toBuffer = () => {
+    if (pages.length === 0) addPage();
+
+    // Objects 1-4 are fixed; each page then adds a page and a content object
+    const objects = [
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      `<< /Type /Pages /Kids [${pages.map((page, i) => `${5 + i * 2} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'
+    ];
+
+    pages.forEach((pageOps, i) => {
+      const stream = pageOps.join('\n');
+      objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+        `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${6 + i * 2} 0 R >>`);
+      objects.push(`<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`);
+    });
+
+    let body = '%PDF-1.4\n';
+    const offsets = objects.map((object, i) => {
+      const offset = Buffer.byteLength(body, 'latin1');
+      body += `${i + 1} 0 obj\n${object}\nendobj\n`;
+      return offset;
+    });
+
+    const xrefOffset = Buffer.byteLength(body, 'latin1');
+    body += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    body += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    body += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(body, 'latin1');
+  };
+
+  return { addPage, text, line, textWidth, toBuffer };
+};
+
+module.exports = {
+  PAGE_WIDTH,
+  PAGE_HEIGHT,
+  createPdf
+};
@@ -0,0 +1,12 @@
+const crypto = require('crypto');
+
+// Random secrets handed to clients (refresh tokens, reset links).
+// Only their sha256 hash is ever stored.
+const generateToken = (bytes = 32) => crypto.randomBytes(bytes).toString('base64url');
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+module.exports = {
+  generateToken,
+  hashToken
+};